@@ -0,0 +1,110 @@
+/**
+ * Keep the sizes and hashes in assets.json in step with the files on disk
+ *
+ * The game checks every download against these (see src/assets.js), so they
+ * need refreshing whenever a model, sound or texture is replaced.
+ * Files that aren't in the repo keep their entry without a size or hash -
+ * they are reported as missing when the game loads.
+ *
+ * Usage: npm run assets           (rewrite sizes and hashes)
+ *        npm run assets -- --check (fail if assets.json is out of date)
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const MANIFEST_PATH = path.join(ROOT, 'assets.json');
+const TYPES = ['model', 'sound', 'texture', 'panorama'];
+
+/**
+ * Read and sanity-check assets.json
+ */
+export function readManifest() {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    for (const entry of manifest.assets) {
+        if (!TYPES.includes(entry.type)) {
+            throw new Error(`${entry.url}: unknown asset type "${entry.type}"`);
+        }
+        if (typeof entry.required !== 'boolean') {
+            throw new Error(`${entry.url}: "required" must be true or false`);
+        }
+    }
+    return manifest;
+}
+
+/**
+ * Size and SHA-256 (hex) of a file in the repo, or null if it isn't there
+ */
+export function hashFile(url) {
+    const file = path.join(ROOT, url);
+    if (!fs.existsSync(file)) return null;
+    const data = fs.readFileSync(file);
+    return {
+        size: data.length,
+        sha256: crypto.createHash('sha256').update(data).digest('hex')
+    };
+}
+
+/**
+ * Entries that don't match the files on disk: [{ url, problem }]
+ */
+export function findProblems(manifest) {
+    const problems = [];
+    for (const entry of manifest.assets) {
+        const actual = hashFile(entry.url);
+        if (!actual) {
+            if (entry.required) {
+                problems.push({ url: entry.url, problem: 'required but missing' });
+            } else if (entry.sha256) {
+                problems.push({ url: entry.url, problem: 'hashed but missing' });
+            }
+        } else if (entry.size !== actual.size || entry.sha256 !== actual.sha256) {
+            problems.push({ url: entry.url, problem: 'size or hash out of date' });
+        }
+    }
+    return problems;
+}
+
+// One entry per line so diffs show which asset changed
+function formatManifest(manifest) {
+    const lines = manifest.assets.map(entry => {
+        const fields = Object.entries(entry).map(([key, value]) => `"${key}": ${JSON.stringify(value)}`);
+        return `        { ${fields.join(', ')} }`;
+    });
+    return `{\n    "assets": [\n${lines.join(',\n')}\n    ]\n}\n`;
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const manifest = readManifest();
+
+    if (checkOnly) {
+        const problems = findProblems(manifest);
+        if (problems.length > 0) {
+            for (const { url, problem } of problems) {
+                console.error(`${url}: ${problem}`);
+            }
+            console.error('assets.json is out of date - run npm run assets');
+            process.exit(1);
+        }
+        console.log(`assets.json is up to date (${manifest.assets.length} assets)`);
+        return;
+    }
+
+    manifest.assets = manifest.assets.map(({ url, type, required }) => {
+        const actual = hashFile(url);
+        if (!actual) {
+            console.warn(`${required ? 'required' : 'optional'} asset missing: ${url}`);
+            return { url, type, required };
+        }
+        return { url, type, required, ...actual };
+    });
+    fs.writeFileSync(MANIFEST_PATH, formatManifest(manifest));
+    console.log(`hashed ${manifest.assets.filter(e => e.sha256).length} of ${manifest.assets.length} assets`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
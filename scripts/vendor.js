@@ -0,0 +1,158 @@
+/**
+ * Mirror the CDN importmap in index.html into vendor/, so the game runs offline
+ *
+ * The importmap stays the source of truth: every CDN URL is mapped to
+ * vendor/<package>@<version>/<path>, copied from node_modules after checking
+ * that the installed version matches the pinned one. For prefix entries
+ * (three/addons/) only the addons the game imports are copied, along with
+ * whatever they import themselves.
+ *
+ * Usage: npm run vendor           (copy files)
+ *        npm run vendor -- --check (fail if vendor/ is missing or out of date)
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const VENDOR_DIR = path.join(ROOT, 'vendor');
+const CDN_PREFIX = 'https://cdn.jsdelivr.net/npm/';
+
+/**
+ * Read the importmap from index.html
+ */
+export function readImportMap() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const match = html.match(/<script[^>]*id="importmap"[^>]*>([\s\S]*?)<\/script>/);
+    if (!match) {
+        throw new Error('No importmap found in index.html');
+    }
+    return JSON.parse(match[1]);
+}
+
+/**
+ * Split a CDN URL into package, version and path inside the package
+ * e.g. https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js
+ *   -> { name: 'three', version: '0.160.0', file: 'build/three.module.js' }
+ */
+export function parseCdnUrl(url) {
+    if (!url.startsWith(CDN_PREFIX)) {
+        throw new Error(`Not a jsdelivr npm URL: ${url}`);
+    }
+    const match = url.slice(CDN_PREFIX.length).match(/^((?:@[^/]+\/)?[^@/]+)@([^/]+)\/(.*)$/);
+    if (!match) {
+        throw new Error(`Importmap URL has no pinned version: ${url}`);
+    }
+    const [, name, version, file] = match;
+    return { name, version, file };
+}
+
+// Bare specifiers the game imports under a prefix entry (e.g. 'three/addons/loaders/GLTFLoader.js')
+function findPrefixImports(prefix) {
+    const imports = new Set();
+    const srcDir = path.join(ROOT, 'src');
+    for (const file of fs.readdirSync(srcDir)) {
+        if (!file.endsWith('.js')) continue;
+        const source = fs.readFileSync(path.join(srcDir, file), 'utf8');
+        for (const match of source.matchAll(/from\s+['"]([^'"]+)['"]/g)) {
+            if (match[1].startsWith(prefix)) {
+                imports.add(match[1].slice(prefix.length));
+            }
+        }
+    }
+    return [...imports];
+}
+
+// Relative imports of a module (bare ones are resolved through the importmap)
+function findRelativeImports(source) {
+    const imports = [];
+    for (const match of source.matchAll(/(?:from|import)\s*['"](\.{1,2}\/[^'"]+)['"]/g)) {
+        imports.push(match[1]);
+    }
+    return imports;
+}
+
+function checkInstalledVersion(name, version) {
+    const pkgPath = path.join(ROOT, 'node_modules', name, 'package.json');
+    if (!fs.existsSync(pkgPath)) {
+        throw new Error(`${name} is not installed - run npm install`);
+    }
+    const installed = JSON.parse(fs.readFileSync(pkgPath, 'utf8')).version;
+    if (installed !== version) {
+        throw new Error(`index.html pins ${name}@${version} but ${installed} is installed - run npm install ${name}@${version}`);
+    }
+}
+
+/**
+ * Every file to vendor: [{ from: node_modules path, to: vendor path }]
+ */
+export function collectFiles(importMap) {
+    const files = new Map();
+
+    // Copy a module and, recursively, the modules it imports relatively
+    const addModule = (name, version, file) => {
+        const to = path.join(VENDOR_DIR, `${name}@${version}`, file);
+        if (files.has(to)) return;
+
+        const from = path.join(ROOT, 'node_modules', name, file);
+        if (!fs.existsSync(from)) {
+            throw new Error(`${name}@${version} has no file ${file}`);
+        }
+        files.set(to, from);
+
+        for (const relative of findRelativeImports(fs.readFileSync(from, 'utf8'))) {
+            addModule(name, version, path.posix.join(path.posix.dirname(file), relative));
+        }
+    };
+
+    for (const [specifier, url] of Object.entries(importMap.imports)) {
+        const { name, version, file } = parseCdnUrl(url);
+        checkInstalledVersion(name, version);
+
+        if (specifier.endsWith('/')) {
+            for (const addon of findPrefixImports(specifier)) {
+                addModule(name, version, file + addon);
+            }
+        } else {
+            addModule(name, version, file);
+        }
+    }
+
+    return [...files].map(([to, from]) => ({ from, to }));
+}
+
+/**
+ * Files in vendor/ that are missing or differ from node_modules
+ */
+export function findStaleFiles(files) {
+    return files.filter(({ from, to }) =>
+        !fs.existsSync(to) || !fs.readFileSync(to).equals(fs.readFileSync(from))
+    );
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const files = collectFiles(readImportMap());
+    const stale = findStaleFiles(files);
+
+    if (checkOnly) {
+        if (stale.length > 0) {
+            console.error(`vendor/ is out of date (${stale.length} files) - run npm run vendor`);
+            process.exit(1);
+        }
+        console.log(`vendor/ is up to date (${files.length} files)`);
+        return;
+    }
+
+    // Start clean so versions dropped from the importmap disappear
+    fs.rmSync(VENDOR_DIR, { recursive: true, force: true });
+    for (const { from, to } of files) {
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        fs.copyFileSync(from, to);
+        console.log('vendored', path.relative(ROOT, to));
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -8,14 +8,11 @@ export const AnimationState = {
 };
 
 export class AnimationController {
-    constructor(hands, particleSystem) {
+    constructor(hands) {
         this.hands = hands;
-        this.particles = particleSystem;
         this.state = AnimationState.IDLE;
         this.animationProgress = 0;
         this.animationDuration = 2.0; // seconds
-
-        this.exhaleTriggered = false;
     }
 
     isAnimating() {
@@ -35,7 +32,6 @@ export class AnimationController {
         this.state = AnimationState.SMOKING;
         this.animationProgress = 0;
         this.animationDuration = 3.0;
-        this.exhaleTriggered = false;
         return true;
     }
 
@@ -100,15 +96,8 @@ export class AnimationController {
             progress = 0;
         }
 
+        // The drag itself (and the exhale after it) happens in the game while this is 1
         this.hands.cigaretteAnimationProgress = progress;
-
-        // Trigger exhale smoke
-        if (t > 0.65 && !this.exhaleTriggered) {
-            this.exhaleTriggered = true;
-            if (this.particles) {
-                this.particles.triggerExhale();
-            }
-        }
     }
 
     easeOutCubic(t) {
@@ -0,0 +1,267 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { EntityKind } from './entities.js';
+import { PhysicsMaterials } from './materials.js';
+
+/**
+ * Ash settings (lengths in meters)
+ */
+export const AshProfile = {
+    packing: 0.9,         // Ash length per length of paper burned
+    maxLength: 0.02,      // Longest a column gets before it drops off by itself (randomized down to 75%)
+    maxDroop: 0.45,       // Radians the column bends toward the ground at full length
+    joltSpeed: 1.2,       // Impact speed (m/s) that knocks off a short column - long ones go far easier
+    radius: 0.0037,       // A hair thinner than the paper
+    flakeSize: 0.0018,    // Half extent of each falling flake
+    flakeLength: 0.004,   // Column length per flake when it breaks up
+    settleSpeed: 0.02,    // Flakes slower than this (m/s) have landed
+    flakeLifetime: 4      // Seconds before a flake settles wherever it is
+};
+
+const _down = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _position = new THREE.Vector3();
+
+/**
+ * Ash on lit cigarettes
+ *
+ * Burned paper turns into a grey column at the tip that grows, droops as it
+ * lengthens and drops off when the cigarette is jolted (an impact or a flick)
+ * or gets too long. It falls as small physics flakes that turn into ash
+ * smudges in the StainLayer where they come to rest - on the table, the
+ * floor or the bottom of the ashtray.
+ */
+export class AshSystem {
+    constructor(scene, physics, stains, entities, profile = AshProfile) {
+        this.scene = scene;
+        this.physics = physics;
+        this.stains = stains;
+        this.entities = entities;
+        this.profile = profile;
+
+        this.flakes = [];          // { mesh, body, size, age }
+        this.jolted = new Set();   // Cigarettes hit during the physics step, dropped on the next update
+
+        this.columnGeometry = new THREE.CylinderGeometry(profile.radius * 0.95, profile.radius, 1, 8);
+        this.columnGeometry.rotateZ(-Math.PI / 2);      // Along +X like the cigarette
+        this.columnGeometry.translate(0.5, 0, 0);       // Grows out from its base
+        this.flakeGeometry = new THREE.BoxGeometry(1, 1, 1);
+        this.material = new THREE.MeshStandardMaterial({ color: 0x9a9690, roughness: 1 });
+
+        this.onBeginContact = this.onBeginContact.bind(this);
+        physics.world.addEventListener('beginContact', this.onBeginContact);
+    }
+
+    /**
+     * Add the paper just burned off a cigarette to its ash
+     * @param burned - Fraction of the cigarette's length burned (drop in burnLevel)
+     */
+    grow(entity, burned) {
+        if (burned <= 0) return;
+        const cigarette = entity.mesh;
+        const paperLength = cigarette.userData.originalPaperLength || 0.06;
+
+        const column = this.getColumn(entity);
+        if (entity.ashLength === 0) {
+            column.userData.breakLength = this.profile.maxLength * (0.75 + Math.random() * 0.25);
+        }
+        entity.ashLength += burned * paperLength * this.profile.packing;
+    }
+
+    /**
+     * A cigarette's ash for a save document (null when it has none)
+     */
+    serialize(entity) {
+        if (!entity.ashLength) return null;
+        return { length: entity.ashLength, breakLength: this.getColumn(entity).userData.breakLength };
+    }
+
+    /**
+     * Put a saved column back on a cigarette (shaped on the next update)
+     */
+    restore(entity, saved) {
+        entity.ashLength = saved.length;
+        this.getColumn(entity).userData.breakLength = saved.breakLength;
+    }
+
+    /**
+     * The ash column of a cigarette (created on first use)
+     */
+    getColumn(entity) {
+        let column = entity.mesh.getObjectByName('ash');
+        if (!column) {
+            column = new THREE.Mesh(this.columnGeometry, this.material);
+            column.name = 'ash';
+            column.castShadow = true;
+            column.visible = false;
+            entity.mesh.add(column);
+        }
+        return column;
+    }
+
+    /**
+     * Note cigarettes that hit something hard enough to lose their ash
+     * (runs inside the physics step, so the ash drops on the next update)
+     */
+    onBeginContact({ bodyA, bodyB }) {
+        for (const entity of this.entities.ofKind(EntityKind.CIGARETTE)) {
+            if (entity.ashLength === 0 || (entity.body !== bodyA && entity.body !== bodyB)) continue;
+
+            const { speed } = this.physics.getImpact(bodyA, bodyB);
+            const column = this.getColumn(entity);
+            const hold = 1 - entity.ashLength / column.userData.breakLength;
+            if (speed > this.profile.joltSpeed * hold) {
+                this.jolted.add(entity);
+            }
+        }
+    }
+
+    /**
+     * Drop a cigarette's ash (a flick, a jolt, or it got too long)
+     */
+    knockOff(entity) {
+        if (!entity.ashLength) return;
+        const profile = this.profile;
+        const column = this.getColumn(entity);
+        column.updateWorldMatrix(true, false);
+
+        // Carry the cigarette's motion - for the one in hand that's the hand's
+        const velocity = new THREE.Vector3();
+        if (this.physics.getGrabbedEntity() === entity) {
+            velocity.copy(this.physics.grabVelocity);
+        } else if (entity.body) {
+            velocity.copy(entity.body.velocity);
+        }
+
+        const count = THREE.MathUtils.clamp(Math.round(entity.ashLength / profile.flakeLength), 1, 5);
+        for (let i = 0; i < count; i++) {
+            // Spread along the column (its local X is 0 at the base, 1 at the end)
+            _position.set((i + 0.5) / count, 0, 0).applyMatrix4(column.matrixWorld);
+            this.spawnFlake(_position, velocity);
+        }
+
+        entity.ashLength = 0;
+        column.visible = false;
+    }
+
+    spawnFlake(position, velocity) {
+        const size = this.profile.flakeSize * (0.7 + Math.random() * 0.6);
+
+        const mesh = new THREE.Mesh(this.flakeGeometry, this.material);
+        mesh.scale.set(size * 2, size * 1.4, size * 2);
+        mesh.position.copy(position);
+        this.scene.add(mesh);
+
+        const body = new CANNON.Body({
+            mass: 0.0005,
+            position: new CANNON.Vec3(position.x, position.y, position.z),
+            shape: new CANNON.Box(new CANNON.Vec3(size, size * 0.7, size)),
+            material: PhysicsMaterials.ash,
+            linearDamping: 0.6,
+            angularDamping: 0.6
+        });
+        body.velocity.set(
+            velocity.x + (Math.random() - 0.5) * 0.1,
+            velocity.y + Math.random() * 0.05,
+            velocity.z + (Math.random() - 0.5) * 0.1
+        );
+        body.angularVelocity.set(
+            (Math.random() - 0.5) * 8,
+            (Math.random() - 0.5) * 8,
+            (Math.random() - 0.5) * 8
+        );
+        this.physics.world.addBody(body);
+        this.flakes.push({ mesh, body, size, age: 0 });
+    }
+
+    /**
+     * Shape the columns, drop the ones that are due and settle landed flakes (one fixed step)
+     */
+    update(deltaTime) {
+        for (const entity of this.jolted) {
+            this.knockOff(entity);
+        }
+        this.jolted.clear();
+
+        for (const entity of this.entities.ofKind(EntityKind.CIGARETTE)) {
+            if (entity.ashLength > 0) {
+                this.updateColumn(entity);
+            }
+        }
+
+        this.flakes = this.flakes.filter(flake => {
+            const { mesh, body } = flake;
+            mesh.position.copy(body.position);
+            mesh.quaternion.copy(body.quaternion);
+
+            flake.age += deltaTime;
+            const landed = flake.age > 0.3 && body.velocity.length() < this.profile.settleSpeed;
+            if (!landed && flake.age < this.profile.flakeLifetime) return true;
+
+            // Just above whatever it's lying on
+            const bottom = body.position.y - flake.size * 0.7 + 0.0005;
+            this.stains.createAshStain(body.position.x, bottom, body.position.z, flake.size);
+            this.removeFlake(flake);
+            return false;
+        });
+    }
+
+    /**
+     * Sit the column on the ember and bend it toward the ground as it lengthens
+     */
+    updateColumn(entity) {
+        const column = this.getColumn(entity);
+        if (entity.ashLength >= column.userData.breakLength) {
+            this.knockOff(entity);
+            return;
+        }
+
+        const cigarette = entity.mesh;
+        const tip = cigarette.getObjectByName('tip');
+        if (!tip) return;
+
+        // The tip is a thin disk along X that stretches while drawing
+        const tipHalfLength = 0.001 * tip.scale.y;
+        column.position.set(tip.position.x + tipHalfLength, tip.position.y, tip.position.z);
+        column.scale.set(entity.ashLength, 1, 1);
+        column.visible = true;
+
+        // World down in the cigarette's frame, across its length
+        cigarette.getWorldQuaternion(_quaternion);
+        _down.set(0, -1, 0).applyQuaternion(_quaternion.invert());
+        _down.x = 0;
+        if (_down.lengthSq() < 1e-6) {
+            // Pointing straight up or down - nothing to droop toward
+            column.quaternion.identity();
+            return;
+        }
+        _axis.set(1, 0, 0).cross(_down.normalize());
+        const droop = this.profile.maxDroop * (entity.ashLength / this.profile.maxLength) ** 2;
+        column.quaternion.setFromAxisAngle(_axis, droop);
+    }
+
+    removeFlake(flake) {
+        this.scene.remove(flake.mesh);
+        this.physics.world.removeBody(flake.body);
+    }
+
+    /**
+     * Remove flakes still in the air (before restoring a save)
+     */
+    clear() {
+        for (const flake of this.flakes) {
+            this.removeFlake(flake);
+        }
+        this.flakes = [];
+        this.jolted.clear();
+    }
+
+    dispose() {
+        this.clear();
+        this.physics.world.removeEventListener('beginContact', this.onBeginContact);
+        this.columnGeometry.dispose();
+        this.flakeGeometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * Asset manifest loader
+ * Downloads everything listed in assets.json up front, counting real bytes for
+ * the loading bar and checking each file against its size and SHA-256.
+ * Models, sounds and textures are then created from the downloaded copies
+ * (via resolve()), so nothing is fetched twice.
+ */
+
+export class AssetError extends Error {
+    constructor(message, failures = []) {
+        super(message);
+        this.name = 'AssetError';
+        this.failures = failures; // [{ url, type, required, reason }]
+    }
+}
+
+export class AssetLoader {
+    constructor(manifestUrl = 'assets.json') {
+        this.manifestUrl = manifestUrl;
+        this.entries = [];
+        this.loaded = new Map();   // url -> object URL of the downloaded copy
+        this.failures = [];        // [{ url, type, required, reason }]
+        this.warnedNoHash = false;
+    }
+
+    async loadManifest() {
+        const response = await fetch(this.manifestUrl);
+        if (!response.ok) {
+            throw new AssetError(`Asset manifest ${this.manifestUrl}: ${response.status} ${response.statusText}`);
+        }
+        this.entries = (await response.json()).assets;
+        return this.entries;
+    }
+
+    /**
+     * Download every asset in the manifest
+     * Optional assets that fail are recorded and skipped; if any required
+     * asset fails, an AssetError listing every failure is thrown at the end
+     * @param {Function} onProgress - Called with { loaded, total, url } (bytes)
+     */
+    async loadAll(onProgress = () => {}) {
+        if (this.entries.length === 0) {
+            await this.loadManifest();
+        }
+
+        // Sizes from the manifest give a total before any response arrives;
+        // unhashed entries add their Content-Length once the headers are in
+        const progress = new Map(this.entries.map(entry => [entry.url, { loaded: 0, total: entry.size || 0 }]));
+        const report = (url) => {
+            let loaded = 0;
+            let total = 0;
+            for (const p of progress.values()) {
+                loaded += p.loaded;
+                total += Math.max(p.total, p.loaded);
+            }
+            onProgress({ loaded, total, url });
+        };
+
+        await Promise.all(this.entries.map(async (entry) => {
+            const p = progress.get(entry.url);
+            try {
+                const bytes = await this.download(entry, p, () => report(entry.url));
+                await this.verify(entry, bytes);
+                this.loaded.set(entry.url, URL.createObjectURL(new Blob([bytes], { type: mimeType(entry) })));
+            } catch (e) {
+                p.total = p.loaded; // Don't leave the bar waiting on bytes that won't come
+                this.failures.push({ url: entry.url, type: entry.type, required: entry.required, reason: e.message });
+                console.warn(`${entry.required ? 'Required' : 'Optional'} asset failed: ${entry.url} (${e.message})`);
+            }
+            report(entry.url);
+        }));
+
+        const required = this.failures.filter(f => f.required);
+        if (required.length > 0) {
+            throw new AssetError(
+                `${required.length} required asset${required.length > 1 ? 's' : ''} failed to load`,
+                this.failures
+            );
+        }
+    }
+
+    /**
+     * Stream one asset, updating its byte count as chunks arrive
+     */
+    async download(entry, progress, onChunk) {
+        const response = await fetch(entry.url);
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? 'not found' : `${response.status} ${response.statusText}`);
+        }
+
+        const length = Number(response.headers.get('Content-Length'));
+        if (!entry.size && length) {
+            progress.total = length;
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            progress.loaded += value.length;
+            onChunk();
+        }
+
+        const bytes = new Uint8Array(progress.loaded);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return bytes;
+    }
+
+    /**
+     * Check a download against the size and hash in the manifest
+     */
+    async verify(entry, bytes) {
+        if (entry.size !== undefined && bytes.length !== entry.size) {
+            throw new Error(`expected ${entry.size} bytes, got ${bytes.length}`);
+        }
+        if (!entry.sha256) return;
+
+        // crypto.subtle only exists in secure contexts (https or localhost)
+        if (!globalThis.crypto?.subtle) {
+            if (!this.warnedNoHash) {
+                console.warn('Not a secure context - skipping asset hash checks');
+                this.warnedNoHash = true;
+            }
+            return;
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        if (hex !== entry.sha256) {
+            throw new Error('checksum mismatch');
+        }
+    }
+
+    /**
+     * URL to load an asset from - the downloaded copy if there is one
+     */
+    resolve(url) {
+        return this.loaded.get(url) || url;
+    }
+
+    /**
+     * Whether an asset downloaded and passed its checks
+     */
+    has(url) {
+        return this.loaded.has(url);
+    }
+
+    /**
+     * SHA-256 of an asset from the manifest (null if it was never hashed)
+     */
+    getHash(url) {
+        const entry = this.entries.find(e => e.url === url);
+        return (entry && entry.sha256) || null;
+    }
+
+    getFailures() {
+        return this.failures;
+    }
+}
+
+// Blob type, so the browser decodes images and audio the same as from the server
+function mimeType(entry) {
+    const extension = entry.url.split('.').pop().toLowerCase();
+    return {
+        glb: 'model/gltf-binary',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        wav: 'audio/wav',
+        mp3: 'audio/mpeg'
+    }[extension] || '';
+}
+
+/**
+ * Human-readable byte count for the loading screen
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,143 @@
+/**
+ * Audio sprites - the separate hits inside one recording (taps, coughs, shard tinkles)
+ * Sprites are either listed in sounds.json or detected from the waveform;
+ * detected ones are cached in IndexedDB by file hash and detection settings,
+ * so a file is only scanned again when it or its settings change
+ */
+
+const DB_NAME = 'cafe-simulator-audio';
+const STORE_NAME = 'sprites';
+
+export const DetectDefaults = {
+    threshold: 0.15,
+    endThreshold: 0.05,
+    minGap: 0.2,
+    minDuration: 0.2,
+    maxDuration: 2.0,
+    windowSize: 1024
+};
+
+/**
+ * Analyze audio buffer to detect volume peaks (transients) with dynamic durations
+ * Returns array of { start, duration } for each detected sound
+ */
+export function detectPeaks(buffer, options = {}) {
+    const {
+        threshold,       // Volume threshold (0-1) to trigger detection
+        endThreshold,    // Volume threshold to detect end of sound
+        minGap,          // Minimum seconds between peaks
+        minDuration,     // Minimum duration of each sprite
+        maxDuration,     // Maximum duration of each sprite
+        windowSize       // Samples per analysis window
+    } = { ...DetectDefaults, ...options };
+
+    const channelData = buffer.getChannelData(0); // Use first channel
+    const sampleRate = buffer.sampleRate;
+    const sprites = [];
+
+    let lastPeakTime = -minGap;
+    let inSound = false;
+    let soundStart = 0;
+
+    // Scan through audio in windows
+    for (let i = 0; i < channelData.length; i += windowSize) {
+        // Calculate RMS (root mean square) volume for this window
+        let sum = 0;
+        const windowEnd = Math.min(i + windowSize, channelData.length);
+        for (let j = i; j < windowEnd; j++) {
+            sum += channelData[j] * channelData[j];
+        }
+        const rms = Math.sqrt(sum / (windowEnd - i));
+
+        const currentTime = i / sampleRate;
+
+        if (!inSound) {
+            // Check if this is a new peak above threshold with enough gap from last
+            if (rms > threshold && (currentTime - lastPeakTime) >= minGap) {
+                inSound = true;
+                soundStart = currentTime;
+            }
+        } else {
+            // We're in a sound - check if it ended (volume dropped below end threshold)
+            // or if we've hit max duration
+            const elapsed = currentTime - soundStart;
+            if (rms < endThreshold || elapsed >= maxDuration) {
+                // Sound ended - calculate dynamic duration
+                const duration = Math.max(minDuration, elapsed);
+                sprites.push({
+                    start: soundStart,
+                    duration: duration
+                });
+                lastPeakTime = soundStart;
+                inSound = false;
+            }
+        }
+    }
+
+    // Handle case where sound extends to end of buffer
+    if (inSound) {
+        const finalTime = channelData.length / sampleRate;
+        const duration = Math.max(minDuration, finalTime - soundStart);
+        sprites.push({
+            start: soundStart,
+            duration: Math.min(duration, maxDuration)
+        });
+    }
+
+    return sprites;
+}
+
+/**
+ * Detected sprites per file, in IndexedDB (falls back to no caching where
+ * IndexedDB isn't available, e.g. private windows)
+ */
+export class SpriteCache {
+    constructor() {
+        this.db = null;
+    }
+
+    async open() {
+        if (typeof indexedDB === 'undefined') return;
+
+        this.db = await new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Sprite cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Cache key - a different file or different settings is a different entry
+     */
+    static key(hash, detect) {
+        return `${hash}|${JSON.stringify(detect)}`;
+    }
+
+    async get(key) {
+        if (!this.db) return null;
+
+        return new Promise((resolve) => {
+            const request = this.db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    async set(key, sprites) {
+        if (!this.db) return;
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).put(sprites, key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn('Could not cache sprites:', transaction.error);
+                resolve();
+            };
+        });
+    }
+}
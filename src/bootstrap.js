@@ -0,0 +1,68 @@
+/**
+ * Chooses where three.js and cannon-es are loaded from, then starts the game
+ *
+ * index.html keeps the CDN importmap as inert JSON. If the CDN answers, that map
+ * is installed as-is; if not (or with ?offline) every CDN URL is rewritten to the
+ * copy in vendor/ made by scripts/vendor.js (same <package>@<version>/<path> layout).
+ *
+ * Classic script on purpose - an importmap has to be in place before the first module loads.
+ */
+(function () {
+    const CDN_PREFIX = 'https://cdn.jsdelivr.net/npm/';
+    const PROBE_TIMEOUT = 3000; // ms before giving up on the CDN
+
+    const cdnMap = JSON.parse(document.getElementById('importmap').textContent);
+
+    function toLocalMap(map) {
+        const vendorBase = new URL('vendor/', document.baseURI).href;
+        const imports = {};
+        for (const [specifier, url] of Object.entries(map.imports)) {
+            imports[specifier] = url.replace(CDN_PREFIX, vendorBase);
+        }
+        return { imports };
+    }
+
+    // Check that every pinned module file is reachable (prefix entries can't be probed)
+    async function cdnReachable(map) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+        try {
+            const files = Object.entries(map.imports)
+                .filter(([specifier]) => !specifier.endsWith('/'))
+                .map(([, url]) => url);
+            const responses = await Promise.all(
+                files.map(url => fetch(url, { method: 'HEAD', signal: controller.signal }))
+            );
+            return responses.every(response => response.ok);
+        } catch (e) {
+            return false;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    function start(map) {
+        const importMap = document.createElement('script');
+        importMap.type = 'importmap';
+        importMap.textContent = JSON.stringify(map);
+        document.head.appendChild(importMap);
+
+        const main = document.createElement('script');
+        main.type = 'module';
+        main.src = 'src/main.js';
+        document.body.appendChild(main);
+    }
+
+    async function boot() {
+        const forceOffline = new URLSearchParams(window.location.search).has('offline');
+        if (!forceOffline && await cdnReachable(cdnMap)) {
+            start(cdnMap);
+            return;
+        }
+
+        console.log(forceOffline ? 'Offline mode - using vendored modules' : 'CDN unreachable - using vendored modules');
+        start(toLocalMap(cdnMap));
+    }
+
+    boot();
+})();
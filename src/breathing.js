@@ -0,0 +1,115 @@
+// Where the current breath is
+export const BreathPhase = {
+    IDLE: 'idle',
+    INHALING: 'inhaling',     // Drawing on the cigarette
+    HOLDING: 'holding',       // Cigarette away from the lips, smoke still in
+    EXHALING: 'exhaling'
+};
+
+/**
+ * Volumes are in drags: 1 = an ordinary drag (one unit of nicotine)
+ */
+export const BreathingProfile = {
+    drawRise: 0.3,          // Seconds (time constant) for the draw to build at the lips
+    drawFall: 0.1,          // ...and to die away once the cigarette leaves them
+    inhaleRate: 1.0,        // Drags per second at full draw
+    capacity: 2.0,          // Most the lungs hold - the draw weakens as they fill
+    hold: 0.4,              // Seconds the smoke is held before breathing out
+    exhaleRate: 1.5,        // Drags per second breathed out
+    comfortableDrag: 1.0,   // Drags bigger than this make coughing more likely
+    maxCoughChance: 0.95
+};
+
+/**
+ * Drawing on a cigarette and breathing the smoke back out
+ *
+ * While the cigarette is at the lips the draw builds up and smoke fills the
+ * lungs; once it leaves them the smoke is held for a moment, then breathed
+ * out at a steady rate. Call inhale() for each step at the lips, then
+ * update() every step.
+ */
+export class BreathingModel {
+    constructor(profile = BreathingProfile) {
+        this.profile = profile;
+        this.phase = BreathPhase.IDLE;
+        this.draw = 0;          // How hard the player is pulling (0-1)
+        this.lungs = 0;         // Smoke currently held, in drags
+        this.dragVolume = 0;    // Smoke taken in by the current (or last) drag
+        this.holdTime = 0;
+        this.drawing = false;   // inhale() was called this step
+    }
+
+    /**
+     * Pull on the cigarette for one step
+     * @returns {number} Drags of smoke taken in this step
+     */
+    inhale(deltaTime) {
+        const profile = this.profile;
+        if (this.phase !== BreathPhase.INHALING) {
+            // A new drag - anything still in the lungs stays there
+            this.phase = BreathPhase.INHALING;
+            this.dragVolume = 0;
+        }
+        this.drawing = true;
+
+        // Draw builds toward how much room is left in the lungs
+        const target = 1 - this.lungs / profile.capacity;
+        this.draw += (target - this.draw) * (1 - Math.exp(-deltaTime / profile.drawRise));
+
+        const inhaled = Math.min(this.draw * profile.inhaleRate * deltaTime, profile.capacity - this.lungs);
+        this.lungs += inhaled;
+        this.dragVolume += inhaled;
+        return inhaled;
+    }
+
+    /**
+     * Advance the breath by one step (after any inhale)
+     * @returns {{ exhaled: number, exhaleStarted: boolean }} Drags breathed out this
+     *     step, and whether the exhale began this step
+     */
+    update(deltaTime) {
+        const profile = this.profile;
+        const result = { exhaled: 0, exhaleStarted: false };
+
+        if (this.drawing) {
+            this.drawing = false;
+            return result;
+        }
+
+        this.draw *= Math.exp(-deltaTime / profile.drawFall);
+        if (this.draw < 1e-3) this.draw = 0;
+
+        if (this.phase === BreathPhase.INHALING) {
+            this.phase = BreathPhase.HOLDING;
+            this.holdTime = 0;
+        }
+
+        if (this.phase === BreathPhase.HOLDING) {
+            this.holdTime += deltaTime;
+            if (this.holdTime >= profile.hold) {
+                this.phase = BreathPhase.EXHALING;
+                result.exhaleStarted = true;
+            }
+        }
+
+        if (this.phase === BreathPhase.EXHALING) {
+            result.exhaled = Math.min(this.lungs, profile.exhaleRate * deltaTime);
+            this.lungs -= result.exhaled;
+            if (this.lungs < 1e-4) {
+                this.lungs = 0;
+                this.phase = BreathPhase.IDLE;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Chance of coughing after the last drag, from the chance for an ordinary one
+     * Grows with the square of the drag, so twice the comfortable size is four times as likely
+     */
+    getCoughChance(baseChance) {
+        const size = this.dragVolume / this.profile.comfortableDrag;
+        return Math.min(this.profile.maxCoughChance, baseChance * size * size);
+    }
+}
@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { EntityKind } from './entities.js';
+
+/**
+ * unlit -> lit (drawn on through a lighter flame) -> extinguished (stubbed
+ * out in the ashtray, or burned down to the filter). Extinguished cigarettes
+ * are butts - they stay where they are and can't be smoked or relit
+ */
+export const CigaretteState = {
+    UNLIT: 'unlit',
+    LIT: 'lit',
+    EXTINGUISHED: 'extinguished'
+};
+
+export const CigaretteProfile = {
+    passiveBurn: 0.004,     // burnLevel lost per second while lit - about 3 minutes left on the ashtray
+    buttLevel: 0.2,         // Burned down this far it goes out (burnCigarette doesn't go lower)
+    lightTime: 0.5,         // Seconds of drawing with the tip in the flame before it catches
+    lightDistance: 0.015,   // How close the flame has to be to the tip (m)
+    stubTime: 0.25,         // Seconds the lit end has to be pressed into the ashtray
+    stubDistance: 0.015     // How close to the tip an ashtray contact counts (m)
+};
+
+// How the end of the cigarette looks in each state
+const TipLooks = {
+    [CigaretteState.UNLIT]: { color: 0xe8e2d6, emissive: 0x000000 },
+    [CigaretteState.LIT]: { color: 0xff4500, emissive: 0xff4400 },
+    [CigaretteState.EXTINGUISHED]: { color: 0x2b2723, emissive: 0x000000 }
+};
+
+const _tip = new THREE.Vector3();
+const _contact = new THREE.Vector3();
+
+/**
+ * Lighting, burning and putting out every cigarette on the table
+ * Drags burn through burn() too, so the ash always grows with the burn
+ */
+export class CigaretteLifecycle {
+    constructor(physics, hands, ash, entities, profile = CigaretteProfile) {
+        this.physics = physics;
+        this.hands = hands;
+        this.ash = ash;
+        this.entities = entities;
+        this.profile = profile;
+
+        this.ashtrayBody = null;
+        this.onExtinguish = null;   // (entity, reason) - set by the game
+    }
+
+    /**
+     * The body a lit end can be pressed into to put it out
+     */
+    setAshtray(body) {
+        this.ashtrayBody = body;
+    }
+
+    /**
+     * Set a cigarette's state directly (spawning, restoring a save)
+     */
+    setState(entity, state) {
+        if (!TipLooks[state]) {
+            throw new Error(`Unknown cigarette state: ${state}`);
+        }
+        entity.cigaretteState = state;
+        entity.lightProgress = 0;
+        entity.stubProgress = 0;
+
+        const tip = entity.mesh.getObjectByName('tip');
+        if (tip && tip.material) {
+            tip.material.color.setHex(TipLooks[state].color);
+            tip.material.emissive.setHex(TipLooks[state].emissive);
+        }
+        if (state !== CigaretteState.LIT) {
+            this.hands.setTipGlow(0, entity.mesh);
+        }
+    }
+
+    isLit(entity) {
+        return entity.cigaretteState === CigaretteState.LIT;
+    }
+
+    light(entity) {
+        if (entity.cigaretteState !== CigaretteState.UNLIT) return false;
+        this.setState(entity, CigaretteState.LIT);
+        console.log('Cigarette lit');
+        return true;
+    }
+
+    /**
+     * @param {string} reason - 'stubbed' or 'burned down'
+     */
+    extinguish(entity, reason) {
+        if (entity.cigaretteState !== CigaretteState.LIT) return;
+        this.setState(entity, CigaretteState.EXTINGUISHED);
+        console.log(`Cigarette ${reason}`);
+        if (this.onExtinguish) {
+            this.onExtinguish(entity, reason);
+        }
+    }
+
+    /**
+     * Draw on an unlit cigarette for one step with a flame somewhere nearby
+     * @param {THREE.Vector3|null} flame - Flame position (world space), null when there's no flame
+     * @returns {boolean} true if it caught this step
+     */
+    drawThroughFlame(entity, flame, deltaTime) {
+        if (entity.cigaretteState !== CigaretteState.UNLIT || !flame) return false;
+
+        const tip = this.hands.getCigaretteTipWorldPosition(entity.mesh);
+        if (tip.distanceTo(flame) > this.profile.lightDistance) {
+            entity.lightProgress = 0;
+            return false;
+        }
+        entity.lightProgress += deltaTime;
+        return entity.lightProgress >= this.profile.lightTime && this.light(entity);
+    }
+
+    /**
+     * Burn part of a lit cigarette's length into ash
+     */
+    burn(entity, amount) {
+        const burnLevel = entity.burnLevel;
+        this.hands.burnCigarette(entity, amount);
+        this.ash.grow(entity, burnLevel - entity.burnLevel);
+    }
+
+    /**
+     * Burn lit cigarettes down and put out the ones that are done (one fixed step, after physics)
+     */
+    update(deltaTime) {
+        for (const entity of this.entities.ofKind(EntityKind.CIGARETTE)) {
+            if (!this.isLit(entity)) continue;
+
+            this.burn(entity, this.profile.passiveBurn * deltaTime);
+            if (entity.burnLevel <= this.profile.buttLevel + 1e-9) {
+                this.extinguish(entity, 'burned down');
+                continue;
+            }
+
+            if (this.isPressedIntoAshtray(entity)) {
+                entity.stubProgress += deltaTime;
+                if (entity.stubProgress >= this.profile.stubTime) {
+                    this.extinguish(entity, 'stubbed');
+                }
+            } else {
+                entity.stubProgress = 0;
+            }
+        }
+    }
+
+    /**
+     * Held, with the lit end touching the ashtray
+     */
+    isPressedIntoAshtray(entity) {
+        if (!this.ashtrayBody || this.physics.getGrabbedEntity() !== entity) return false;
+
+        _tip.copy(this.hands.getCigaretteTipWorldPosition(entity.mesh));
+        for (const contact of this.physics.world.contacts) {
+            const pair = (contact.bi === entity.body && contact.bj === this.ashtrayBody)
+                || (contact.bi === this.ashtrayBody && contact.bj === entity.body);
+            if (!pair) continue;
+
+            _contact.copy(contact.bi.position).add(contact.ri);
+            if (_contact.distanceTo(_tip) < this.profile.stubDistance) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
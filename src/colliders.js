@@ -0,0 +1,440 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { ConvexHull } from 'three/addons/math/ConvexHull.js';
+
+/**
+ * Collider generation from model geometry
+ *
+ * Types:
+ * - 'boxes': the model voxelized (inside filled, open cavities like a bowl
+ *   kept open) and merged into as few boxes as possible, each shrunk to the
+ *   geometry it covers. Best for static props - boxes collide with everything
+ * - 'convexDecomposition': the same voxel regions, each wrapped in a convex
+ *   hull. For dynamic items that need concave shapes (a cup with a handle)
+ * - 'convexHull': one convex hull around the whole model
+ * - 'trimesh': the triangles, simplified onto the voxel grid. cannon-es only
+ *   collides trimeshes with spheres and planes (e.g. coffee droplets), so
+ *   items resting on a trimesh fall through it
+ *
+ * Results are cached per model path, scale and options; pass
+ * { cacheKey } for objects that weren't loaded through loadModel
+ */
+
+const DEFAULT_RESOLUTION = {
+    boxes: 32,
+    convexDecomposition: 8,
+    convexHull: 8,
+    trimesh: 32
+};
+
+const colliderCache = new Map();
+
+/**
+ * CANNON shapes for an object, positioned relative to its origin
+ * (add them to a body at the object's world position and rotation)
+ * @param {THREE.Object3D} object3D
+ * @param {Object} options - { type, resolution, cacheKey }
+ * @returns {Array<{ shape: CANNON.Shape, offset: CANNON.Vec3 }>}
+ */
+export function createColliderShapes(object3D, options = {}) {
+    return getColliderDescription(object3D, options).map(createShape);
+}
+
+/**
+ * Plain-data collider description (what gets cached)
+ */
+export function getColliderDescription(object3D, options = {}) {
+    const type = options.type || 'boxes';
+    if (!DEFAULT_RESOLUTION[type]) {
+        throw new Error(`Unknown collider type: ${type}`);
+    }
+    const resolution = options.resolution || DEFAULT_RESOLUTION[type];
+
+    const scale = object3D.getWorldScale(new THREE.Vector3());
+    const path = options.cacheKey || object3D.userData.modelPath;
+    const key = path && `${path}|${type}|${resolution}|${scale.x},${scale.y},${scale.z}`;
+    if (key && colliderCache.has(key)) {
+        return colliderCache.get(key);
+    }
+
+    const start = performance.now();
+    const geometry = extractGeometry(object3D);
+    const voxels = voxelize(geometry, resolution);
+
+    let pieces;
+    switch (type) {
+        case 'boxes':
+            pieces = mergeBoxes(voxels).map(box => boxPiece(voxels, box));
+            break;
+        case 'convexDecomposition':
+            pieces = mergeBoxes(voxels).map(box => hullPiece(voxelCorners(voxels, box), voxels.voxelSize) || boxPiece(voxels, box));
+            break;
+        case 'convexHull':
+            pieces = [hullPiece(voxelCorners(voxels, { min: [0, 0, 0], max: voxels.dims.map(d => d - 1) }), voxels.voxelSize)];
+            break;
+        case 'trimesh':
+            pieces = [trimeshPiece(geometry, voxels)];
+            break;
+    }
+
+    console.log(`${type} collider for ${path || object3D.name}: ${pieces.length} pieces in ${(performance.now() - start).toFixed(0)}ms`);
+    if (key) {
+        colliderCache.set(key, pieces);
+    }
+    return pieces;
+}
+
+/**
+ * All triangles of an object in its own frame - world scale applied, but not
+ * its world position or rotation (those go on the body)
+ */
+function extractGeometry(object3D) {
+    object3D.updateWorldMatrix(true, true);
+    const rootInverse = new THREE.Matrix4().compose(
+        object3D.getWorldPosition(new THREE.Vector3()),
+        object3D.getWorldQuaternion(new THREE.Quaternion()),
+        new THREE.Vector3(1, 1, 1)
+    ).invert();
+
+    const positions = [];
+    const indices = [];
+    const matrix = new THREE.Matrix4();
+    const v = new THREE.Vector3();
+
+    object3D.traverse((child) => {
+        if (!child.isMesh || !child.geometry) return;
+
+        const pos = child.geometry.attributes.position;
+        const index = child.geometry.index;
+        matrix.multiplyMatrices(rootInverse, child.matrixWorld);
+
+        const offset = positions.length / 3;
+        for (let i = 0; i < pos.count; i++) {
+            v.fromBufferAttribute(pos, i).applyMatrix4(matrix);
+            positions.push(v.x, v.y, v.z);
+        }
+        const count = index ? index.count : pos.count;
+        for (let i = 0; i < count; i++) {
+            indices.push(offset + (index ? index.getX(i) : i));
+        }
+    });
+
+    return { positions, indices };
+}
+
+/**
+ * Voxelize the surface by sampling every triangle, then fill whatever the
+ * outside can't reach. Each surface voxel remembers the bounds of the samples
+ * that hit it, so boxes can hug the real surface instead of the grid
+ */
+function voxelize({ positions, indices }, resolution) {
+    const bounds = new THREE.Box3();
+    const v = new THREE.Vector3();
+    for (let i = 0; i < positions.length; i += 3) {
+        bounds.expandByPoint(v.set(positions[i], positions[i + 1], positions[i + 2]));
+    }
+    const size = bounds.getSize(new THREE.Vector3());
+    const voxelSize = Math.max(size.x, size.y, size.z) / resolution;
+
+    // One empty voxel of padding all round so the outside is connected
+    const origin = bounds.min.clone().subScalar(voxelSize);
+    const dims = [
+        Math.ceil(size.x / voxelSize) + 3,
+        Math.ceil(size.y / voxelSize) + 3,
+        Math.ceil(size.z / voxelSize) + 3
+    ];
+    const count = dims[0] * dims[1] * dims[2];
+    const surface = new Uint8Array(count);
+    const sampleMin = new Float32Array(count * 3).fill(Infinity);
+    const sampleMax = new Float32Array(count * 3).fill(-Infinity);
+    const indexOf = (x, y, z) => x + dims[0] * (y + dims[1] * z);
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const p = new THREE.Vector3();
+    const mark = (point) => {
+        const x = Math.floor((point.x - origin.x) / voxelSize);
+        const y = Math.floor((point.y - origin.y) / voxelSize);
+        const z = Math.floor((point.z - origin.z) / voxelSize);
+        const i = indexOf(x, y, z);
+        surface[i] = 1;
+        for (let axis = 0; axis < 3; axis++) {
+            const value = point.getComponent(axis);
+            sampleMin[i * 3 + axis] = Math.min(sampleMin[i * 3 + axis], value);
+            sampleMax[i * 3 + axis] = Math.max(sampleMax[i * 3 + axis], value);
+        }
+    };
+
+    for (let t = 0; t < indices.length; t += 3) {
+        a.fromArray(positions, indices[t] * 3);
+        b.fromArray(positions, indices[t + 1] * 3);
+        c.fromArray(positions, indices[t + 2] * 3);
+
+        // Sample at half a voxel so no voxel the triangle crosses is missed
+        const longest = Math.max(a.distanceTo(b), b.distanceTo(c), c.distanceTo(a));
+        const steps = Math.max(1, Math.ceil(longest / (voxelSize * 0.5)));
+        for (let i = 0; i <= steps; i++) {
+            for (let j = 0; j <= steps - i; j++) {
+                p.copy(a)
+                    .addScaledVector(b.clone().sub(a), i / steps)
+                    .addScaledVector(c.clone().sub(a), j / steps);
+                mark(p);
+            }
+        }
+    }
+
+    // Flood the outside from a corner; anything it can't reach is solid
+    const outside = new Uint8Array(count);
+    const stack = [0];
+    outside[0] = 1;
+    while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % dims[0];
+        const y = Math.floor(i / dims[0]) % dims[1];
+        const z = Math.floor(i / (dims[0] * dims[1]));
+        for (const [dx, dy, dz] of [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]) {
+            const nx = x + dx;
+            const ny = y + dy;
+            const nz = z + dz;
+            if (nx < 0 || ny < 0 || nz < 0 || nx >= dims[0] || ny >= dims[1] || nz >= dims[2]) continue;
+            const n = indexOf(nx, ny, nz);
+            if (outside[n] || surface[n]) continue;
+            outside[n] = 1;
+            stack.push(n);
+        }
+    }
+
+    const solid = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        solid[i] = outside[i] ? 0 : 1;
+    }
+
+    return { dims, origin, voxelSize, solid, surface, sampleMin, sampleMax, indexOf };
+}
+
+/**
+ * Greedily merge solid voxels into boxes (grow along x, then y, then z)
+ * @returns {Array<{ min: number[], max: number[] }>} Inclusive voxel index ranges
+ */
+function mergeBoxes(voxels) {
+    const { dims, solid, indexOf } = voxels;
+    const used = new Uint8Array(solid.length);
+    const free = (x, y, z) => solid[indexOf(x, y, z)] && !used[indexOf(x, y, z)];
+    const boxes = [];
+
+    for (let z = 0; z < dims[2]; z++) {
+        for (let y = 0; y < dims[1]; y++) {
+            for (let x = 0; x < dims[0]; x++) {
+                if (!free(x, y, z)) continue;
+
+                let x1 = x;
+                while (x1 + 1 < dims[0] && free(x1 + 1, y, z)) x1++;
+
+                let y1 = y;
+                const rowFree = (yy, zz) => {
+                    for (let xx = x; xx <= x1; xx++) {
+                        if (!free(xx, yy, zz)) return false;
+                    }
+                    return true;
+                };
+                while (y1 + 1 < dims[1] && rowFree(y1 + 1, z)) y1++;
+
+                let z1 = z;
+                const layerFree = (zz) => {
+                    for (let yy = y; yy <= y1; yy++) {
+                        if (!rowFree(yy, zz)) return false;
+                    }
+                    return true;
+                };
+                while (z1 + 1 < dims[2] && layerFree(z1 + 1)) z1++;
+
+                for (let zz = z; zz <= z1; zz++) {
+                    for (let yy = y; yy <= y1; yy++) {
+                        for (let xx = x; xx <= x1; xx++) {
+                            used[indexOf(xx, yy, zz)] = 1;
+                        }
+                    }
+                }
+                boxes.push({ min: [x, y, z], max: [x1, y1, z1] });
+            }
+        }
+    }
+    return boxes;
+}
+
+// Bounds of one voxel's contents - the surface samples, or the whole voxel if it's inside
+function voxelBounds(voxels, x, y, z) {
+    const { origin, voxelSize, surface, sampleMin, sampleMax, indexOf } = voxels;
+    const i = indexOf(x, y, z);
+    if (surface[i]) {
+        return {
+            min: [sampleMin[i * 3], sampleMin[i * 3 + 1], sampleMin[i * 3 + 2]],
+            max: [sampleMax[i * 3], sampleMax[i * 3 + 1], sampleMax[i * 3 + 2]]
+        };
+    }
+    const min = [origin.x + x * voxelSize, origin.y + y * voxelSize, origin.z + z * voxelSize];
+    return { min, max: min.map(value => value + voxelSize) };
+}
+
+function forEachVoxel(box, callback) {
+    for (let z = box.min[2]; z <= box.max[2]; z++) {
+        for (let y = box.min[1]; y <= box.max[1]; y++) {
+            for (let x = box.min[0]; x <= box.max[0]; x++) {
+                callback(x, y, z);
+            }
+        }
+    }
+}
+
+function boxPiece(voxels, box) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    forEachVoxel(box, (x, y, z) => {
+        const bounds = voxelBounds(voxels, x, y, z);
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], bounds.min[axis]);
+            max[axis] = Math.max(max[axis], bounds.max[axis]);
+        }
+    });
+
+    // Flat surfaces give zero-thickness bounds - keep a sliver so the box has volume
+    const minHalf = voxels.voxelSize * 0.05;
+    return {
+        type: 'box',
+        center: min.map((value, axis) => (value + max[axis]) / 2),
+        halfExtents: min.map((value, axis) => Math.max((max[axis] - value) / 2, minHalf))
+    };
+}
+
+// Corner points of every solid voxel's contents in a box (hull input, far fewer than the vertices)
+function voxelCorners(voxels, box) {
+    const points = [];
+    forEachVoxel(box, (x, y, z) => {
+        if (!voxels.solid[voxels.indexOf(x, y, z)]) return;
+        const { min, max } = voxelBounds(voxels, x, y, z);
+        for (let corner = 0; corner < 8; corner++) {
+            points.push(new THREE.Vector3(
+                corner & 1 ? max[0] : min[0],
+                corner & 2 ? max[1] : min[1],
+                corner & 4 ? max[2] : min[2]
+            ));
+        }
+    });
+    return points;
+}
+
+/**
+ * Convex hull piece, centred on its own centroid
+ * @returns {Object|null} null if the points are flat (no volume to wrap)
+ */
+function hullPiece(points, voxelSize) {
+    // Snap to a quarter voxel so near-duplicate corners don't become extra hull vertices
+    const step = voxelSize * 0.25;
+    const snapped = new Map();
+    for (const point of points) {
+        const key = `${Math.round(point.x / step)},${Math.round(point.y / step)},${Math.round(point.z / step)}`;
+        if (!snapped.has(key)) {
+            snapped.set(key, point.clone().divideScalar(step).round().multiplyScalar(step));
+        }
+    }
+
+    const unique = Array.from(snapped.values());
+
+    // Points all come from axis-aligned bounds, so a flat set is flat along an axis
+    const size = new THREE.Box3().setFromPoints(unique).getSize(new THREE.Vector3());
+    if (Math.min(size.x, size.y, size.z) < step) return null;
+
+    const hull = new ConvexHull().setFromPoints(unique);
+
+    const vertexIndex = new Map();
+    const vertices = [];
+    const faces = [];
+    for (const face of hull.faces) {
+        const indices = [];
+        let edge = face.edge;
+        do {
+            const vertex = edge.head();
+            if (!vertexIndex.has(vertex)) {
+                vertexIndex.set(vertex, vertices.length);
+                vertices.push(vertex.point);
+            }
+            indices.push(vertexIndex.get(vertex));
+            edge = edge.next;
+        } while (edge !== face.edge);
+        faces.push(indices);
+    }
+
+    const center = new THREE.Vector3();
+    for (const vertex of vertices) center.add(vertex);
+    center.divideScalar(vertices.length);
+
+    return {
+        type: 'convex',
+        center: center.toArray(),
+        vertices: vertices.map(vertex => vertex.clone().sub(center).toArray()),
+        faces
+    };
+}
+
+/**
+ * Triangles with their vertices snapped together on the voxel grid
+ * (vertex clustering - triangles that collapse are dropped)
+ */
+function trimeshPiece({ positions, indices }, voxels) {
+    const clusters = new Map(); // voxel index -> new vertex index
+    const clusterOf = [];
+    const vertices = [];
+    const sums = [];
+
+    for (let i = 0; i < positions.length / 3; i++) {
+        const x = Math.floor((positions[i * 3] - voxels.origin.x) / voxels.voxelSize);
+        const y = Math.floor((positions[i * 3 + 1] - voxels.origin.y) / voxels.voxelSize);
+        const z = Math.floor((positions[i * 3 + 2] - voxels.origin.z) / voxels.voxelSize);
+        const key = voxels.indexOf(x, y, z);
+        if (!clusters.has(key)) {
+            clusters.set(key, sums.length);
+            sums.push([0, 0, 0, 0]);
+        }
+        const cluster = clusters.get(key);
+        clusterOf.push(cluster);
+        const sum = sums[cluster];
+        sum[0] += positions[i * 3];
+        sum[1] += positions[i * 3 + 1];
+        sum[2] += positions[i * 3 + 2];
+        sum[3]++;
+    }
+    for (const [x, y, z, n] of sums) {
+        vertices.push(x / n, y / n, z / n);
+    }
+
+    const simplified = [];
+    for (let t = 0; t < indices.length; t += 3) {
+        const a = clusterOf[indices[t]];
+        const b = clusterOf[indices[t + 1]];
+        const c = clusterOf[indices[t + 2]];
+        if (a !== b && b !== c && c !== a) {
+            simplified.push(a, b, c);
+        }
+    }
+
+    return { type: 'trimesh', center: [0, 0, 0], vertices, indices: simplified };
+}
+
+function createShape(piece) {
+    const offset = new CANNON.Vec3(...piece.center);
+    switch (piece.type) {
+        case 'box':
+            return { shape: new CANNON.Box(new CANNON.Vec3(...piece.halfExtents)), offset };
+        case 'convex':
+            return {
+                shape: new CANNON.ConvexPolyhedron({
+                    vertices: piece.vertices.map(v => new CANNON.Vec3(...v)),
+                    faces: piece.faces
+                }),
+                offset
+            };
+        case 'trimesh':
+            return { shape: new CANNON.Trimesh(piece.vertices, piece.indices), offset };
+    }
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { PhysicsMaterials } from './materials.js';
+
+// Impact speed along the contact normal (m/s) that's audible, and the speed that's full volume
+const MIN_SPEED = 0.15;
+const LOUD_SPEED = 3;
+
+// Rate limits so resting and sliding contacts don't spam
+const BODY_COOLDOWN = 0.08;  // Seconds before the same body can make another sound
+const MAX_VOICES = 6;        // Impacts allowed per VOICE_WINDOW seconds (a shattered cup)
+const VOICE_WINDOW = 0.1;
+
+// Fragments and droplets are lighter than any item
+const LIGHT_MASS = 0.1;
+
+/**
+ * Sound per material pair, keyed by the two material names sorted ('*' = any)
+ * samples are tried in order until one is available; light is used instead
+ * when the lighter body is a fragment or droplet
+ */
+const ImpactSounds = {
+    'ceramic|wood': {
+        samples: ['cupTap', 'shard'], volume: 1, pitch: 1,
+        light: { samples: ['shard', 'cupTap'], volume: 0.5, pitch: 1.4 }
+    },
+    'ceramic|floor': {
+        samples: ['cupTap', 'shard'], volume: 1, pitch: 0.8,
+        light: { samples: ['shard', 'cupTap'], volume: 0.5, pitch: 1.2 }
+    },
+    'ceramic|ceramic': { samples: ['shard', 'cupTap'], volume: 0.6, pitch: 1.3 },
+    'ceramic|glass': { samples: ['shard', 'cupTap'], volume: 0.7, pitch: 1.5 },
+    'glass|wood': { samples: ['cupTap', 'shard'], volume: 0.9, pitch: 1.3 },
+    'floor|glass': { samples: ['cupTap', 'shard'], volume: 0.9, pitch: 1.1 },
+    'glass|glass': { samples: ['shard', 'cupTap'], volume: 0.6, pitch: 1.7 },
+    'paper|*': { samples: ['cupTap'], volume: 0.15, pitch: 0.6 },   // Soft, dull tap
+    'liquid|*': { samples: ['cupTap'], volume: 0.05, pitch: 2.2 },  // Drip
+    default: { samples: ['cupTap'], volume: 0.6, pitch: 1 }
+};
+
+/**
+ * Collision sounds
+ * Listens to PhysicsWorld's beginContact events (fired before the solver, so
+ * velocities are still the approaching ones), picks a sample by material pair
+ * and scales volume and pitch with the impact speed
+ */
+export class CollisionAudio {
+    constructor(physics, sounds) {
+        this.physics = physics;
+        this.sounds = sounds;
+
+        this.lastImpact = new WeakMap(); // CANNON.Body -> physics time of its last sound
+        this.recentImpacts = [];         // Physics times of sounds in the last VOICE_WINDOW
+
+        this.onBeginContact = this.onBeginContact.bind(this);
+        physics.world.addEventListener('beginContact', this.onBeginContact);
+    }
+
+    onBeginContact({ bodyA, bodyB }) {
+        // The grab joint has no shapes and never really touches anything
+        if (bodyA.shapes.length === 0 || bodyB.shapes.length === 0) return;
+        // Ash flakes land without a sound
+        if (bodyA.material === PhysicsMaterials.ash || bodyB.material === PhysicsMaterials.ash) return;
+
+        const { speed, point } = this.physics.getImpact(bodyA, bodyB);
+        if (speed < MIN_SPEED) return;
+
+        const now = this.physics.time;
+        if (this.isCoolingDown(bodyA, now) || this.isCoolingDown(bodyB, now)) return;
+
+        this.recentImpacts = this.recentImpacts.filter(time => now - time < VOICE_WINDOW);
+        if (this.recentImpacts.length >= MAX_VOICES) return;
+
+        const sound = getImpactSound(bodyA, bodyB);
+        const strength = THREE.MathUtils.clamp((speed - MIN_SPEED) / (LOUD_SPEED - MIN_SPEED), 0, 1);
+        const volume = sound.volume * (0.15 + 0.85 * strength);
+        const pitch = sound.pitch * (0.9 + 0.2 * strength) * (0.95 + Math.random() * 0.1);
+
+        if (sound.samples.some(sample => this.sounds.playImpact(sample, volume, pitch, point))) {
+            this.lastImpact.set(bodyA, now);
+            this.lastImpact.set(bodyB, now);
+            this.recentImpacts.push(now);
+        }
+    }
+
+    isCoolingDown(body, now) {
+        // Static bodies (table, floor) are hit by everything - only limit the moving side
+        if (body.mass === 0) return false;
+        const last = this.lastImpact.get(body);
+        return last !== undefined && now - last < BODY_COOLDOWN;
+    }
+
+    dispose() {
+        this.physics.world.removeEventListener('beginContact', this.onBeginContact);
+    }
+}
+
+function getImpactSound(bodyA, bodyB) {
+    const names = [bodyA, bodyB].map(body => body.material ? body.material.name : null).sort();
+    let sound = ImpactSounds[names.join('|')]
+        || ImpactSounds[`${names[0]}|*`]
+        || ImpactSounds[`${names[1]}|*`]
+        || ImpactSounds.default;
+
+    // Lightest moving body decides whether it's a shard rather than the whole item
+    const masses = [bodyA.mass, bodyB.mass].filter(mass => mass > 0);
+    if (sound.light && masses.length > 0 && Math.min(...masses) < LIGHT_MASS) {
+        sound = sound.light;
+    }
+    return sound;
+}
@@ -18,6 +18,7 @@ export class Controls {
             this.camera.rotation.x = this.cameraPitch;
         }
         this.sensitivity = 0.003;
+        this.invertLook = false; // Mouse up looks down
 
         // Pitch limits (don't flip upside down)
         this.minPitch = -Math.PI / 3;  // Look down limit
@@ -53,7 +54,7 @@ export class Controls {
 
         // Update yaw (horizontal) and pitch (vertical) - inverted for "grab world" feel
         this.cameraYaw += deltaX * this.sensitivity;
-        this.cameraPitch += deltaY * this.sensitivity;
+        this.cameraPitch += deltaY * this.sensitivity * (this.invertLook ? -1 : 1);
 
         // Clamp pitch to prevent flipping
         this.cameraPitch = Math.max(this.minPitch, Math.min(this.maxPitch, this.cameraPitch));
@@ -0,0 +1,96 @@
+// Kinds of items that can be spawned on the table (keys of ItemCatalog in items.js)
+export const EntityKind = {
+    CUP: 'cup',
+    CIGARETTE: 'cigarette',
+    SUGAR_CUBE: 'sugarCube',
+    SPOON: 'spoon',
+    NAPKIN: 'napkin',
+    CROISSANT: 'croissant',
+    WATER_GLASS: 'waterGlass'
+};
+
+/**
+ * Tracks every spawned table item (cups, cigarettes) with its own state,
+ * so any number of them can coexist
+ */
+export class EntityRegistry {
+    constructor() {
+        this.entities = new Map(); // Map<id, entity>
+        this.byMesh = new Map();   // Map<THREE.Object3D, entity>
+        this.nextId = 1;
+    }
+
+    /**
+     * Register a spawned item
+     * @param {string} kind - One of EntityKind
+     * @param {THREE.Object3D} mesh - Root object of the item
+     * @param {Object} state - Initial state (definition, behaviors, body, liquid, burnLevel...)
+     * @returns {Object} The entity
+     */
+    add(kind, mesh, state = {}) {
+        const entity = {
+            id: this.nextId++,
+            kind: kind,
+            mesh: mesh,
+            definition: null,    // ItemCatalog entry
+            behaviors: {},       // Grab mode, mouth target, meter (from the catalog entry)
+            body: null,          // cannon-es body
+            liquid: null,        // LiquidSimulation (cups)
+            burnLevel: 1.0,      // 1.0 = full, 0.2 = almost gone (cigarettes)
+            ashLength: 0,        // Ash hanging off the tip, in meters (cigarettes)
+            cigaretteState: null, // CigaretteState from cigarettes.js (cigarettes)
+            meter: null,         // Floating UI meter element
+            emitter: null,       // Steam/smoke emitter in the particle system (cups, cigarettes)
+            ...state
+        };
+
+        mesh.userData.entityId = entity.id;
+        this.entities.set(entity.id, entity);
+        this.byMesh.set(mesh, entity);
+        return entity;
+    }
+
+    /**
+     * Stop tracking an item (e.g. when a cup breaks)
+     */
+    remove(entity) {
+        this.entities.delete(entity.id);
+        this.byMesh.delete(entity.mesh);
+    }
+
+    get(id) {
+        return this.entities.get(id);
+    }
+
+    /**
+     * Find the entity owning a mesh (or any of its children)
+     */
+    getByMesh(object) {
+        let target = object;
+        while (target) {
+            const entity = this.byMesh.get(target);
+            if (entity) return entity;
+            target = target.parent;
+        }
+        return null;
+    }
+
+    ofKind(kind) {
+        return this.all().filter(e => e.kind === kind);
+    }
+
+    all() {
+        return [...this.entities.values()];
+    }
+
+    /**
+     * Root meshes of every item that can be picked up
+     */
+    getGrabbableMeshes() {
+        return this.all().filter(e => e.body).map(e => e.mesh);
+    }
+
+    get size() {
+        return this.entities.size;
+    }
+}
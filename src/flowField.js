@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { frameDamp } from './timestep.js';
+
+/**
+ * Air movement settings (meters, m/s)
+ */
+export const FlowFieldProfile = {
+    min: new THREE.Vector3(-0.6, 0.6, -0.9),   // Corner of the box around the table and the player's head
+    cells: new THREE.Vector3(20, 14, 20),      // Grid resolution
+    cellSize: 0.06,
+    radius: 0.06,       // Air this far beyond a moving object's bounds is dragged along
+    coupling: 0.5,      // Share of an object's velocity the air right next to it takes on per 60 Hz step
+    minSpeed: 0.05,     // Objects slower than this don't stir the air
+    maxSpeed: 3,        // Fastest the air gets (a hard flick)
+    decay: 0.04,        // Air speed lost per 60 Hz step
+    diffusion: 0.2      // How much each cell evens out with its neighbours per 60 Hz step
+};
+
+const _velocity = new THREE.Vector3();
+
+/**
+ * Coarse 3D velocity field of the air around the table
+ *
+ * Moving objects - falling, knocked over, or swung around in the hand - drag
+ * the air around them along. The air keeps moving for a while after they've
+ * passed, spreading out and slowing down, and the smoke and steam particles
+ * are carried through it.
+ *
+ * Velocities are stored as RGBA (w unused) so the GPU particle simulation can
+ * upload the array as it is: one texture row per (y, z), x along the row
+ */
+export class FlowField {
+    constructor(profile = FlowFieldProfile) {
+        this.profile = profile;
+        this.min = profile.min.clone();
+        this.nx = profile.cells.x;
+        this.ny = profile.cells.y;
+        this.nz = profile.cells.z;
+        this.cellSize = profile.cellSize;
+
+        this.data = new Float32Array(this.nx * this.ny * this.nz * 4);
+        this.scratch = new Float32Array(this.data.length);   // Next step's values while updating
+        this.active = false;    // Any air moving at all - still air skips the update
+        this.version = 0;       // Bumped whenever data changes
+    }
+
+    index(x, y, z) {
+        return ((z * this.ny + y) * this.nx + x) * 4;
+    }
+
+    /**
+     * Drag the air in and around a sphere toward a velocity
+     * @param {THREE.Vector3} position - Center (world space)
+     * @param {THREE.Vector3} velocity - The object's velocity
+     * @param {number} radius - Object's size (bounding radius)
+     */
+    stir(position, velocity, radius, deltaTime) {
+        const profile = this.profile;
+        const speed = velocity.length();
+        if (speed < profile.minSpeed) return;
+
+        _velocity.copy(velocity);
+        if (speed > profile.maxSpeed) {
+            _velocity.multiplyScalar(profile.maxSpeed / speed);
+        }
+
+        const reach = radius + profile.radius;
+        const coupling = frameDamp(profile.coupling, deltaTime);
+        const lo = (axis) => Math.max(0, Math.floor((position[axis] - reach - this.min[axis]) / this.cellSize));
+        const hi = (axis, n) => Math.min(n - 1, Math.floor((position[axis] + reach - this.min[axis]) / this.cellSize));
+
+        for (let z = lo('z'); z <= hi('z', this.nz); z++) {
+            for (let y = lo('y'); y <= hi('y', this.ny); y++) {
+                for (let x = lo('x'); x <= hi('x', this.nx); x++) {
+                    // Distance from the cell center
+                    const dx = this.min.x + (x + 0.5) * this.cellSize - position.x;
+                    const dy = this.min.y + (y + 0.5) * this.cellSize - position.y;
+                    const dz = this.min.z + (z + 0.5) * this.cellSize - position.z;
+                    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                    if (distance > reach) continue;
+
+                    // Fully coupled inside the object, falling off across the radius beyond it
+                    const falloff = distance <= radius ? 1 : 1 - (distance - radius) / profile.radius;
+                    const weight = coupling * falloff;
+                    const i = this.index(x, y, z);
+                    this.data[i] += (_velocity.x - this.data[i]) * weight;
+                    this.data[i + 1] += (_velocity.y - this.data[i + 1]) * weight;
+                    this.data[i + 2] += (_velocity.z - this.data[i + 2]) * weight;
+                    this.active = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Stir the air with every moving physics body
+     * The one in hand is moved directly (its body's velocity is zeroed), so it uses the grab motion
+     */
+    stirFromPhysics(physics, deltaTime) {
+        for (const { mesh, body } of physics.dynamicBodies) {
+            const velocity = mesh === physics.grabbedMesh ? physics.grabVelocity : body.velocity;
+            this.stir(mesh.position, velocity, body.boundingRadius, deltaTime);
+        }
+    }
+
+    /**
+     * Spread and slow the moving air (one fixed step)
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+        const { nx, ny, nz } = this;
+        const data = this.data;
+        const out = this.scratch;
+        const keep = 1 - frameDamp(this.profile.decay, deltaTime);
+        const spread = frameDamp(this.profile.diffusion, deltaTime);
+
+        // Blend each cell toward the average of its neighbours (edges see still air beyond the box)
+        let fastest = 0;
+        for (let z = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++) {
+                    const i = this.index(x, y, z);
+                    for (let c = 0; c < 3; c++) {
+                        const neighbours = (x > 0 ? data[i - 4 + c] : 0)
+                            + (x < nx - 1 ? data[i + 4 + c] : 0)
+                            + (y > 0 ? data[i - nx * 4 + c] : 0)
+                            + (y < ny - 1 ? data[i + nx * 4 + c] : 0)
+                            + (z > 0 ? data[i - nx * ny * 4 + c] : 0)
+                            + (z < nz - 1 ? data[i + nx * ny * 4 + c] : 0);
+                        const value = (data[i + c] + (neighbours / 6 - data[i + c]) * spread) * keep;
+                        out[i + c] = value;
+                        fastest = Math.max(fastest, Math.abs(value));
+                    }
+                }
+            }
+        }
+
+        data.set(out);
+        this.version++;
+
+        // Settled - zero it out and stop updating until something moves again
+        if (fastest < 1e-3) {
+            this.data.fill(0);
+            this.active = false;
+        }
+    }
+
+    /**
+     * Air velocity at a point (trilinear between cell centers, still air outside the box)
+     * @param {THREE.Vector3} out - Receives the velocity
+     */
+    sample(position, out) {
+        out.set(0, 0, 0);
+        if (!this.active) return out;
+
+        const fx = (position.x - this.min.x) / this.cellSize - 0.5;
+        const fy = (position.y - this.min.y) / this.cellSize - 0.5;
+        const fz = (position.z - this.min.z) / this.cellSize - 0.5;
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const z0 = Math.floor(fz);
+        if (x0 < -1 || y0 < -1 || z0 < -1 || x0 >= this.nx || y0 >= this.ny || z0 >= this.nz) return out;
+
+        const tx = fx - x0;
+        const ty = fy - y0;
+        const tz = fz - z0;
+        for (let dz = 0; dz < 2; dz++) {
+            const z = z0 + dz;
+            if (z < 0 || z >= this.nz) continue;
+            for (let dy = 0; dy < 2; dy++) {
+                const y = y0 + dy;
+                if (y < 0 || y >= this.ny) continue;
+                for (let dx = 0; dx < 2; dx++) {
+                    const x = x0 + dx;
+                    if (x < 0 || x >= this.nx) continue;
+                    const weight = (dx ? tx : 1 - tx) * (dy ? ty : 1 - ty) * (dz ? tz : 1 - tz);
+                    const i = this.index(x, y, z);
+                    out.x += this.data[i] * weight;
+                    out.y += this.data[i + 1] * weight;
+                    out.z += this.data[i + 2] * weight;
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Still the air (clearing the table)
+     */
+    clear() {
+        this.data.fill(0);
+        this.active = false;
+        this.version++;
+    }
+}
@@ -7,7 +7,7 @@ export class FractureSystem {
         this.scene = scene;
         this.physicsWorld = physicsWorld;
         this.fragments = [];
-        this.fragmentBodies = []; // { mesh, body, createdAt, frozen }
+        this.fragmentBodies = []; // { mesh, body, age, frozen }
     }
 
     /**
@@ -139,6 +139,7 @@ export class FractureSystem {
                     mass: 0.05, // Light fragments
                     position: new CANNON.Vec3(fragCenter.x, fragCenter.y, fragCenter.z),
                     shape: shape,
+                    material: body ? body.material : null, // Shards keep the item's material
                     linearDamping: 0.3,
                     angularDamping: 0.3
                 });
@@ -162,7 +163,7 @@ export class FractureSystem {
                 );
 
                 this.physicsWorld.addBody(fragBody);
-                this.fragmentBodies.push({ mesh: fragment, body: fragBody, createdAt: performance.now(), frozen: false });
+                this.fragmentBodies.push({ mesh: fragment, body: fragBody, age: 0, frozen: false });
             } catch (e) {
                 console.warn('Failed to create fragment geometry:', e);
             }
@@ -332,9 +333,8 @@ export class FractureSystem {
     /**
      * Update fragment physics
      */
-    update() {
-        const now = performance.now();
-        const freezeDelay = 1000; // Freeze fragments after 1 second
+    update(deltaTime) {
+        const freezeDelay = 1.0; // Freeze fragments after 1 second
 
         for (const frag of this.fragmentBodies) {
             if (!frag.frozen) {
@@ -343,7 +343,8 @@ export class FractureSystem {
                 frag.mesh.quaternion.copy(frag.body.quaternion);
 
                 // Freeze after delay to save performance
-                if (now - frag.createdAt > freezeDelay) {
+                frag.age += deltaTime;
+                if (frag.age > freezeDelay) {
                     frag.body.mass = 0;
                     frag.body.updateMassProperties();
                     frag.body.velocity.setZero();
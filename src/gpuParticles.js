@@ -0,0 +1,440 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { frameDamp } from './timestep.js';
+import { SMOKE_FRAGMENT_SHADER } from './particles.js';
+
+// 256 x 128 texels = 32768 particles
+const TEXTURE_WIDTH = 256;
+const TEXTURE_HEIGHT = 128;
+const MAX_SPAWNS = 1024;    // New particles uploaded per update (spawn texture width)
+
+/**
+ * Curl noise settings - a divergence-free flow the particles are carried along,
+ * so wisps swirl and fold without bunching up or thinning out
+ */
+export const CurlNoiseProfile = {
+    scale: 18,        // Noise features per meter
+    speed: 0.15,      // How fast the flow pattern rises through the air (m/s)
+    strength: 0.035   // Flow speed (m/s) at the end of a particle's life - none at birth
+};
+
+// Which spawn record (if any) this texel takes this step, and reading it
+const SPAWN_CHUNK = `
+    uniform sampler2D spawnData;
+    uniform float spawnStart;
+    uniform float spawnCount;
+    uniform float limit;
+
+    float spawnSlot() {
+        float index = floor(gl_FragCoord.y) * resolution.x + floor(gl_FragCoord.x);
+        float offset = mod(index - spawnStart + limit, limit);
+        return (index < limit && offset < spawnCount) ? offset : -1.0;
+    }
+
+    vec4 spawnRecord(float slot, int row) {
+        return texelFetch(spawnData, ivec2(int(slot), row), 0);
+    }
+`;
+
+// Value noise (hash by Inigo Quilez) and the curl of a potential built from three copies of it
+const CURL_NOISE_CHUNK = `
+    float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+
+    float valueNoise(vec3 x) {
+        vec3 i = floor(x);
+        vec3 f = fract(x);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+                mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+            mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+                mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+            f.z
+        );
+    }
+
+    vec3 potential(vec3 p) {
+        return vec3(valueNoise(p), valueNoise(p + vec3(31.4, 17.7, 5.3)), valueNoise(p + vec3(-12.9, 47.1, 23.6)));
+    }
+
+    vec3 curlNoise(vec3 p) {
+        const float e = 0.1;
+        vec3 dx = vec3(e, 0.0, 0.0);
+        vec3 dy = vec3(0.0, e, 0.0);
+        vec3 dz = vec3(0.0, 0.0, e);
+        vec3 x0 = potential(p - dx);
+        vec3 x1 = potential(p + dx);
+        vec3 y0 = potential(p - dy);
+        vec3 y1 = potential(p + dy);
+        vec3 z0 = potential(p - dz);
+        vec3 z1 = potential(p + dz);
+        return vec3(
+            (y1.z - y0.z) - (z1.y - z0.y),
+            (z1.x - z0.x) - (x1.z - x0.z),
+            (x1.y - x0.y) - (y1.x - y0.x)
+        ) / (2.0 * e);
+    }
+`;
+
+// Air velocity from the FlowField (one texture row per y and z slice), trilinear like FlowField.sample
+const FLOW_CHUNK = `
+    uniform sampler2D flowField;
+    uniform vec3 flowMin;
+    uniform vec3 flowCells;
+    uniform float flowCellSize;
+    uniform bool flowActive;
+
+    vec3 flowCell(ivec3 cell) {
+        if (any(lessThan(cell, ivec3(0))) || any(greaterThanEqual(cell, ivec3(flowCells)))) {
+            return vec3(0.0);
+        }
+        return texelFetch(flowField, ivec2(cell.x, cell.z * int(flowCells.y) + cell.y), 0).xyz;
+    }
+
+    vec3 sampleFlow(vec3 position) {
+        if (!flowActive) return vec3(0.0);
+        vec3 f = (position - flowMin) / flowCellSize - 0.5;
+        ivec3 c = ivec3(floor(f));
+        vec3 t = f - floor(f);
+        return mix(
+            mix(mix(flowCell(c), flowCell(c + ivec3(1, 0, 0)), t.x),
+                mix(flowCell(c + ivec3(0, 1, 0)), flowCell(c + ivec3(1, 1, 0)), t.x), t.y),
+            mix(mix(flowCell(c + ivec3(0, 0, 1)), flowCell(c + ivec3(1, 0, 1)), t.x),
+                mix(flowCell(c + ivec3(0, 1, 1)), flowCell(c + ivec3(1, 1, 1)), t.x), t.y),
+            t.z
+        );
+    }
+`;
+
+// Position (xyz) and age in seconds (w): carried by velocity plus the curl flow
+const STATE_SHADER = `
+    uniform float deltaTime;
+    uniform float time;
+    uniform float curlScale;
+    uniform float curlSpeed;
+    uniform float curlStrength;
+    ${SPAWN_CHUNK}
+    ${CURL_NOISE_CHUNK}
+    ${FLOW_CHUNK}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 state = texture2D(textureState, uv);
+        vec4 velocity = texture2D(textureVelocity, uv);
+
+        float slot = spawnSlot();
+        if (slot >= 0.0) {
+            gl_FragColor = vec4(spawnRecord(slot, 0).xyz, 0.0);
+            return;
+        }
+        if (state.w >= velocity.w) {
+            gl_FragColor = state;
+            return;
+        }
+
+        float life = state.w / velocity.w;
+        vec3 flow = curlNoise(state.xyz * curlScale - vec3(0.0, time * curlSpeed * curlScale, 0.0)) * curlStrength * life;
+        gl_FragColor = vec4(state.xyz + (velocity.xyz + flow + sampleFlow(state.xyz)) * deltaTime, state.w + deltaTime);
+    }
+`;
+
+// Velocity (xyz) and lifetime in seconds (w): the same wind and drag as the CPU path
+const VELOCITY_SHADER = `
+    uniform float deltaTime;
+    uniform vec2 wind;
+    uniform float drag;
+    ${SPAWN_CHUNK}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 state = texture2D(textureState, uv);
+        vec4 velocity = texture2D(textureVelocity, uv);
+
+        float slot = spawnSlot();
+        if (slot >= 0.0) {
+            gl_FragColor = vec4(spawnRecord(slot, 1).xyz, spawnRecord(slot, 0).w);
+            return;
+        }
+        if (state.w >= velocity.w) {
+            gl_FragColor = velocity;
+            return;
+        }
+
+        // Wind pushes older (higher) particles more, drag slows them sideways only
+        float life = state.w / velocity.w;
+        vec3 v = velocity.xyz;
+        v.xz += wind * life * 0.8 * deltaTime;
+        v.xz *= drag;
+        gl_FragColor = vec4(v, velocity.w);
+    }
+`;
+
+// Size at birth, size at death and starting opacity - fixed for a particle's life
+const LOOK_SHADER = `
+    ${SPAWN_CHUNK}
+
+    void main() {
+        float slot = spawnSlot();
+        gl_FragColor = slot >= 0.0
+            ? spawnRecord(slot, 2)
+            : texture2D(textureLook, gl_FragCoord.xy / resolution.xy);
+    }
+`;
+
+const POINTS_VERTEX_SHADER = `
+    uniform sampler2D textureState;
+    uniform sampler2D textureVelocity;
+    uniform sampler2D textureLook;
+    attribute vec2 reference;
+    varying float vOpacity;
+
+    void main() {
+        vec4 state = texture2D(textureState, reference);
+        float lifetime = texture2D(textureVelocity, reference).w;
+        vec4 look = texture2D(textureLook, reference);
+
+        float life = state.w / max(lifetime, 1e-4);
+        if (life >= 1.0) {
+            // Dead or never used - off screen
+            vOpacity = 0.0;
+            gl_PointSize = 0.0;
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            return;
+        }
+
+        // Grow quickly at first, fade out over the last quarter
+        vOpacity = look.z * (1.0 - clamp((life - 0.75) / 0.25, 0.0, 1.0));
+        vec4 mvPosition = modelViewMatrix * vec4(state.xyz, 1.0);
+        gl_PointSize = mix(look.x, look.y, sqrt(life)) * (300.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+/**
+ * Particle simulation on the GPU
+ *
+ * Each particle is a texel in three float textures (state, velocity, look)
+ * that GPUComputationRenderer ping-pongs between render targets every update.
+ * New particles go into a ring of slots: the CPU only uploads the spawn
+ * records of the particles born since the last update, and the simulation
+ * shaders copy them into their slots. The points read the textures in their
+ * vertex shader, so nothing per particle comes back to the CPU.
+ *
+ * Same interface as CPUParticleSimulation in particles.js
+ */
+export class GPUParticleSimulation {
+    /**
+     * WebGL2 with float render targets (and enough vertex texture units for the points)
+     */
+    static isSupported(renderer) {
+        return renderer.capabilities.isWebGL2
+            && renderer.extensions.has('EXT_color_buffer_float')
+            && renderer.capabilities.maxVertexTextures >= 3;
+    }
+
+    /**
+     * @returns {GPUParticleSimulation|null} null when the GPU can't run it (use the CPU path)
+     */
+    static create(renderer, profile = CurlNoiseProfile) {
+        if (!GPUParticleSimulation.isSupported(renderer)) {
+            return null;
+        }
+        try {
+            return new GPUParticleSimulation(renderer, profile);
+        } catch (e) {
+            console.warn('GPU particles unavailable, simulating on the CPU:', e.message);
+            return null;
+        }
+    }
+
+    constructor(renderer, profile = CurlNoiseProfile) {
+        this.kind = 'gpu';
+        this.capacity = TEXTURE_WIDTH * TEXTURE_HEIGHT;
+        this.limit = this.capacity;
+        this.time = 0;
+
+        // FlowField velocities, uploaded when they change (created with the first field seen)
+        this.flowTexture = null;
+        this.flowVersion = -1;
+
+        // Ring of slots - the next spawn goes at head
+        this.head = 0;
+        this.spawnCount = 0;
+        this.spawnBuffer = new Float32Array(MAX_SPAWNS * 3 * 4);
+        this.spawnTexture = new THREE.DataTexture(this.spawnBuffer, MAX_SPAWNS, 3, THREE.RGBAFormat, THREE.FloatType);
+
+        this.compute = new GPUComputationRenderer(TEXTURE_WIDTH, TEXTURE_HEIGHT, renderer);
+        const state = this.compute.createTexture();
+        for (let i = 3; i < state.image.data.length; i += 4) {
+            state.image.data[i] = 1;    // Age past the (zero) lifetime - every slot starts dead
+        }
+
+        this.stateVariable = this.compute.addVariable('textureState', STATE_SHADER, state);
+        this.velocityVariable = this.compute.addVariable('textureVelocity', VELOCITY_SHADER, this.compute.createTexture());
+        this.lookVariable = this.compute.addVariable('textureLook', LOOK_SHADER, this.compute.createTexture());
+        this.compute.setVariableDependencies(this.stateVariable, [this.stateVariable, this.velocityVariable]);
+        this.compute.setVariableDependencies(this.velocityVariable, [this.stateVariable, this.velocityVariable]);
+        this.compute.setVariableDependencies(this.lookVariable, [this.lookVariable]);
+
+        for (const variable of [this.stateVariable, this.velocityVariable, this.lookVariable]) {
+            Object.assign(variable.material.uniforms, {
+                spawnData: { value: this.spawnTexture },
+                spawnStart: { value: 0 },
+                spawnCount: { value: 0 },
+                limit: { value: this.limit },
+                deltaTime: { value: 0 }
+            });
+        }
+        Object.assign(this.stateVariable.material.uniforms, {
+            flowField: { value: null },
+            flowMin: { value: new THREE.Vector3() },
+            flowCells: { value: new THREE.Vector3() },
+            flowCellSize: { value: 1 },
+            flowActive: { value: false },
+            time: { value: 0 },
+            curlScale: { value: profile.scale },
+            curlSpeed: { value: profile.speed },
+            curlStrength: { value: profile.strength }
+        });
+        Object.assign(this.velocityVariable.material.uniforms, {
+            wind: { value: new THREE.Vector2() },
+            drag: { value: 1 }
+        });
+
+        const error = this.compute.init();
+        if (error) {
+            this.compute.dispose();
+            throw new Error(error);
+        }
+
+        // One point per texel - positions come from the state texture
+        this.geometry = new THREE.BufferGeometry();
+        const references = new Float32Array(this.capacity * 2);
+        for (let i = 0; i < this.capacity; i++) {
+            references[i * 2] = ((i % TEXTURE_WIDTH) + 0.5) / TEXTURE_WIDTH;
+            references[i * 2 + 1] = (Math.floor(i / TEXTURE_WIDTH) + 0.5) / TEXTURE_HEIGHT;
+        }
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.capacity * 3), 3));
+        this.geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(0xcccccc) },
+                textureState: { value: null },
+                textureVelocity: { value: null },
+                textureLook: { value: null }
+            },
+            vertexShader: POINTS_VERTEX_SHADER,
+            fragmentShader: SMOKE_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.NormalBlending
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false;
+        this.bindTextures();
+    }
+
+    /**
+     * Queue a particle for the next update
+     * @returns {boolean} false if this update's spawn batch is full
+     */
+    spawn(position, velocity, size, maxSize, lifetime, opacity) {
+        if (this.spawnCount >= Math.min(MAX_SPAWNS, this.limit)) return false;
+
+        // Row 0: position + lifetime, row 1: velocity, row 2: look
+        const data = this.spawnBuffer;
+        const i = this.spawnCount * 4;
+        const row = MAX_SPAWNS * 4;
+        data[i] = position.x;
+        data[i + 1] = position.y;
+        data[i + 2] = position.z;
+        data[i + 3] = lifetime;
+        data[row + i] = velocity.x;
+        data[row + i + 1] = velocity.y;
+        data[row + i + 2] = velocity.z;
+        data[row * 2 + i] = size;
+        data[row * 2 + i + 1] = maxSize;
+        data[row * 2 + i + 2] = opacity;
+
+        this.spawnCount++;
+        return true;
+    }
+
+    update(deltaTime, windX, windZ, flowField) {
+        this.time += deltaTime;
+        this.updateFlow(flowField);
+
+        for (const variable of [this.stateVariable, this.velocityVariable, this.lookVariable]) {
+            const uniforms = variable.material.uniforms;
+            uniforms.spawnStart.value = this.head;
+            uniforms.spawnCount.value = this.spawnCount;
+            uniforms.limit.value = this.limit;
+            uniforms.deltaTime.value = deltaTime;
+        }
+        this.stateVariable.material.uniforms.time.value = this.time;
+        this.velocityVariable.material.uniforms.wind.value.set(windX, windZ);
+        // Horizontal velocity loses 2% per 60 Hz frame
+        this.velocityVariable.material.uniforms.drag.value = 1 - frameDamp(0.02, deltaTime);
+
+        if (this.spawnCount > 0) {
+            this.spawnTexture.needsUpdate = true;
+        }
+        this.compute.compute();
+
+        // Oldest particles get overwritten once the ring wraps around
+        this.head = (this.head + this.spawnCount) % this.limit;
+        this.spawnCount = 0;
+        this.bindTextures();
+    }
+
+    /**
+     * Upload the air velocities if they changed since the last update
+     */
+    updateFlow(flowField) {
+        const uniforms = this.stateVariable.material.uniforms;
+        uniforms.flowActive.value = Boolean(flowField?.active);
+        if (!flowField || flowField.version === this.flowVersion) return;
+
+        if (!this.flowTexture) {
+            // Shares the field's array - an upload is just needsUpdate
+            this.flowTexture = new THREE.DataTexture(flowField.data, flowField.nx, flowField.ny * flowField.nz,
+                THREE.RGBAFormat, THREE.FloatType);
+            uniforms.flowField.value = this.flowTexture;
+            uniforms.flowMin.value.copy(flowField.min);
+            uniforms.flowCells.value.set(flowField.nx, flowField.ny, flowField.nz);
+            uniforms.flowCellSize.value = flowField.cellSize;
+        }
+        this.flowTexture.needsUpdate = true;
+        this.flowVersion = flowField.version;
+    }
+
+    // Point the render material at the targets just written
+    bindTextures() {
+        const uniforms = this.material.uniforms;
+        uniforms.textureState.value = this.compute.getCurrentRenderTarget(this.stateVariable).texture;
+        uniforms.textureVelocity.value = this.compute.getCurrentRenderTarget(this.velocityVariable).texture;
+        uniforms.textureLook.value = this.compute.getCurrentRenderTarget(this.lookVariable).texture;
+    }
+
+    /**
+     * Use only the first limit slots (particles beyond it die out on their own)
+     */
+    setLimit(limit) {
+        this.limit = Math.max(1, Math.min(this.capacity, limit));
+        this.head %= this.limit;
+    }
+
+    dispose() {
+        this.compute.dispose();
+        this.spawnTexture.dispose();
+        this.flowTexture?.dispose();
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -12,7 +12,8 @@ export class Hands {
         this.scene = scene;
         this.group = new THREE.Group(); // Keep for compatibility but won't use for items
 
-        // Items
+        // Active items - the cup/cigarette last picked up or spawned
+        // (per-item state like liquid and burn level lives in the EntityRegistry)
         this.coffeeCup = null;
         this.cigarette = null;
 
@@ -26,8 +27,6 @@ export class Hands {
         this.cupTilt = 0;
         this.cigaretteRotation = 0; // Extra rotation when bringing to mouth
 
-        // Cigarette burn state (1.0 = full, 0 = fully burned)
-        this.cigaretteBurnLevel = 1.0;
         this.cigaretteOriginalScale = 0.8; // Original scale from init
 
         // Physics control flags
@@ -165,27 +164,35 @@ export class Hands {
     }
 
     /**
-     * Get the world position of the cigarette tip for particles
+     * Get the world position of a cigarette tip for particles
+     * @param cigarette - defaults to the active cigarette
      */
-    getCigaretteTipWorldPosition() {
-        if (!this.cigarette) return new THREE.Vector3();
+    getCigaretteTipWorldPosition(cigarette = this.cigarette) {
+        if (!cigarette) return new THREE.Vector3();
+
+        // The burning end moves in as the cigarette burns down
+        const tip = cigarette.getObjectByName('tip');
+        if (tip) {
+            return tip.getWorldPosition(new THREE.Vector3());
+        }
 
         // Tip position
         const tipOffset = new THREE.Vector3(0.034, 0, 0);
         const worldPos = new THREE.Vector3();
-        this.cigarette.localToWorld(worldPos.copy(tipOffset));
+        cigarette.localToWorld(worldPos.copy(tipOffset));
         return worldPos;
     }
 
     /**
-     * Get the world position of the coffee cup top for steam
+     * Get the world position of a coffee cup top for steam
+     * @param cup - defaults to the active cup
      */
-    getCoffeeCupWorldPosition() {
-        if (!this.coffeeCup) return new THREE.Vector3();
+    getCoffeeCupWorldPosition(cup = this.coffeeCup) {
+        if (!cup) return new THREE.Vector3();
 
         const topOffset = new THREE.Vector3(0, 2.5, 0); // In local space (before 0.04 scale)
         const worldPos = new THREE.Vector3();
-        this.coffeeCup.localToWorld(worldPos.copy(topOffset));
+        cup.localToWorld(worldPos.copy(topOffset));
         return worldPos;
     }
 
@@ -193,50 +200,46 @@ export class Hands {
     getCigarette() { return this.cigarette; }
 
     /**
-     * Burn the cigarette (reduce its length)
+     * Burn a cigarette entity (reduce its length)
      * Shrinks paper and moves tip, but filter stays the same
+     * @param entity - cigarette entity from the EntityRegistry (holds burnLevel)
      * @param amount - how much to burn (0.1 = 10% of original length)
      */
-    burnCigarette(amount = 0.1) {
-        this.cigaretteBurnLevel = Math.max(0.2, this.cigaretteBurnLevel - amount);
-        if (this.cigarette) {
-            const paper = this.cigarette.getObjectByName('paper');
-            const tip = this.cigarette.getObjectByName('tip');
+    burnCigarette(entity, amount = 0.1) {
+        entity.burnLevel = Math.max(0.2, entity.burnLevel - amount);
+        const cigarette = entity.mesh;
+        if (cigarette) {
+            const paper = cigarette.getObjectByName('paper');
+            const tip = cigarette.getObjectByName('tip');
 
             if (paper && tip) {
                 // Cylinder length is along Y axis (before rotation), so scale Y only
                 // Keep X and Z at 1 to preserve width/radius
-                paper.scale.set(1, this.cigaretteBurnLevel, 1);
+                paper.scale.set(1, entity.burnLevel, 1);
 
                 // Original paper length and positions
-                const originalLength = this.cigarette.userData.originalPaperLength || 0.06;
-                const newLength = originalLength * this.cigaretteBurnLevel;
+                const originalLength = cigarette.userData.originalPaperLength || 0.06;
+                const newLength = originalLength * entity.burnLevel;
 
                 // Move paper toward filter as it shrinks (paper center moves left)
                 const shrinkAmount = (originalLength - newLength) / 2;
                 paper.position.x = -shrinkAmount;
 
                 // Move tip to stay at end of shortened paper
-                const originalTipX = this.cigarette.userData.originalTipX || 0.03;
+                const originalTipX = cigarette.userData.originalTipX || 0.03;
                 tip.position.x = originalTipX - (originalLength - newLength);
             }
         }
     }
 
-    /**
-     * Get current cigarette burn level (1.0 = full, 0.2 = almost gone)
-     */
-    getCigaretteBurnLevel() {
-        return this.cigaretteBurnLevel;
-    }
-
     /**
      * Set cigarette tip size (for smoking effect)
      * @param intensity - 0 = default size, grows with smoking
+     * @param cigarette - defaults to the active cigarette
      */
-    setTipGlow(intensity) {
-        if (!this.cigarette) return;
-        const tip = this.cigarette.getObjectByName('tip');
+    setTipGlow(intensity, cigarette = this.cigarette) {
+        if (!cigarette) return;
+        const tip = cigarette.getObjectByName('tip');
         if (tip) {
             // Scale tip length - grows significantly with intensity
             // Cylinder height is Y in local space (before rotation), so scale Y
@@ -252,9 +255,9 @@ export class Hands {
     /**
      * Get current tip glow intensity
      */
-    getTipGlow() {
-        if (!this.cigarette) return 0;
-        const tip = this.cigarette.getObjectByName('tip');
+    getTipGlow(cigarette = this.cigarette) {
+        if (!cigarette) return 0;
+        const tip = cigarette.getObjectByName('tip');
         if (tip && tip.material) {
             return (tip.material.emissiveIntensity - 1.5) / 8.5;
         }
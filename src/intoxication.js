@@ -0,0 +1,197 @@
+// Substances the player can take in
+export const Substance = {
+    CAFFEINE: 'caffeine',
+    NICOTINE: 'nicotine'
+};
+
+/**
+ * Pharmacokinetic profile per substance (game time is heavily compressed)
+ * Doses are in "units": 1 caffeine = a full cup of coffee, 1 nicotine = one drag
+ */
+export const SubstanceProfiles = {
+    [Substance.CAFFEINE]: {
+        absorptionHalfLife: 20,       // Seconds for half of what's in the stomach to reach the blood
+        eliminationHalfLife: 600,     // Seconds for the blood level to halve - coffee jitters linger
+        toleranceGain: 0.002,         // Tolerance gained per second per unit in the blood
+        toleranceHalfLife: 1800,      // Seconds for tolerance to wear off by half
+        maxTolerance: 1.0             // At max tolerance the effective level is halved
+    },
+    [Substance.NICOTINE]: {
+        absorptionHalfLife: 2,        // Inhaled - hits almost immediately
+        eliminationHalfLife: 9,       // Wears off quickly, so you want another drag
+        toleranceGain: 0.01,
+        toleranceHalfLife: 600,
+        maxTolerance: 2.0
+    }
+};
+
+/**
+ * How the (tolerance-adjusted) levels turn into gameplay effects
+ * value = clamp(offset + scale * sum(weight * level), min, max)
+ * Negative weights make a substance counteract an effect
+ */
+export const EffectMappings = {
+    // Hand shake amplitude (meters) - smoking calms coffee jitters
+    shake: {
+        inputs: { [Substance.CAFFEINE]: 1, [Substance.NICOTINE]: -0.5 },
+        scale: 0.002, offset: 0, min: 0, max: 0.008
+    },
+    // Movement lag (0 = follows the mouse, 1 = frozen) - coffee counteracts it
+    lag: {
+        inputs: { [Substance.NICOTINE]: 1, [Substance.CAFFEINE]: -2 },
+        scale: 0.25, offset: 0, min: 0, max: 0.97
+    },
+    // Chance of coughing after a drag
+    coughChance: {
+        inputs: { [Substance.NICOTINE]: 1 },
+        scale: 0.15, offset: 0.3, min: 0, max: 0.9
+    }
+};
+
+// Exponential decay factor over dt for a half-life (exact for any step size)
+function decay(halfLife, dt) {
+    return Math.pow(0.5, dt / halfLife);
+}
+
+/**
+ * Share of a pending dose that reaches the blood during dt and is still there at the end
+ * (absorbed and eliminated together over the step, so it's exact for any step size)
+ */
+function carried(absorptionHalfLife, eliminationHalfLife, dt) {
+    const ka = Math.LN2 / absorptionHalfLife;
+    const ke = Math.LN2 / eliminationHalfLife;
+    if (Math.abs(ka - ke) < 1e-9) {
+        return ka * dt * Math.exp(-ka * dt);
+    }
+    return ka * (Math.exp(-ke * dt) - Math.exp(-ka * dt)) / (ka - ke);
+}
+
+/**
+ * One-compartment model with first-order absorption and elimination per substance,
+ * plus tolerance that builds over the session
+ *
+ * Doses go into a "stomach" pool, move into the blood with the absorption half-life,
+ * and leave the blood with the elimination half-life. Effects read the blood level
+ * scaled down by tolerance.
+ */
+export class IntoxicationModel {
+    constructor(profiles = SubstanceProfiles, effects = EffectMappings) {
+        this.profiles = profiles;
+        this.effects = effects;
+
+        this.state = {};
+        for (const substance of Object.keys(profiles)) {
+            this.state[substance] = { pending: 0, level: 0, tolerance: 0 };
+        }
+    }
+
+    /**
+     * Take in a dose (starts absorbing on the next update)
+     */
+    dose(substance, amount) {
+        const state = this.getState(substance);
+        state.pending += amount;
+    }
+
+    update(deltaTime) {
+        if (deltaTime <= 0) return;
+
+        for (const [substance, profile] of Object.entries(this.profiles)) {
+            const state = this.state[substance];
+
+            // Absorption: move part of the pending dose into the blood
+            const remaining = state.pending * decay(profile.absorptionHalfLife, deltaTime);
+            const absorbed = state.pending - remaining;
+
+            // Elimination of what was already there and of what arrived during the step
+            const level = state.level * decay(profile.eliminationHalfLife, deltaTime)
+                + state.pending * carried(profile.absorptionHalfLife, profile.eliminationHalfLife, deltaTime);
+
+            // Blood level integrated over the step: whatever came in and isn't left was eliminated
+            const exposure = (state.level + absorbed - level) * profile.eliminationHalfLife / Math.LN2;
+            state.pending = remaining;
+            state.level = level;
+
+            // Tolerance builds with exposure and slowly wears off
+            state.tolerance *= decay(profile.toleranceHalfLife, deltaTime);
+            state.tolerance = Math.min(
+                profile.maxTolerance,
+                state.tolerance + exposure * profile.toleranceGain
+            );
+
+            // Drop negligible amounts so levels actually reach zero
+            if (state.pending < 1e-4) state.pending = 0;
+            if (state.level < 1e-4) state.level = 0;
+        }
+    }
+
+    /**
+     * Amount currently in the blood
+     */
+    getLevel(substance) {
+        return this.getState(substance).level;
+    }
+
+    getTolerance(substance) {
+        return this.getState(substance).tolerance;
+    }
+
+    /**
+     * Blood level as felt by the player (tolerance dulls it)
+     */
+    getEffectiveLevel(substance) {
+        const state = this.getState(substance);
+        return state.level / (1 + state.tolerance);
+    }
+
+    /**
+     * Current value of one effect from EffectMappings
+     */
+    getEffect(name) {
+        const mapping = this.effects[name];
+        if (!mapping) {
+            throw new Error(`Unknown effect: ${name}`);
+        }
+
+        let sum = 0;
+        for (const [substance, weight] of Object.entries(mapping.inputs)) {
+            sum += weight * this.getEffectiveLevel(substance);
+        }
+        const value = mapping.offset + mapping.scale * sum;
+        return Math.max(mapping.min, Math.min(mapping.max, value));
+    }
+
+    /**
+     * All effects at once, e.g. { shake, lag, coughChance }
+     */
+    getEffects() {
+        const effects = {};
+        for (const name of Object.keys(this.effects)) {
+            effects[name] = this.getEffect(name);
+        }
+        return effects;
+    }
+
+    getState(substance) {
+        const state = this.state[substance];
+        if (!state) {
+            throw new Error(`Unknown substance: ${substance}`);
+        }
+        return state;
+    }
+
+    /**
+     * Plain-data copy of every substance's state (for saving)
+     */
+    serialize() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+
+    restore(saved) {
+        for (const [substance, state] of Object.entries(saved)) {
+            if (this.state[substance]) {
+                Object.assign(this.state[substance], state);
+            }
+        }
+    }
+}
@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import {
+    createFallbackCup,
+    createFallbackCigarette,
+    createFallbackSugarCube,
+    createFallbackSpoon,
+    createFallbackNapkin,
+    createFallbackCroissant,
+    createFallbackWaterGlass
+} from './loader.js';
+import { LiquidSimulation } from './liquid.js';
+import { EntityKind } from './entities.js';
+import { CigaretteState } from './cigarettes.js';
+
+/**
+ * Catalog of every grabbable prop, keyed by EntityKind
+ *
+ * Each entry declares:
+ * - model / fallback / modelOptions: GLB path (null = fallback only) and loader.js builder
+ * - spawnPosition / dropHeight / rotation: resting spot on the table (world space), spawned
+ *   dropHeight above it so it falls into place
+ * - collider / mass: physics shape ('cylinder' { radius, height }, 'box' { size }, or
+ *   'convexHull' / 'convexDecomposition' { resolution? } generated from the model)
+ * - material: physics material name from materials.js (omit for the default contact)
+ * - breakThreshold / fragments: impact speed that shatters it (null = unbreakable)
+ * - behaviors: grab mode, camera-local mouth target, tilt at mouth, floating meter
+ * - hooks: onSpawn, onBreak, onMouthEnter, whileAtMouth, onMouthLeave, onFlick - all get (game, entity, ...)
+ * - button: action button that spawns it
+ */
+export const ItemCatalog = {
+    [EntityKind.CUP]: {
+        name: 'coffee-cup',
+        model: 'models/coffee_cup.glb',
+        fallback: createFallbackCup,
+        modelOptions: { scale: 0.04 },
+        spawnPosition: new THREE.Vector3(0.34, 0.85, -0.09),
+        dropHeight: 0.15,
+        rotation: { x: 0, y: Math.PI + Math.PI / 6, z: 0 },
+        collider: { shape: 'cylinder', radius: 0.04, height: 0.08 },
+        mass: 0.5,
+        material: 'ceramic',
+        breakThreshold: 2.0, // Gentle drop won't break, hard throw will
+        fragments: 10,
+        behaviors: {
+            grabMode: 'kinematic',                 // Body follows the mouse directly, hands.js tilts it
+            mouthOffset: { y: -0.075, z: -0.15 },  // Cup closer to face
+            tiltAtMouth: true,
+            meter: {
+                template: 'coffee-meter-template',
+                offsetY: 0.15,
+                level: (entity) => entity.liquid ? entity.liquid.getLiquidPercentage() : 0
+            }
+        },
+        hooks: {
+            onSpawn: (game, entity) => {
+                entity.liquid = new LiquidSimulation(
+                    game.scene, entity.mesh, game.physics.world, game.assets.resolve('coffeetexture.jpg'), game.stains
+                );
+                entity.liquid.setQuality(game.quality);
+                game.addEmitter(entity, 'steam', () => game.hands.getCoffeeCupWorldPosition(entity.mesh));
+                game.setActiveCup(entity);
+            },
+            onBreak: (game, entity, impactPoint) => game.spillCup(entity, impactPoint),
+            whileAtMouth: (game, entity, deltaTime) => game.drinkFrom(entity, deltaTime)
+        },
+        button: { id: 'new-coffee-btn', label: '☕ New Coffee' }
+    },
+
+    [EntityKind.CIGARETTE]: {
+        name: 'cigarette',
+        model: null, // GLB model has issues - always use the fallback
+        fallback: createFallbackCigarette,
+        spawnPosition: new THREE.Vector3(0.22, 0.76, -0.19), // On edge of ashtray rim
+        dropHeight: 0.1,
+        rotation: { x: 0, y: Math.PI / 2, z: 0.2 },
+        collider: { shape: 'box', size: { x: 0.08, y: 0.01, z: 0.01 } },
+        mass: 0.05,
+        material: 'paper',
+        breakThreshold: null,
+        behaviors: {
+            grabMode: 'constraint',                // Hangs from a point constraint so it tumbles naturally
+            mouthOffset: { y: -0.15, z: -0.25 },   // Cigarette held lower
+            meter: {
+                template: 'cigarette-meter-template',
+                offsetY: 0.08,
+                level: (entity) => entity.burnLevel
+            }
+        },
+        hooks: {
+            onSpawn: (game, entity) => {
+                game.cigarettes.setState(entity, CigaretteState.UNLIT);
+                game.addEmitter(entity, 'smoke', () => game.hands.getCigaretteTipWorldPosition(entity.mesh));
+                game.setActiveCigarette(entity);
+            },
+            onMouthEnter: (game, entity) => game.startDrag(entity),
+            whileAtMouth: (game, entity, deltaTime) => game.drawOn(entity, deltaTime),
+            onFlick: (game, entity) => game.ash.knockOff(entity)
+        },
+        button: { id: 'new-cigarette-btn', label: '🚬 Cigarette' }
+    },
+
+    [EntityKind.SUGAR_CUBE]: {
+        name: 'sugar-cube',
+        model: null,
+        fallback: createFallbackSugarCube,
+        spawnPosition: new THREE.Vector3(0.40, 0.82, -0.02),
+        dropHeight: 0.05,
+        rotation: { x: 0, y: 0.4, z: 0 },
+        collider: { shape: 'box', size: { x: 0.015, y: 0.015, z: 0.015 } },
+        mass: 0.005,
+        breakThreshold: null,
+        bites: 1,
+        behaviors: {
+            grabMode: 'kinematic',
+            mouthOffset: { y: -0.08, z: -0.18 }
+        },
+        hooks: {
+            onMouthEnter: (game, entity) => game.takeBite(entity)
+        },
+        button: { id: 'new-sugar-btn', label: '🧊 Sugar Cube' }
+    },
+
+    [EntityKind.SPOON]: {
+        name: 'spoon',
+        model: null,
+        fallback: createFallbackSpoon,
+        spawnPosition: new THREE.Vector3(0.42, 0.80, -0.16),
+        dropHeight: 0.05,
+        rotation: { x: 0, y: Math.PI / 3, z: 0 },
+        collider: { shape: 'box', size: { x: 0.12, y: 0.008, z: 0.02 } },
+        mass: 0.03,
+        breakThreshold: null,
+        behaviors: {
+            grabMode: 'constraint',
+            mouthOffset: { y: -0.12, z: -0.22 }
+        },
+        hooks: {},
+        button: { id: 'new-spoon-btn', label: '🥄 Spoon' }
+    },
+
+    [EntityKind.NAPKIN]: {
+        name: 'napkin',
+        model: null,
+        fallback: createFallbackNapkin,
+        spawnPosition: new THREE.Vector3(0.28, 0.80, 0.02),
+        dropHeight: 0.05,
+        rotation: { x: 0, y: Math.PI / 8, z: 0 },
+        collider: { shape: 'box', size: { x: 0.12, y: 0.006, z: 0.12 } },
+        mass: 0.01,
+        material: 'paper',
+        breakThreshold: null,
+        behaviors: {
+            grabMode: 'constraint',
+            mouthOffset: { y: -0.1, z: -0.2 }
+        },
+        hooks: {},
+        button: { id: 'new-napkin-btn', label: '🧻 Napkin' }
+    },
+
+    [EntityKind.CROISSANT]: {
+        name: 'croissant',
+        model: null,
+        fallback: createFallbackCroissant,
+        spawnPosition: new THREE.Vector3(0.18, 0.82, -0.04),
+        dropHeight: 0.05,
+        rotation: { x: 0, y: -Math.PI / 5, z: 0 },
+        collider: { shape: 'box', size: { x: 0.09, y: 0.03, z: 0.06 } },
+        mass: 0.06,
+        breakThreshold: null,
+        bites: 4,
+        behaviors: {
+            grabMode: 'kinematic',
+            mouthOffset: { y: -0.08, z: -0.18 }
+        },
+        hooks: {
+            onMouthEnter: (game, entity) => game.takeBite(entity)
+        },
+        button: { id: 'new-croissant-btn', label: '🥐 Croissant' }
+    },
+
+    [EntityKind.WATER_GLASS]: {
+        name: 'water-glass',
+        model: null,
+        fallback: createFallbackWaterGlass,
+        spawnPosition: new THREE.Vector3(0.46, 0.88, -0.04),
+        dropHeight: 0.05,
+        rotation: { x: 0, y: 0, z: 0 },
+        collider: { shape: 'cylinder', radius: 0.035, height: 0.12 },
+        mass: 0.3,
+        material: 'glass',
+        breakThreshold: 1.5, // Glass is more fragile than the ceramic cup
+        fragments: 14,
+        behaviors: {
+            grabMode: 'kinematic',
+            mouthOffset: { y: -0.075, z: -0.15 }
+        },
+        hooks: {},
+        button: { id: 'new-water-btn', label: '🥛 Water' }
+    }
+};
+
+/**
+ * Get a catalog entry, failing loudly for unknown kinds
+ */
+export function getItemDefinition(kind) {
+    const item = ItemCatalog[kind];
+    if (!item) {
+        throw new Error(`Unknown item kind: ${kind}`);
+    }
+    return item;
+}
@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+import { frameDamp } from './timestep.js';
+
+// Where the lighter waits in view, and how far below a cigarette tip it holds the flame (camera space)
+const REST_POSITION = new THREE.Vector3(0.09, -0.14, -0.28);
+const FLAME_BELOW_TIP = 0.012;
+
+/**
+ * The player's lighter
+ * Hold L (or toggle it with the Lighter button) to bring it up with the flame
+ * lit. While a cigarette is at the lips the flame moves up under its tip -
+ * drawing on it then lights it (see CigaretteLifecycle.drawThroughFlame)
+ */
+export class Lighter {
+    constructor(camera) {
+        this.camera = camera;
+        this.isOn = false;
+        this.flickerTime = 0;
+
+        this.group = new THREE.Group();
+        this.group.name = 'lighter';
+        this.group.position.copy(REST_POSITION);
+        this.group.visible = false;
+        camera.add(this.group);
+
+        // Body below the flame (origin is the top of the body, where the flame starts)
+        const body = new THREE.Mesh(
+            new THREE.BoxGeometry(0.02, 0.06, 0.01),
+            new THREE.MeshStandardMaterial({ color: 0xc0392b, roughness: 0.4 })
+        );
+        body.position.y = -0.032;
+        this.group.add(body);
+
+        this.flame = new THREE.Mesh(
+            new THREE.ConeGeometry(0.003, 0.016, 8),
+            new THREE.MeshBasicMaterial({ color: 0xffb347, transparent: true, opacity: 0.85, depthWrite: false })
+        );
+        this.flame.position.y = 0.008;
+        this.group.add(this.flame);
+
+        this.light = new THREE.PointLight(0xff9a40, 0, 0.8, 2);
+        this.light.position.y = 0.01;
+        this.group.add(this.light);
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+    }
+
+    onKeyDown(event) {
+        if (event.repeat || event.key.toLowerCase() !== 'l') return;
+        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+        this.setOn(true);
+    }
+
+    onKeyUp(event) {
+        if (event.key.toLowerCase() !== 'l') return;
+        this.setOn(false);
+    }
+
+    setOn(on) {
+        this.isOn = on;
+        this.group.visible = on;
+        if (!on) {
+            this.group.position.copy(REST_POSITION);
+        }
+    }
+
+    toggle() {
+        this.setOn(!this.isOn);
+    }
+
+    /**
+     * Middle of the flame in world space, or null while the lighter is away
+     */
+    getFlameWorldPosition() {
+        if (!this.isOn) return null;
+        return this.flame.getWorldPosition(new THREE.Vector3());
+    }
+
+    /**
+     * Move toward the tip of the cigarette at the lips, and flicker
+     * @param {THREE.Vector3|null} tip - World position to hold the flame under (null = rest in view)
+     */
+    update(deltaTime, tip = null) {
+        if (!this.isOn) return;
+
+        const target = REST_POSITION.clone();
+        if (tip) {
+            this.camera.updateMatrixWorld();
+            target.copy(this.camera.worldToLocal(tip.clone()));
+            target.y -= FLAME_BELOW_TIP;
+        }
+        this.group.position.lerp(target, frameDamp(0.25, deltaTime));
+
+        this.flickerTime += deltaTime;
+        const flicker = 0.85 + Math.sin(this.flickerTime * 31) * 0.08 + Math.random() * 0.07;
+        this.flame.scale.set(1, flicker, 1);
+        this.light.intensity = 0.6 * flicker;
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        this.camera.remove(this.group);
+    }
+}
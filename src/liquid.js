@@ -1,12 +1,22 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { PhysicsMaterials } from './materials.js';
+import { StainLayer } from './stains.js';
+
+// Droplet instances allocated per cup (the quality preset's maxDroplets stays below this)
+const DROPLET_CAPACITY = 300;
 
 export class LiquidSimulation {
-    constructor(scene, cup, physicsWorld = null, texturePath = 'coffeetexture.jpg') {
+    /**
+     * @param stainLayer - shared StainLayer for landed droplets (a private one is created if omitted)
+     */
+    constructor(scene, cup, physicsWorld = null, texturePath = 'coffeetexture.jpg', stainLayer = null) {
         this.scene = scene;
         this.cup = cup;
         this.physicsWorld = physicsWorld; // cannon-es world for droplet physics
         this.texturePath = texturePath;
+        this.ownsStainLayer = !stainLayer;
+        this.stainLayer = stainLayer || new StainLayer(scene);
 
         // Liquid properties - in cup's local coordinates (cup is scaled 0.04)
         this.cupRadius = 0.8;        // Inner radius of cup in local space
@@ -15,7 +25,9 @@ export class LiquidSimulation {
         this.maxLiquidLevel = 0.9;
 
         // Heightfield grid
-        this.gridSize = 32;          // 16x16 grid
+        this.gridSize = 32;          // 32x32 grid (see setQuality)
+        this.normalsInterval = 1;    // Recompute surface normals every N mesh updates
+        this.meshUpdates = 0;
         this.heights = [];           // Current heights
         this.velocities = [];        // Vertical velocities
 
@@ -43,10 +55,16 @@ export class LiquidSimulation {
         this.spillThreshold = 0.2;   // How much over rim before spill
         this.totalSpilled = 0;
 
+        // Drinking - how fast coffee leaves the cup when tipped at the mouth
+        this.drinkRate = 0.12;       // Fraction of a full cup per second at full flow
+        this.sipRampTime = 0.5;      // Seconds for a sip to reach full flow
+        this.maxDrinkTilt = 0.6;     // Tilt where flow is at its maximum
+
         // Previous cup state for acceleration
         this.prevCupPos = new THREE.Vector3();
         this.cupVelocity = new THREE.Vector3();
         this.initialized = false;
+        this.detached = false;       // True once the cup broke - only droplets keep updating
 
         // Initialize heightfield
         this.initHeightfield();
@@ -73,10 +91,6 @@ export class LiquidSimulation {
     }
 
     createLiquidMesh() {
-        // Create a grid-based circular liquid surface
-        const gridRes = this.gridSize;  // Match heightfield resolution
-        const liquidDepth = 0.015;
-
         // Create a group to hold the liquid parts
         this.liquidMesh = new THREE.Group();
         this.liquidMesh.name = 'coffee-liquid';
@@ -84,7 +98,25 @@ export class LiquidSimulation {
         // Add liquid as child of cup so it inherits rotation correctly
         this.cup.add(this.liquidMesh);
 
-        // Build custom grid geometry masked to circle
+        // Grid surface and its distortion texture (rebuilt when the grid size changes)
+        this.buildSurface();
+
+        // Load coffee texture
+        const textureLoader = new THREE.TextureLoader();
+        this.coffeeTexture = textureLoader.load(this.texturePath, (tex) => {
+            tex.wrapS = THREE.RepeatWrapping;
+            tex.wrapT = THREE.RepeatWrapping;
+        });
+
+        this.createLiquidMaterial();
+        this.createSurfaceMeshes();
+    }
+
+    /**
+     * Grid geometry for the liquid surface, masked to the cup's circle
+     */
+    buildSurface() {
+        const gridRes = this.gridSize;  // Match heightfield resolution
         this.topGeometry = new THREE.BufferGeometry();
 
         const vertices = [];
@@ -136,13 +168,6 @@ export class LiquidSimulation {
         this.originalPositions = new Float32Array(vertices);
         this.vertexMap = vertexMap;
 
-        // Load coffee texture
-        const textureLoader = new THREE.TextureLoader();
-        this.coffeeTexture = textureLoader.load(this.texturePath, (tex) => {
-            tex.wrapS = THREE.RepeatWrapping;
-            tex.wrapT = THREE.RepeatWrapping;
-        });
-
         // Create distortion data texture (stores velocities for UV distortion)
         this.distortionSize = this.gridSize;
         this.distortionData = new Float32Array(this.distortionSize * this.distortionSize * 4);
@@ -154,7 +179,42 @@ export class LiquidSimulation {
             THREE.FloatType
         );
         this.distortionTexture.needsUpdate = true;
+    }
 
+    /**
+     * Apply a graphics quality preset (liquidGridSize, liquidNormalsInterval, maxDroplets)
+     */
+    setQuality(preset) {
+        this.normalsInterval = preset.liquidNormalsInterval;
+        this.maxDroplets = Math.min(preset.maxDroplets, DROPLET_CAPACITY);
+        if (preset.liquidGridSize !== this.gridSize) {
+            this.setGridSize(preset.liquidGridSize);
+        }
+    }
+
+    /**
+     * Rebuild the heightfield and surface at another resolution (waves are reset)
+     */
+    setGridSize(gridSize) {
+        const oldGeometry = this.topGeometry;
+        const oldDistortion = this.distortionTexture;
+
+        this.gridSize = gridSize;
+        this.heights = [];
+        this.velocities = [];
+        this.initHeightfield();
+        this.buildSurface();
+
+        if (this.topMesh) {
+            this.topMesh.geometry = this.topGeometry;
+            this.liquidMaterial.uniforms.distortionMap.value = this.distortionTexture;
+            this.updateLiquidMesh();
+        }
+        oldGeometry.dispose();
+        oldDistortion.dispose();
+    }
+
+    createLiquidMaterial() {
         // Custom shader material with UV distortion
         this.liquidMaterial = new THREE.ShaderMaterial({
             uniforms: {
@@ -211,7 +271,9 @@ export class LiquidSimulation {
             transparent: true,
             side: THREE.DoubleSide
         });
+    }
 
+    createSurfaceMeshes() {
         this.topMesh = new THREE.Mesh(this.topGeometry, this.liquidMaterial);
         this.topMesh.position.y = 0.02; // Raise slightly above body
         this.topMesh.renderOrder = 1; // Render on top
@@ -262,65 +324,12 @@ export class LiquidSimulation {
         this.calculateAverageTextureColor(this.texturePath, (avgColor) => {
             dropletMaterial.color.setRGB(avgColor.r, avgColor.g, avgColor.b);
             dropletMaterial.needsUpdate = true;
-            // Also update stain color (20% darker)
-            this.stainMaterial.color.setRGB(avgColor.r * 0.8, avgColor.g * 0.8, avgColor.b * 0.8);
             console.log('Droplet color set from texture average:', avgColor);
         });
 
         const material = dropletMaterial;
 
-        // Stain system
-        this.stains = [];
-        this.maxStains = 300;        // Allow many stains for big spills
-
-        // Create coffee ring shader material (drying effect over time)
-        this.stainMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                uColor: { value: new THREE.Color(0x8b6914) }, // Lighter coffee brown
-                uOpacity: { value: 0.4 },
-                uDryness: { value: 0.0 } // 0 = fresh, 1 = fully dried with ring
-            },
-            vertexShader: `
-                varying vec2 vUv;
-                void main() {
-                    vUv = uv;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 uColor;
-                uniform float uOpacity;
-                uniform float uDryness;
-                varying vec2 vUv;
-
-                void main() {
-                    vec2 centered = vUv - 0.5;
-                    float dist = length(centered) * 2.0;
-
-                    // Edge fades
-                    float innerFade = smoothstep(0.0, 0.4, dist);
-                    float outerFade = 1.0 - smoothstep(0.85, 1.0, dist);
-                    float ringDark = smoothstep(0.5, 0.85, dist);
-
-                    // Coffee ring develops as stain dries
-                    // Fresh: uniform color, Dry: dark edges, light center
-                    float ringEffect = ringDark * uDryness;
-                    vec3 finalColor = uColor * (1.0 - ringEffect * 0.4);
-
-                    // Center becomes more transparent as it dries
-                    float centerFade = mix(1.0, 0.3 + ringDark * 0.7, uDryness);
-                    float alpha = uOpacity * innerFade * outerFade * centerFade;
-
-                    gl_FragColor = vec4(finalColor, alpha);
-                }
-            `,
-            transparent: true,
-            depthWrite: false
-        });
-        this.stainMaterial.polygonOffset = true;
-        this.stainMaterial.polygonOffsetFactor = -1;
-
-        this.dropletInstancedMesh = new THREE.InstancedMesh(geometry, material, 200);
+        this.dropletInstancedMesh = new THREE.InstancedMesh(geometry, material, DROPLET_CAPACITY);
         this.dropletInstancedMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
         this.dropletInstancedMesh.count = 0;
         this.dropletInstancedMesh.frustumCulled = false;
@@ -328,7 +337,7 @@ export class LiquidSimulation {
 
         // Initialize all instance matrices
         const dummy = new THREE.Object3D();
-        for (let i = 0; i < 200; i++) {
+        for (let i = 0; i < DROPLET_CAPACITY; i++) {
             dummy.position.set(0, -100, 0);
             dummy.updateMatrix();
             this.dropletInstancedMesh.setMatrixAt(i, dummy.matrix);
@@ -376,9 +385,23 @@ export class LiquidSimulation {
         return Math.sqrt(pos.x * pos.x + pos.z * pos.z) <= this.cupRadius * 1.2;
     }
 
+    /**
+     * Advance the liquid - meant to run on the game's fixed step (the wave solver is step-size sensitive)
+     */
     update(deltaTime) {
         if (!this.cup) return;
 
+        // A shared stain layer is dried by its owner (the game)
+        if (this.ownsStainLayer) {
+            this.stainLayer.update(deltaTime);
+        }
+
+        // Broken cup: let spilled droplets land
+        if (this.detached) {
+            this.updateDroplets(deltaTime);
+            return;
+        }
+
         // Get cup world position and rotation
         const cupWorldPos = new THREE.Vector3();
         this.cup.getWorldPosition(cupWorldPos);
@@ -431,9 +454,6 @@ export class LiquidSimulation {
         // Update droplets
         this.updateDroplets(deltaTime);
 
-        // Update stain fading
-        this.updateStains(deltaTime);
-
         // Update distortion texture with wave data
         this.updateDistortionTexture();
 
@@ -491,6 +511,9 @@ export class LiquidSimulation {
         const clampedAccelX = Math.max(-50, Math.min(50, angularAccelX));
         const clampedAccelZ = Math.max(-50, Math.min(50, angularAccelZ));
 
+        // Forces were tuned per 60 Hz step - scale them to this step
+        const stepScale = dt * 60;
+
         // Store for next frame
         this.prevTiltX = tiltX;
         this.prevTiltZ = tiltZ;
@@ -526,8 +549,8 @@ export class LiquidSimulation {
                     -relZ * this.cupAcceleration.z * 0.6
                 );
 
-                // Apply forces
-                vel += (gravityForce + angularInertiaForce + transInertiaForce) * 0.5;
+                // Apply forces (tuned as 0.5 per 60 Hz step)
+                vel += (gravityForce + angularInertiaForce + transInertiaForce) * 0.5 * stepScale;
                 vel = Math.max(-this.maxVelocity, Math.min(this.maxVelocity, vel));
                 this.setVelocity(gx, gy, vel);
             }
@@ -537,6 +560,7 @@ export class LiquidSimulation {
     updateWavePhysics(dt) {
         const c = this.waveSpeed * dt;
         const c2 = c * c;
+        const damping = Math.pow(this.damping, dt * 60); // damping is per 60 Hz step
 
         // Create new heights array for double-buffering
         const newHeights = [...this.heights];
@@ -558,7 +582,7 @@ export class LiquidSimulation {
                 // Update velocity
                 let vel = this.getVelocity(gx, gy);
                 vel += laplacian * c2 * 50;
-                vel *= this.damping;
+                vel *= damping;
 
                 // Clamp velocity
                 vel = Math.max(-this.maxVelocity, Math.min(this.maxVelocity, vel));
@@ -650,7 +674,7 @@ export class LiquidSimulation {
             shape: this.dropletShape,
             position: new CANNON.Vec3(spillPos.x, spillPos.y, spillPos.z),
             linearDamping: 0.1,
-            material: new CANNON.Material({ friction: 0.3, restitution: 0.2 })
+            material: PhysicsMaterials.liquid
         });
 
         // Inherit cup velocity + outward push
@@ -692,7 +716,7 @@ export class LiquidSimulation {
             if (hitSomething && !d.stained && d.wasFalling) {
                 d.stained = true;
                 // Use the actual Y position where the droplet stopped
-                this.createStain(pos.x, pos.y + 0.001, pos.z);
+                this.stainLayer.createStain(pos.x, pos.y + 0.001, pos.z);
                 // Remove droplet immediately on contact
                 this.physicsWorld.removeBody(d.body);
                 this.dropletBodies.splice(i, 1);
@@ -702,7 +726,7 @@ export class LiquidSimulation {
             // Check if droplet hit ground level
             if (pos.y <= groundHeight + 0.02 && !d.stained) {
                 d.stained = true;
-                this.createStain(pos.x, groundHeight + 0.001, pos.z);
+                this.stainLayer.createStain(pos.x, groundHeight + 0.001, pos.z);
                 // Remove droplet immediately on contact
                 this.physicsWorld.removeBody(d.body);
                 this.dropletBodies.splice(i, 1);
@@ -712,7 +736,7 @@ export class LiquidSimulation {
             // Remove if expired - create stain at current position
             if (d.lifetime <= 0) {
                 if (!d.stained) {
-                    this.createStain(pos.x, pos.y + 0.001, pos.z);
+                    this.stainLayer.createStain(pos.x, pos.y + 0.001, pos.z);
                 }
                 this.physicsWorld.removeBody(d.body);
                 this.dropletBodies.splice(i, 1);
@@ -790,133 +814,6 @@ export class LiquidSimulation {
         img.src = texturePath;
     }
 
-    /**
-     * Create organic ellipse geometry with noise-distorted edges
-     */
-    createOrganicEllipseGeometry(radiusX, radiusY, segments = 32) {
-        const shape = new THREE.Shape();
-
-        // Random phase offsets for variety
-        const phase1 = Math.random() * Math.PI * 2;
-        const phase2 = Math.random() * Math.PI * 2;
-        const phase3 = Math.random() * Math.PI * 2;
-
-        for (let i = 0; i <= segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-
-            // Low frequency, high amplitude for smooth organic blobs
-            const noise1 = Math.sin(angle * 1 + phase1) * 0.35;  // 1 lobe
-            const noise2 = Math.sin(angle * 2 + phase2) * 0.25;  // 2 lobes
-            const noise3 = Math.sin(angle * 3 + phase3) * 0.15;  // 3 lobes
-            const noiseScale = 1 + noise1 + noise2 + noise3;
-
-            const px = Math.cos(angle) * radiusX * noiseScale;
-            const py = Math.sin(angle) * radiusY * noiseScale;
-
-            if (i === 0) {
-                shape.moveTo(px, py);
-            } else {
-                shape.lineTo(px, py);
-            }
-        }
-
-        const geometry = new THREE.ShapeGeometry(shape);
-
-        // Generate UVs based on position (for shader)
-        const pos = geometry.attributes.position;
-        const uvs = new Float32Array(pos.count * 2);
-        for (let i = 0; i < pos.count; i++) {
-            // Map position to 0-1 UV range
-            uvs[i * 2] = (pos.getX(i) / radiusX + 1) * 0.5;
-            uvs[i * 2 + 1] = (pos.getY(i) / radiusY + 1) * 0.5;
-        }
-        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
-
-        return geometry;
-    }
-
-    createStain(x, y, z) {
-        // Skip stains on top of the ashtray
-        const ashtrayX = 0.26, ashtrayZ = -0.25, ashtrayRadius = 0.08;
-        const distToAshtray = Math.sqrt((x - ashtrayX) ** 2 + (z - ashtrayZ) ** 2);
-        if (y > 0.5 && distToAshtray < ashtrayRadius) {
-            return; // Don't stain on ashtray
-        }
-
-        // Remove oldest stain if at max
-        if (this.stains.length >= this.maxStains) {
-            const oldest = this.stains.shift();
-            this.scene.remove(oldest.mesh);
-            oldest.mesh.geometry.dispose();
-            oldest.mesh.material.dispose();
-        }
-
-        // Snap stain Y to nearest surface (table at ~0.77, ground at 0)
-        const tableHeight = 0.77;
-        const groundHeight = 0.001;
-        let stainY;
-        if (y > 0.5) {
-            stainY = tableHeight;
-        } else {
-            stainY = groundHeight;
-        }
-
-        // Random ellipse dimensions with large variation
-        // Weighted random: mostly small, occasionally big splashes
-        const sizeRoll = Math.random();
-        let baseSize;
-        if (sizeRoll < 0.6) {
-            baseSize = 0.005 + Math.random() * 0.005; // Small (60%)
-        } else if (sizeRoll < 0.85) {
-            baseSize = 0.01 + Math.random() * 0.008; // Medium (25%)
-        } else {
-            baseSize = 0.015 + Math.random() * 0.015; // Large - up to 3x (15%)
-        }
-        const aspectRatio = 0.5 + Math.random() * 1.0; // 0.5 to 1.5 for more elongation
-        const radiusX = baseSize;
-        const radiusY = baseSize * aspectRatio;
-
-        // Create organic ellipse geometry
-        const geometry = this.createOrganicEllipseGeometry(radiusX, radiusY);
-
-        // Create material with color variation (coffee browns)
-        const baseColor = new THREE.Color(0x8b6914);
-        const colorVariation = (Math.random() - 0.5) * 0.1;
-        const stainColor = new THREE.Color(
-            Math.max(0.2, baseColor.r + colorVariation),
-            Math.max(0.1, baseColor.g + colorVariation * 0.8),
-            Math.max(0, baseColor.b + colorVariation * 0.5)
-        );
-
-        const stainMat = this.stainMaterial.clone();
-        stainMat.uniforms = {
-            uColor: { value: stainColor },
-            uOpacity: { value: 0.35 + Math.random() * 0.15 },
-            uDryness: { value: 0.0 } // Starts fresh, dries over time
-        };
-
-        const stain = new THREE.Mesh(geometry, stainMat);
-        stain.position.set(x, stainY, z);
-        stain.rotation.x = -Math.PI / 2; // Flat on surface
-        stain.rotation.z = Math.random() * Math.PI * 2; // Random rotation
-        stain.scale.setScalar(0.8 + Math.random() * 0.5);
-        this.scene.add(stain);
-        this.stains.push({ mesh: stain, age: 0 }); // Track age for drying effect
-    }
-
-    updateStains(deltaTime) {
-        const dryTime = 5.0; // Seconds to fully dry and form coffee ring
-        for (const stain of this.stains) {
-            if (stain.age < dryTime) {
-                stain.age += deltaTime;
-                const dryness = Math.min(1.0, stain.age / dryTime);
-                if (stain.mesh.material.uniforms && stain.mesh.material.uniforms.uDryness) {
-                    stain.mesh.material.uniforms.uDryness.value = dryness;
-                }
-            }
-        }
-    }
-
     updateLiquidMesh(cupWorldPos, cupTilt) {
         // Position liquid mesh relative to cup (local coordinates)
         // Since liquid is a child of cup, just set Y offset for liquid level
@@ -928,6 +825,11 @@ export class LiquidSimulation {
         // Adjust position so top stays at surface while bottom rises
         this.bodyMesh.position.y = -0.75 * levelRatio; // Half of original bodyHeight (1.5) * ratio
 
+        // Hide the surface once the cup is drained
+        const hasLiquid = this.liquidLevel > 0.001;
+        this.topMesh.visible = hasLiquid;
+        this.bodyMesh.visible = hasLiquid;
+
         // Update vertex positions based on heightfield (top surface only)
         const positions = this.topGeometry.attributes.position.array;
 
@@ -948,7 +850,9 @@ export class LiquidSimulation {
         }
 
         this.topGeometry.attributes.position.needsUpdate = true;
-        this.topGeometry.computeVertexNormals();
+        if (++this.meshUpdates % this.normalsInterval === 0) {
+            this.topGeometry.computeVertexNormals();
+        }
     }
 
     /**
@@ -963,10 +867,19 @@ export class LiquidSimulation {
         this.cup.getWorldPosition(cupWorldPos);
 
         // Number of droplets based on how much liquid was left (much more now!)
-        const dropletCount = Math.floor(this.liquidLevel / this.maxLiquidLevel * 120);
+        const dropletCount = Math.min(
+            Math.floor(this.liquidLevel / this.maxLiquidLevel * 120),
+            this.maxDroplets
+        );
 
         // Spawn droplets across the liquid surface
         for (let i = 0; i < dropletCount; i++) {
+            // Remove oldest if at max
+            if (this.dropletBodies.length >= this.maxDroplets) {
+                const oldest = this.dropletBodies.shift();
+                this.physicsWorld.removeBody(oldest.body);
+            }
+
             // Random position on liquid surface
             const angle = Math.random() * Math.PI * 2;
             const radius = Math.random() * this.cupRadius * 0.8;
@@ -989,7 +902,7 @@ export class LiquidSimulation {
                 shape: this.dropletShape,
                 position: new CANNON.Vec3(spillPos.x, spillPos.y, spillPos.z),
                 linearDamping: 0.1,
-                material: new CANNON.Material({ friction: 0.3, restitution: 0.2 })
+                material: PhysicsMaterials.liquid
             });
 
             // Outward explosion velocity from impact point - more splashy!
@@ -1017,11 +930,75 @@ export class LiquidSimulation {
         this.liquidLevel = 0;
     }
 
+    /**
+     * Drink from the cup - removes liquid while the cup is tipped at the mouth
+     * Lower levels need more tilt before coffee reaches the lip, and flow
+     * builds up over the first moments of a sip
+     * @param {number} tilt - Cup tilt in radians (0 = upright)
+     * @param {number} sipDuration - Seconds since the current sip started
+     * @param {number} deltaTime - Frame time in seconds
+     * @returns {number} Fraction of a full cup consumed this frame
+     */
+    drink(tilt, sipDuration, deltaTime) {
+        if (this.liquidLevel <= 0) return 0;
+
+        // Tilt needed for coffee to reach the lip: 0.2 rad when full, 0.5 rad when nearly empty
+        const levelRatio = this.liquidLevel / this.maxLiquidLevel;
+        const reachTilt = 0.2 + (1 - levelRatio) * 0.3;
+        if (tilt <= reachTilt) return 0;
+
+        const tiltFlow = Math.min(1, (tilt - reachTilt) / (this.maxDrinkTilt - reachTilt));
+        const sipFlow = Math.min(1, sipDuration / this.sipRampTime);
+
+        const drained = Math.min(
+            this.liquidLevel,
+            this.drinkRate * this.maxLiquidLevel * tiltFlow * sipFlow * deltaTime
+        );
+        this.liquidLevel -= drained;
+
+        return drained / this.maxLiquidLevel;
+    }
+
+    /**
+     * Detach from a broken cup - removes the surface but keeps simulating
+     * droplets in flight
+     */
+    detach() {
+        this.detached = true;
+        this.cup.remove(this.liquidMesh);
+    }
+
+    /**
+     * True once a detached spill has nothing left to simulate
+     */
+    isSettled() {
+        return this.dropletBodies.length === 0;
+    }
+
     // Get how much has been spilled (for scoring/feedback)
     getTotalSpilled() {
         return this.totalSpilled;
     }
 
+    /**
+     * Plain-data liquid state (for saving) - waves and droplets in flight are not kept
+     */
+    serialize() {
+        return {
+            level: this.getLiquidPercentage(),
+            totalSpilled: this.totalSpilled
+        };
+    }
+
+    /**
+     * Restore a saved liquid state onto a still surface
+     */
+    restore(state) {
+        this.liquidLevel = Math.max(0, Math.min(1, state.level)) * this.maxLiquidLevel;
+        this.totalSpilled = state.totalSpilled || 0;
+        this.resetHeightfield();
+    }
+
     // Get current liquid level percentage
     getLiquidPercentage() {
         return this.liquidLevel / this.maxLiquidLevel;
@@ -1045,13 +1022,9 @@ export class LiquidSimulation {
         this.dropletInstancedMesh.geometry.dispose();
         this.dropletInstancedMesh.material.dispose();
 
-        // Clean up stains (each has its own geometry now)
-        for (const s of this.stains) {
-            this.scene.remove(s.mesh);
-            s.mesh.geometry.dispose();
-            s.mesh.material.dispose();
+        // Stains stay on the table unless this simulation owns them
+        if (this.ownsStainLayer) {
+            this.stainLayer.dispose();
         }
-        this.stains = [];
-        this.stainMaterial.dispose();
     }
 }
@@ -6,6 +6,17 @@ const gltfLoader = new GLTFLoader();
 // Cache for loaded models
 const modelCache = new Map();
 
+// Where a model path is fetched from (the asset loader points this at its downloaded copies)
+let resolveModelUrl = (path) => path;
+
+/**
+ * Fetch models through a resolver instead of straight from their path
+ * @param {Function} resolver - path => URL to load
+ */
+export function setModelResolver(resolver) {
+    resolveModelUrl = resolver;
+}
+
 /**
  * Load a GLTF/GLB model
  * @param {string} path - Path to the model file
@@ -30,9 +41,10 @@ export async function loadModel(path, options = {}) {
 
     return new Promise((resolve, reject) => {
         gltfLoader.load(
-            path,
+            resolveModelUrl(path),
             (gltf) => {
                 const model = gltf.scene;
+                model.userData.modelPath = path; // Keys the collider cache (clones copy it)
 
                 // Enable shadows on all meshes
                 model.traverse((child) => {
@@ -240,6 +252,128 @@ export function createFallbackTable() {
     return group;
 }
 
+/**
+ * Create fallback sugar cube
+ */
+export function createFallbackSugarCube() {
+    const group = new THREE.Group();
+
+    const cubeGeo = new THREE.BoxGeometry(0.015, 0.015, 0.015);
+    const sugarMat = new THREE.MeshStandardMaterial({ color: 0xfdfcf8, roughness: 0.95 });
+    const cube = new THREE.Mesh(cubeGeo, sugarMat);
+    cube.castShadow = true;
+    group.add(cube);
+
+    return group;
+}
+
+/**
+ * Create fallback teaspoon (handle + shallow bowl)
+ */
+export function createFallbackSpoon() {
+    const group = new THREE.Group();
+    const steelMat = new THREE.MeshStandardMaterial({ color: 0xcfd2d6, metalness: 0.9, roughness: 0.25 });
+
+    // Handle along X
+    const handleGeo = new THREE.BoxGeometry(0.09, 0.003, 0.008);
+    const handle = new THREE.Mesh(handleGeo, steelMat);
+    handle.position.x = -0.02;
+    handle.castShadow = true;
+    group.add(handle);
+
+    // Bowl - flattened half sphere
+    const bowlGeo = new THREE.SphereGeometry(0.012, 12, 8, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2);
+    const bowl = new THREE.Mesh(bowlGeo, steelMat);
+    bowl.scale.set(1.4, 0.5, 1);
+    bowl.position.x = 0.04;
+    bowl.castShadow = true;
+    group.add(bowl);
+
+    return group;
+}
+
+/**
+ * Create fallback paper napkin (folded square)
+ */
+export function createFallbackNapkin() {
+    const group = new THREE.Group();
+
+    const napkinGeo = new THREE.BoxGeometry(0.12, 0.003, 0.12);
+    const paperMat = new THREE.MeshStandardMaterial({ color: 0xf4efe6, roughness: 1.0 });
+    const napkin = new THREE.Mesh(napkinGeo, paperMat);
+    napkin.castShadow = true;
+    napkin.receiveShadow = true;
+    group.add(napkin);
+
+    // Top fold, slightly offset
+    const foldGeo = new THREE.BoxGeometry(0.12, 0.002, 0.06);
+    const fold = new THREE.Mesh(foldGeo, paperMat);
+    fold.position.set(0, 0.002, -0.03);
+    fold.receiveShadow = true;
+    group.add(fold);
+
+    return group;
+}
+
+/**
+ * Create fallback croissant (curved torus arc)
+ */
+export function createFallbackCroissant() {
+    const group = new THREE.Group();
+
+    const pastryMat = new THREE.MeshStandardMaterial({ color: 0xc98a3b, roughness: 0.7 });
+    const croissantGeo = new THREE.TorusGeometry(0.03, 0.014, 10, 20, Math.PI * 1.1);
+    const croissant = new THREE.Mesh(croissantGeo, pastryMat);
+    croissant.name = 'pastry';
+    croissant.rotation.x = Math.PI / 2; // Lie flat
+    croissant.scale.set(1, 1, 0.8);
+    croissant.castShadow = true;
+    group.add(croissant);
+
+    return group;
+}
+
+/**
+ * Create fallback glass of water
+ */
+export function createFallbackWaterGlass() {
+    const group = new THREE.Group();
+
+    // Glass walls (open top)
+    const glassGeo = new THREE.CylinderGeometry(0.035, 0.03, 0.12, 20, 1, true);
+    const glassMat = new THREE.MeshStandardMaterial({
+        color: 0xe8f4ff,
+        transparent: true,
+        opacity: 0.25,
+        roughness: 0.05,
+        side: THREE.DoubleSide
+    });
+    const glass = new THREE.Mesh(glassGeo, glassMat);
+    glass.castShadow = true;
+    group.add(glass);
+
+    // Thick glass bottom
+    const bottomGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.008, 20);
+    const bottom = new THREE.Mesh(bottomGeo, glassMat);
+    bottom.position.y = -0.056;
+    group.add(bottom);
+
+    // Water inside
+    const waterGeo = new THREE.CylinderGeometry(0.032, 0.029, 0.08, 20);
+    const waterMat = new THREE.MeshStandardMaterial({
+        color: 0x9fc9e8,
+        transparent: true,
+        opacity: 0.35,
+        roughness: 0.1
+    });
+    const water = new THREE.Mesh(waterGeo, waterMat);
+    water.name = 'water';
+    water.position.y = -0.012;
+    group.add(water);
+
+    return group;
+}
+
 /**
  * Try to load a model, falling back to primitive if it fails
  */
@@ -9,31 +9,78 @@ import {
     loadPanoramaBackground,
     createSunWithLensflare
 } from './scene.js';
-import { loadModelWithFallback, createFallbackTable } from './loader.js';
+import { loadModelWithFallback, setModelResolver } from './loader.js';
 import { Hands } from './hands.js';
-import { AnimationController } from './animations.js';
+import { AnimationController, AnimationState } from './animations.js';
 import { SmokeParticleSystem } from './particles.js';
+import { GPUParticleSimulation } from './gpuParticles.js';
 import { Controls } from './controls.js';
-import { LiquidSimulation } from './liquid.js';
 import { PhysicsWorld } from './physics.js';
 import { SoundManager } from './sounds.js';
+import { CollisionAudio } from './collisionAudio.js';
+import { SpriteInspector } from './spriteInspector.js';
 import { FractureSystem } from './fracture.js';
+import { EntityRegistry, EntityKind } from './entities.js';
+import { ItemCatalog, getItemDefinition } from './items.js';
+import { StainLayer } from './stains.js';
+import { SaveManager } from './persistence.js';
+import { IntoxicationModel, Substance } from './intoxication.js';
+import { BreathingModel, BreathPhase } from './breathing.js';
+import { AshSystem } from './ash.js';
+import { FlowField } from './flowField.js';
+import { CigaretteLifecycle, CigaretteState } from './cigarettes.js';
+import { Lighter } from './lighter.js';
+import { FixedTimestep } from './timestep.js';
+import { AssetLoader, formatBytes } from './assets.js';
+import { Settings } from './settings.js';
+import { QualityPresets, QualityLevels, QualityGovernor } from './quality.js';
+import { PauseMenu } from './pauseMenu.js';
+import { PhysicsDebugOverlay } from './physicsDebug.js';
 
 class CafeSimulator {
-    constructor() {
+    /**
+     * @param options.manualTime - only advance through advance() (automated tests)
+     * @param options.restoreSave - bring back the autosaved table on start
+     */
+    constructor(options = {}) {
         this.clock = new THREE.Clock();
         this.isInitialized = false;
+        this.manualTime = options.manualTime ?? false;
+        this.restoreSave = options.restoreSave ?? true;
 
         // Environment objects
         this.table = null;
         this.ashtray = null;
 
-        // Grabbable objects list
-        this.grabbableObjects = [];
+        // Every spawned cup/cigarette with its own body, liquid and burn state
+        this.entities = new EntityRegistry();
 
-        // Scoring system
-        this.drinkScore = 0;  // Coffee drinks - causes hand shake
-        this.smokeScore = 0;  // Cigarettes smoked - causes movement lag
+        // Active items - last cup/cigarette picked up or spawned (D/S animations)
+        this.activeCup = null;
+        this.activeCigarette = null;
+
+        // Liquids of broken cups - kept updating until their droplets land
+        this.spills = [];
+
+        // Coffee stains on the table/floor, shared by every cup (created with the scene)
+        this.stains = null;
+
+        // Autosave + JSON export/import of the table
+        this.saves = new SaveManager(this);
+
+        // Caffeine (hand shake) and nicotine (movement lag, coughing) in the blood
+        this.intoxication = new IntoxicationModel();
+
+        // Smoke in the lungs - drags build while a cigarette is at the lips
+        this.breathing = new BreathingModel();
+        this.smokedCigarette = null;  // Cigarette whose tip is glowing from the draw
+        this.animatedDrag = false;    // The S-key animation has the active cigarette at the lips
+        this.burnPerDrag = 0.08;      // Cigarette length burned by an ordinary drag
+        this.tipGlowPerDraw = 0.6;    // setTipGlow intensity at full draw
+
+        // Drinking state - how long the current sip has lasted
+        this.sipTime = 0;
+        this.sipSoundPlayed = false;
 
         // Effect tracking
         this.shakeTime = 0;
@@ -43,25 +90,60 @@ class CafeSimulator {
         this.lastMouseX = 0;
         this.lastMouseY = 0;
 
+        // Grab state
+        this.isGrabbing = false;
+        this.mouthActionTriggered = false; // Mouth hook already fired for this visit
+        this.cupTiltSpeed = 2.4;           // Radians per second the cup tips at the mouth
+        this.debugEl = null;
+
+        // Simulation advances in fixed steps; delayed events run on simulated time
+        this.timestep = new FixedTimestep();
+        this.timers = [];
+
+        // Player preferences (applied once the systems they tune exist)
+        this.settings = new Settings();
+        this.isPaused = false;
+
+        // Graphics tier in effect (the chosen one, or lower while the governor is easing load)
+        this.quality = QualityPresets.high;
+        this.governor = new QualityGovernor();
+        this.appliedQuality = null;     // Settings the quality was last applied with
+
+        // Everything in assets.json is downloaded before the scene is built
+        this.assets = new AssetLoader();
+
         // Loading progress
         this.loadingScreen = document.getElementById('loading-screen');
         this.loadingFill = document.querySelector('.loading-fill');
         this.loadingText = document.querySelector('.loading-text');
-        this.loadingProgress = 0;
-        this.loadingSteps = 7; // Total loading steps
+        this.loadingFailures = document.querySelector('.loading-failures');
+        this.loadingProgress = 0; // 0-1, bytes downloaded
     }
 
-    updateLoading(step, text) {
-        this.loadingProgress = step;
-        const percent = Math.round((step / this.loadingSteps) * 100);
+    updateLoading(progress, text) {
+        this.loadingProgress = progress;
         if (this.loadingFill) {
-            this.loadingFill.style.width = `${percent}%`;
+            this.loadingFill.style.width = `${Math.round(progress * 100)}%`;
         }
         if (this.loadingText) {
             this.loadingText.textContent = text;
         }
     }
 
+    /**
+     * List missing and broken assets on the loading screen
+     */
+    showAssetFailures(failures) {
+        if (!this.loadingFailures) return;
+        for (const failure of failures) {
+            const item = document.createElement('li');
+            item.className = failure.required ? 'required' : 'optional';
+            const impact = failure.required ? 'required' : 'optional, skipped';
+            item.textContent = `${failure.url}: ${failure.reason} (${impact})`;
+            this.loadingFailures.appendChild(item);
+        }
+    }
+
     hideLoading() {
         if (this.loadingScreen) {
             this.loadingScreen.classList.add('hidden');
@@ -80,33 +162,56 @@ class CafeSimulator {
             return;
         }
 
+        // Download models, sounds and textures
+        try {
+            await this.assets.loadAll(({ loaded, total }) => {
+                const progress = total > 0 ? loaded / total : 0;
+                this.updateLoading(progress, `Loading assets... ${formatBytes(loaded)} / ${formatBytes(total)}`);
+            });
+        } catch (e) {
+            // A core asset is missing - stop here rather than start a broken game
+            this.showAssetFailures(e.failures || []);
+            this.loadingFill?.classList.add('failed');
+            this.updateLoading(this.loadingProgress, `Can't start: ${e.message}`);
+            throw e;
+        }
+        const failures = this.assets.getFailures();
+        this.showAssetFailures(failures);
+        setModelResolver(path => this.assets.resolve(path));
+
         this.updateLoading(1, 'Setting up scene...');
 
         // Create core Three.js components
         this.scene = createScene();
         this.camera = createCamera();
-        this.renderer = createRenderer(canvas);
+        this.settings.load();
+        this.renderer = createRenderer(canvas, {
+            antialias: QualityPresets[this.settings.get('graphicsQuality')].antialias
+        });
+        this.stains = new StainLayer(this.scene);
 
         // Setup lighting
-        createLighting(this.scene);
+        this.lights = createLighting(this.scene);
 
         // Add sun with lens flare
         this.sun = createSunWithLensflare(this.scene);
 
         // Load panorama background (interior Bomboca photo sphere)
-        loadPanoramaBackground(this.scene, 'panorama_interior.jpg').catch(() => {
+        if (this.assets.has('panorama_interior.jpg')) {
+            loadPanoramaBackground(this.scene, this.assets.resolve('panorama_interior.jpg')).catch(() => {
+                createFloor(this.scene);
+            });
+        } else {
             console.log('No panorama found, using default background');
             // Only create floor as fallback when no panorama
             createFloor(this.scene);
-        });
+        }
 
-        this.updateLoading(2, 'Loading environment...');
+        this.updateLoading(1, 'Building the table...');
 
         // Load environment (table)
         await this.loadEnvironment();
 
-        this.updateLoading(3, 'Loading items...');
-
         // Setup items (cup and cigarette on table, in world space)
         this.hands = new Hands(this.camera, this.scene);
         await this.hands.init();
@@ -114,80 +219,60 @@ class CafeSimulator {
         // Add camera to scene for proper transforms
         this.scene.add(this.camera);
 
-        this.updateLoading(4, 'Setting up physics...');
-
-        // Create particle system
-        this.particles = new SmokeParticleSystem(this.scene, this.hands);
+        // Create particle system - simulated on the GPU when it can be (?cpuparticles forces the CPU fallback)
+        const cpuParticles = new URLSearchParams(window.location.search).has('cpuparticles');
+        this.particles = new SmokeParticleSystem(this.scene, this.hands,
+            cpuParticles ? null : GPUParticleSimulation.create(this.renderer));
 
-        // Create physics world first (moved before liquid)
+        // Create physics world (grab behaviors come from the entity registry)
         this.physics = new PhysicsWorld();
-
-        // Track multiple liquid simulations (one per cup)
-        this.liquids = new Map(); // Map<cup, LiquidSimulation>
-
-        // Create liquid simulation for initial coffee cup
-        const initialCup = this.hands.getCoffeeCup();
-        const initialLiquid = new LiquidSimulation(this.scene, initialCup, this.physics.world);
-        this.liquids.set(initialCup, initialLiquid);
-
-        // Keep reference to "active" liquid for UI meter (most recent unbroken cup)
-        this.activeLiquid = initialLiquid;
+        this.physics.setEntityRegistry(this.entities);
 
         // Create animation controller
-        this.animation = new AnimationController(this.hands, this.particles);
+        this.animation = new AnimationController(this.hands);
 
         // Setup controls (keyboard + mouse look)
         this.controls = new Controls(this.animation, this.camera);
 
-        this.updateLoading(5, 'Loading sounds...');
+        this.updateLoading(1, 'Decoding sounds...');
 
         // Setup sound system
-        this.sounds = new SoundManager(this.camera);
+        this.sounds = new SoundManager(this.camera, this.assets, this.scene);
         await this.sounds.init();
 
-        this.updateLoading(6, 'Setting up interactions...');
+        this.updateLoading(1, 'Setting up interactions...');
 
-        // Setup physics (world already created above)
-        this.setupPhysics();
+        // F4 sprite tuning panel
+        this.spriteInspector = new SpriteInspector(this.sounds);
+
+        // Impact sounds from physics contacts
+        this.collisionAudio = new CollisionAudio(this.physics, this.sounds);
 
         // Setup fracture system for breakable objects
         this.fracture = new FractureSystem(this.scene, this.physics.world);
 
-        // Register cup as breakable (threshold ~2 = gentle drop won't break, hard throw will)
-        const cup = this.hands.getCoffeeCup();
-        if (cup) {
-            this.physics.registerBreakable(cup, 2.0, (mesh, body, impactPoint, force) => {
-                console.log('Cup breaking!');
-                // Play breaking sound
-                if (this.sounds) {
-                    this.sounds.playBreak();
-                }
+        // Air stirred up by moving items and the hand - smoke and steam drift through it
+        this.flow = new FlowField();
+        this.particles.setFlowField(this.flow);
 
-                // Remove from grabbables
-                const idx = this.grabbableObjects.indexOf(mesh);
-                if (idx > -1) this.grabbableObjects.splice(idx, 1);
+        // Ash at the tips of cigarettes, and the flakes that fall off
+        this.ash = new AshSystem(this.scene, this.physics, this.stains, this.entities);
 
-                // Fracture the cup
-                this.fracture.fracture(mesh, body, impactPoint, force * 2, 10);
+        // Lit, unlit and stubbed-out cigarettes, and the lighter to light them with (hold L)
+        this.cigarettes = new CigaretteLifecycle(this.physics, this.hands, this.ash, this.entities);
+        this.cigarettes.onExtinguish = (entity, reason) => this.onCigaretteOut(entity, reason);
+        this.lighter = new Lighter(this.camera);
 
-                // Spill liquid for this specific cup
-                const liquid = this.liquids.get(mesh);
-                if (liquid) {
-                    liquid.spillAll(impactPoint);
-                    this.liquids.delete(mesh);
-                }
+        // Setup physics (world already created above)
+        this.setupPhysics();
 
-                // Disable steam if this was the active cup
-                if (mesh === this.hands.getCoffeeCup() && this.particles) {
-                    this.particles.setSteamEnabled(false);
-                }
+        // F3 collider/contact overlay
+        this.physicsDebug = new PhysicsDebugOverlay(this.scene, this.physics, this.camera);
 
-                // Hide coffee meter if no cups left
-                if (this.liquids.size === 0 && this.coffeeMeter) {
-                    this.coffeeMeter.style.display = 'none';
-                    this.cupBroken = true;
-                }
-            });
+        // Bring back the table from last time (if saved)
+        if (this.restoreSave) {
+            await this.saves.load();
+            this.setupAutosave();
         }
 
         // Setup mouse interaction for grabbing
@@ -196,16 +281,16 @@ class CafeSimulator {
         // Handle window resize
         handleResize(this.camera, this.renderer);
 
-        // Get meter UI elements
-        this.coffeeMeter = document.getElementById('coffee-meter');
-        this.coffeeFill = document.querySelector('.coffee-fill');
-        this.cigaretteMeter = document.getElementById('cigarette-meter');
-        this.cigaretteFill = document.querySelector('.cigarette-fill');
-
         // Setup action buttons
         this.setupActionButtons();
+        this.setupSaveButtons();
+
+        // Apply saved preferences now, and again whenever the settings panel changes one
+        this.settings.onChange(values => this.applySettings(values));
+        this.applySettings(this.settings.values);
+        this.pauseMenu = new PauseMenu(this, this.settings);
 
-        this.updateLoading(7, 'Ready!');
+        this.updateLoading(1, 'Ready!');
 
         this.isInitialized = true;
         console.log('Cafe Simulator initialized!');
@@ -214,8 +299,8 @@ class CafeSimulator {
         // Ambient sound will auto-start when audio context is resumed on first user interaction
         // (handled by SoundManager.setupContextResume)
 
-        // Hide loading screen
-        setTimeout(() => this.hideLoading(), 300);
+        // Hide loading screen (leave any asset problems up long enough to read)
+        setTimeout(() => this.hideLoading(), failures.length > 0 ? 2000 : 300);
 
         // Start render loop
         this.animate();
@@ -254,49 +339,243 @@ class CafeSimulator {
 
     setupPhysics() {
         // Create floor/ground plane (static)
-        this.physics.createStaticBox(null, { x: 10, y: 0.1, z: 10 }, { x: 0, y: -0.05, z: 0 });
+        this.physics.createStaticBox(null, { x: 10, y: 0.1, z: 10 }, { x: 0, y: -0.05, z: 0 }, 'floor');
 
-        // Create table surface collider (shrunk to 70%, rotated 30° CCW)
+        // Table and ashtray colliders follow their models (legs, rim and bowl included)
         if (this.table) {
-            this.physics.createStaticSurface(this.table, 0.7, Math.PI / 6);
+            this.physics.createStaticFromModel(this.table, { material: 'wood' });
         }
-
-        // Create ashtray surface collider
         if (this.ashtray) {
-            this.physics.createStaticSurface(this.ashtray);
+            this.cigarettes.setAshtray(this.physics.createStaticFromModel(this.ashtray, { material: 'glass' }));
         }
 
         // Get the coffee cup and cigarette
         const cup = this.hands.getCoffeeCup();
         const cigarette = this.hands.getCigarette();
 
-        // Create dynamic body for coffee cup
+        // Register them as entities (creates physics bodies, liquid and meters)
         if (cup) {
-            this.physics.createDynamicCylinder(cup, 0.04, 0.08, 0.5);
-            this.grabbableObjects.push(cup);
+            this.registerItem(EntityKind.CUP, cup);
         }
-
-        // Create dynamic body for cigarette
         if (cigarette) {
-            this.physics.createDynamicBox(cigarette,
-                { x: 0.08, y: 0.01, z: 0.01 },
-                0.05
-            );
-            this.grabbableObjects.push(cigarette);
+            this.registerItem(EntityKind.CIGARETTE, cigarette);
         }
 
         // Enable physics control for items
         this.hands.setCupPhysicsControlled(true);
         this.hands.setCigarettePhysicsControlled(true);
 
-        console.log('Physics initialized with', this.grabbableObjects.length, 'grabbable objects');
+        console.log('Physics initialized with', this.entities.size, 'grabbable objects');
+    }
+
+    /**
+     * Spawn any catalog item onto the table
+     * @param {string} kind - One of EntityKind (key of ItemCatalog)
+     * @param {THREE.Vector3} position - World position (defaults to the item's spot above the table)
+     * @returns {Promise<Object>} The new entity
+     */
+    async spawnItem(kind, position = null) {
+        const item = getItemDefinition(kind);
+
+        // Load the model, or build the primitive fallback
+        const mesh = item.model
+            ? await loadModelWithFallback(item.model, item.fallback, item.modelOptions || {})
+            : item.fallback();
+        this.scene.add(mesh);
+
+        // Spawn above the table so it falls into place
+        if (position) {
+            mesh.position.copy(position);
+        } else {
+            mesh.position.copy(item.spawnPosition);
+            mesh.position.y += item.dropHeight;
+        }
+        mesh.rotation.set(item.rotation.x, item.rotation.y, item.rotation.z);
+
+        const entity = this.registerItem(kind, mesh);
+        console.log(`Spawned ${item.name}`);
+        return entity;
+    }
+
+    /**
+     * Track an item (already in the scene) as an entity: dynamic body,
+     * breakability and meter from its catalog entry, then its onSpawn hook
+     */
+    registerItem(kind, mesh) {
+        const item = getItemDefinition(kind);
+        mesh.name = item.name;
+
+        const body = this.physics.createDynamicBody(mesh, item.collider, item.mass, item.material);
+        const entity = this.entities.add(kind, mesh, {
+            definition: item,
+            behaviors: item.behaviors,
+            body: body,
+            bitesLeft: item.bites || 0
+        });
+        entity.meter = this.createMeter(entity);
+
+        if (item.breakThreshold) {
+            this.physics.registerBreakable(mesh, item.breakThreshold, (m, b, impactPoint, force) => {
+                this.breakItem(entity, b, impactPoint, force);
+            });
+        }
+
+        if (item.hooks.onSpawn) {
+            item.hooks.onSpawn(this, entity);
+        }
+        return entity;
+    }
+
+    /**
+     * Shatter a breakable entity, then run its onBreak hook
+     */
+    breakItem(entity, body, impactPoint, force) {
+        console.log(`${entity.definition.name} breaking!`);
+        // Play breaking sound where it hit
+        if (this.sounds) {
+            this.sounds.playBreak(impactPoint);
+        }
+
+        // Stop tracking (no longer grabbable)
+        this.entities.remove(entity);
+        this.removeMeter(entity);
+        this.removeEmitter(entity);
+
+        // Fracture the mesh
+        this.fracture.fracture(entity.mesh, body, impactPoint, force * 2, entity.definition.fragments || 10);
+
+        if (entity.definition.hooks.onBreak) {
+            entity.definition.hooks.onBreak(this, entity, impactPoint, force);
+        }
+    }
+
+    /**
+     * Remove an entity from the table entirely (eaten, cleaned up...)
+     */
+    despawnItem(entity) {
+        this.physics.removeBody(entity.mesh);
+        this.scene.remove(entity.mesh);
+        this.entities.remove(entity);
+        this.removeMeter(entity);
+        this.removeEmitter(entity);
+        if (entity.liquid) {
+            entity.liquid.dispose();
+        }
+
+        if (this.activeCup === entity) this.setActiveCup(null);
+        if (this.activeCigarette === entity) this.setActiveCigarette(null);
+    }
+
+    /**
+     * Remove every item, spill and stain (before restoring a save)
+     */
+    clearTable() {
+        for (const entity of this.entities.all()) {
+            this.despawnItem(entity);
+        }
+        for (const liquid of this.spills) {
+            liquid.dispose();
+        }
+        this.spills = [];
+        this.stains.clear();
+        this.ash.clear();
+        this.flow.clear();
+    }
+
+    /**
+     * Spill whatever coffee is left in a broken cup
+     */
+    spillCup(entity, impactPoint) {
+        // Keep simulating the liquid until the droplets land
+        if (entity.liquid) {
+            entity.liquid.spillAll(impactPoint);
+            entity.liquid.detach();
+            this.spills.push(entity.liquid);
+        }
+
+        // Steam moves on to another intact cup (if any)
+        if (this.activeCup === entity) {
+            const remaining = this.entities.ofKind(EntityKind.CUP);
+            this.setActiveCup(remaining.length > 0 ? remaining[remaining.length - 1] : null);
+        }
+    }
+
+    /**
+     * Take a bite of something edible - shrinks it, and it's gone after the last bite
+     */
+    takeBite(entity) {
+        this.setBitesLeft(entity, entity.bitesLeft - 1);
+        if (entity.bitesLeft <= 0) {
+            console.log(`Ate the ${entity.definition.name}`);
+        } else {
+            console.log(`Bite! ${entity.bitesLeft} left`);
+        }
+    }
+
+    setBitesLeft(entity, bitesLeft) {
+        entity.bitesLeft = bitesLeft;
+        if (bitesLeft <= 0) {
+            this.despawnItem(entity);
+            return;
+        }
+        const remaining = bitesLeft / entity.definition.bites;
+        entity.mesh.scale.setScalar(0.4 + remaining * 0.6);
+    }
+
+    /**
+     * Give an entity its own steam or smoke emitter
+     * @param {string} style - Emitter style in particles.js
+     * @param {Function} getPosition - Where the particles come from (world space)
+     */
+    addEmitter(entity, style, getPosition) {
+        entity.emitter = this.particles.addEmitter(style, getPosition);
+    }
+
+    removeEmitter(entity) {
+        if (entity.emitter) {
+            this.particles.removeEmitter(entity.emitter);
+            entity.emitter = null;
+        }
+    }
+
+    /**
+     * Make a cup the active one (cup tilt, D-key drink animation)
+     */
+    setActiveCup(entity) {
+        this.activeCup = entity;
+        this.hands.coffeeCup = entity ? entity.mesh : null;
+    }
+
+    /**
+     * Make a cigarette the active one (tip glow, S-key smoke animation)
+     */
+    setActiveCigarette(entity) {
+        this.activeCigarette = entity;
+        this.hands.cigarette = entity ? entity.mesh : null;
+    }
+
+    /**
+     * Create a floating meter for an entity from its kind's template
+     */
+    createMeter(entity) {
+        const meterConfig = entity.behaviors.meter;
+        const template = meterConfig ? document.getElementById(meterConfig.template) : null;
+        if (!template) return null;
+
+        const meter = template.content.firstElementChild.cloneNode(true);
+        document.body.appendChild(meter);
+        return meter;
+    }
+
+    removeMeter(entity) {
+        if (entity.meter) {
+            entity.meter.remove();
+            entity.meter = null;
+        }
     }
 
     setupMouseInteraction(canvas) {
-        let isGrabbing = false;
-        let actionTriggered = false;
-        let drinkSoundPlayed = false;
-        const debugEl = document.getElementById('debug');
+        this.debugEl = document.getElementById('debug');
 
         canvas.addEventListener('mousedown', (e) => {
             // Only grab with left click
@@ -305,260 +584,422 @@ class CafeSimulator {
             // Don't grab if animation is playing
             if (this.animation.isAnimating()) return;
 
-            const grabbed = this.physics.tryGrab(e.clientX, e.clientY, this.camera, this.grabbableObjects);
+            const grabbed = this.physics.tryGrab(e.clientX, e.clientY, this.camera, this.entities.getGrabbableMeshes());
             if (grabbed) {
-                isGrabbing = true;
-                actionTriggered = false;
-                drinkSoundPlayed = false; // Reset drink sound flag
+                // Picked-up item becomes the active one (cup tilt, tip glow)
+                const entity = this.physics.getGrabbedEntity();
+                if (entity?.kind === EntityKind.CUP) this.setActiveCup(entity);
+                if (entity?.kind === EntityKind.CIGARETTE) this.setActiveCigarette(entity);
+
+                this.isGrabbing = true;
+                this.mouthActionTriggered = false;
                 this.controls.setEnabled(false); // Disable camera rotation while grabbing
                 canvas.style.cursor = 'grabbing';
             }
         });
 
         canvas.addEventListener('mousemove', (e) => {
-            // Always track mouse position for continuous grab updates
+            // Track mouse position - the grab itself follows it in fixedUpdate
             this.lastMouseX = e.clientX;
             this.lastMouseY = e.clientY;
 
             // Check if hovering over grabbable object (when not grabbing)
-            if (!isGrabbing) {
-                const isOverGrabbable = this.physics.checkHover(e.clientX, e.clientY, this.camera, this.grabbableObjects);
+            if (!this.isGrabbing) {
+                const isOverGrabbable = this.physics.checkHover(e.clientX, e.clientY, this.camera, this.entities.getGrabbableMeshes());
                 canvas.style.cursor = isOverGrabbable ? 'grab' : 'default';
             }
+        });
 
-            if (isGrabbing) {
-                const enteredMouthZone = this.physics.updateGrab(e.clientX, e.clientY, this.camera, this.drinkScore, this.smokeScore);
+        canvas.addEventListener('mouseup', () => {
+            if (this.isGrabbing) {
+                this.releaseGrab(canvas);
+            }
+        });
 
-                // Debug display
-                const grabbed = this.physics.getGrabbedMesh();
-                const isCup = grabbed?.name === 'coffee-cup';
-                const isCig = grabbed?.name === 'cigarette';
-                debugEl.textContent = `Near: ${this.physics.isNearMouth} | Obj: ${grabbed?.name} | Cup: ${isCup} | Cig: ${isCig} | Tilt: ${this.hands.cupTilt.toFixed(2)}`;
+        canvas.addEventListener('mouseleave', () => {
+            if (this.isGrabbing) {
+                this.releaseGrab(canvas);
+            }
+        });
+    }
 
-                // Debug display for cigarette (rotation now handled by constraint physics)
-                if (isCig) {
-                    debugEl.textContent = `🚬 CIG! Progress: ${this.physics.depthProgress.toFixed(2)}`;
-                }
+    releaseGrab(canvas) {
+        const entity = this.physics.getGrabbedEntity();
+        if (this.mouthActionTriggered && entity?.definition.hooks.onMouthLeave) {
+            entity.definition.hooks.onMouthLeave(this, entity);
+        }
 
-                // Smoothly tilt cup when near mouth and increment drink score
-                if (this.physics.isNearMouth && isCup) {
-                    this.hands.cupTilt = Math.min(0.6, this.hands.cupTilt + 0.04);
-                    // Increment drink score while drinking (very slowly)
-                    if (this.hands.cupTilt > 0.3) {
-                        this.drinkScore += 0.002;
-                        // Coffee counteracts smoking lag (antagonist)
-                        this.smokeScore = Math.max(0, this.smokeScore - 0.02);
-                        // Play sip sound once per drink
-                        if (!drinkSoundPlayed && this.sounds) {
-                            this.sounds.playSip();
-                            drinkSoundPlayed = true;
-                        }
-                    }
-                    debugEl.textContent = `🍵 DRINKING! ☕${this.drinkScore.toFixed(1)} 🚬${this.smokeScore.toFixed(1)}`;
-                }
+        this.hands.cupTilt = 0;
+        this.physics.release();
+        this.isGrabbing = false;
+        this.mouthActionTriggered = false;
+        this.controls.setEnabled(true);
+        canvas.style.cursor = 'default';
+        this.debugEl.textContent = '';
+
+        // Stop smoke sound on release
+        if (this.sounds) {
+            this.sounds.stopSmoke();
+        }
+    }
 
-                // Trigger smoke exhale once when cigarette near mouth
-                if (this.physics.isNearMouth && isCig && !actionTriggered) {
-                    actionTriggered = true;
-                    this.smokeScore += 1; // Increment smoke score
-                    // Smoking calms coffee jitters (antagonist)
-                    this.drinkScore = Math.max(0, this.drinkScore - 0.5);
-                    // Burn the cigarette down
-                    this.hands.burnCigarette(0.08);
-                    // Play smoke sound
-                    if (this.sounds) {
-                        this.sounds.playSmoke();
-                    }
-                    this.triggerSmokeAction();
-                    debugEl.textContent = `🚬 SMOKING! ☕${this.drinkScore.toFixed(1)} 🚬${this.smokeScore.toFixed(1)} 🔥${(this.hands.getCigaretteBurnLevel() * 100).toFixed(0)}%`;
-                }
+    /**
+     * Move the grabbed item toward the mouse and run its mouth hooks (one fixed step)
+     */
+    updateGrabbedItem(deltaTime) {
+        this.physics.updateGrab(this.lastMouseX, this.lastMouseY, this.camera, this.intoxication.getEffects(), deltaTime);
+
+        const debugEl = this.debugEl;
+        const grabbed = this.physics.getGrabbedMesh();
+        const entity = this.physics.getGrabbedEntity();
+        const hooks = entity ? entity.definition.hooks : {};
+        const nearMouth = this.physics.isNearMouth;
+
+        // A flick of the wrist (knocks the ash off a cigarette)
+        if (this.physics.flicked && hooks.onFlick) {
+            hooks.onFlick(this, entity);
+        }
 
-                // Grow tip continuously while cigarette is at mouth - no cap
-                if (this.physics.isNearMouth && isCig) {
-                    this.tipGrowth = (this.tipGrowth || 0) + 0.01; // Half speed growth, no cap
-                    this.hands.setTipGlow(this.tipGrowth);
-                }
+        // Debug display
+        debugEl.textContent = `Near: ${nearMouth} | Obj: ${grabbed?.name} | Tilt: ${this.hands.cupTilt.toFixed(2)}`;
 
-                // Reset action if moved away from mouth
-                if (!this.physics.isNearMouth) {
-                    actionTriggered = false;
-                    // Stop smoke sound when moving away
-                    if (this.sounds) {
-                        this.sounds.stopSmoke();
-                    }
-                    // Reset tip to default size instantly
-                    if (isCig) {
-                        this.tipGrowth = 0;
-                        this.hands.setTipGlow(0);
-                    }
-                    // Smoothly reset cup tilt when moving away
-                    if (this.hands.cupTilt > 0) {
-                        this.hands.cupTilt = Math.max(0, this.hands.cupTilt - 0.04);
-                    }
-                }
-            } else {
-                debugEl.textContent = '';
-            }
-        });
+        // Debug display for constraint-grabbed items (rotation handled by constraint physics)
+        if (entity?.behaviors.grabMode === 'constraint') {
+            debugEl.textContent = `${grabbed?.name} Progress: ${this.physics.depthProgress.toFixed(2)}`;
+        }
 
-        canvas.addEventListener('mouseup', (e) => {
-            if (isGrabbing) {
-                const wasHoldingCup = this.physics.getGrabbedMesh()?.name === 'coffee-cup';
-                this.hands.cupTilt = 0;
-                this.physics.release();
-                isGrabbing = false;
-                actionTriggered = false;
-                this.controls.setEnabled(true);
-                canvas.style.cursor = 'default';
-
-                // Stop smoke sound on release
-                if (this.sounds) {
-                    this.sounds.stopSmoke();
-                }
+        // Smoothly tilt cups toward the mouth, and back when moving away
+        const tiltStep = this.cupTiltSpeed * deltaTime;
+        if (nearMouth && entity?.behaviors.tiltAtMouth) {
+            this.hands.cupTilt = Math.min(0.6, this.hands.cupTilt + tiltStep);
+        } else if (!nearMouth && this.hands.cupTilt > 0) {
+            this.hands.cupTilt = Math.max(0, this.hands.cupTilt - tiltStep);
+        }
 
-                // Play cup tap sound immediately on release
-                if (wasHoldingCup && this.sounds) {
-                    this.sounds.playCupTap();
-                }
+        // Fire the item's mouth action once when it reaches the mouth
+        if (nearMouth && entity && !this.mouthActionTriggered) {
+            this.mouthActionTriggered = true;
+            if (hooks.onMouthEnter) {
+                hooks.onMouthEnter(this, entity);
             }
-        });
+        }
 
-        canvas.addEventListener('mouseleave', () => {
-            if (isGrabbing) {
-                this.hands.cupTilt = 0;
-                this.physics.release();
-                isGrabbing = false;
-                actionTriggered = false;
-                this.controls.setEnabled(true);
-                canvas.style.cursor = 'default';
-
-                // Stop smoke sound on leave
-                if (this.sounds) {
-                    this.sounds.stopSmoke();
-                }
+        // Reset action if moved away from mouth
+        if (!nearMouth && this.mouthActionTriggered) {
+            if (entity && hooks.onMouthLeave) {
+                hooks.onMouthLeave(this, entity);
+            }
+            this.mouthActionTriggered = false;
+            // Stop smoke sound when moving away
+            if (this.sounds) {
+                this.sounds.stopSmoke();
             }
-        });
-    }
-
-    setupActionButtons() {
-        const newCoffeeBtn = document.getElementById('new-coffee-btn');
-        const newCigaretteBtn = document.getElementById('new-cigarette-btn');
-
-        if (newCoffeeBtn) {
-            newCoffeeBtn.addEventListener('click', () => this.spawnNewCoffee());
         }
 
-        if (newCigaretteBtn) {
-            newCigaretteBtn.addEventListener('click', () => this.spawnNewCigarette());
+        const caffeine = this.intoxication.getLevel(Substance.CAFFEINE).toFixed(1);
+        const nicotine = this.intoxication.getLevel(Substance.NICOTINE).toFixed(1);
+        if (nearMouth && entity?.kind === EntityKind.CUP) {
+            const left = entity.liquid ? entity.liquid.getLiquidPercentage() : 0;
+            debugEl.textContent = `🍵 DRINKING! ☕${caffeine} 🚬${nicotine} 🥤${(left * 100).toFixed(0)}%`;
+        }
+        if (nearMouth && entity?.kind === EntityKind.CIGARETTE) {
+            debugEl.textContent = `🚬 SMOKING! ☕${caffeine} 🚬${nicotine} 🔥${(entity.burnLevel * 100).toFixed(0)}%`;
         }
     }
 
-    async spawnNewCoffee() {
-        const { loadModelWithFallback, createFallbackCup } = await import('./loader.js');
+    setupActionButtons() {
+        const container = document.getElementById('action-buttons');
+        if (!container) return;
+
+        // One spawn button per catalog item
+        for (const [kind, item] of Object.entries(ItemCatalog)) {
+            if (!item.button) continue;
+
+            const button = document.createElement('button');
+            button.id = item.button.id;
+            button.className = 'action-btn';
+            button.textContent = item.button.label;
+            button.addEventListener('click', () => {
+                this.spawnItem(kind).catch(console.error);
+            });
+            container.appendChild(button);
+        }
 
-        // Create new coffee cup
-        const cup = await loadModelWithFallback(
-            'models/coffee_cup.glb',
-            createFallbackCup,
-            { scale: 0.04 }
-        );
-        cup.name = 'coffee-cup';
-        this.scene.add(cup);
+        // The lighter isn't an item - it comes out until clicked again (or hold L)
+        const lighterButton = document.createElement('button');
+        lighterButton.id = 'lighter-btn';
+        lighterButton.className = 'action-btn';
+        lighterButton.textContent = '🔥 Lighter';
+        lighterButton.addEventListener('click', () => this.lighter.toggle());
+        container.appendChild(lighterButton);
+    }
 
-        // Position slightly above table
-        const spawnPos = this.hands.cupTablePosition.clone();
-        spawnPos.y += 0.15; // Spawn above table so it falls
-        cup.position.copy(spawnPos);
-        cup.rotation.y = Math.PI + Math.PI / 6;
+    setupSaveButtons() {
+        const exportBtn = document.getElementById('export-btn');
+        const importBtn = document.getElementById('import-btn');
+        const importFile = document.getElementById('import-file');
 
-        // Update hands reference
-        this.hands.coffeeCup = cup;
-        this.hands.cupPhysicsControlled = true;
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.saves.exportFile());
+        }
 
-        // Create physics body
-        this.physics.createDynamicCylinder(cup, 0.04, 0.08, 0.5);
-        this.grabbableObjects.push(cup);
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => importFile.click());
+            importFile.addEventListener('change', async () => {
+                const file = importFile.files[0];
+                importFile.value = ''; // Allow importing the same file again
+                if (!file) return;
+                try {
+                    await this.saves.importFile(file);
+                } catch (e) {
+                    console.error('Import failed:', e);
+                    alert(`Could not import table: ${e.message}`);
+                }
+            });
+        }
+    }
 
-        // Register as breakable
-        this.physics.registerBreakable(cup, 2.0, (mesh, body, impactPoint, force) => {
-            console.log('Cup breaking!');
-            if (this.sounds) this.sounds.playBreak();
+    /**
+     * Push preferences into the systems they control
+     */
+    applySettings(values) {
+        this.controls.sensitivity = values.mouseSensitivity;
+        this.controls.invertLook = values.invertLook;
+
+        this.sounds.setMasterVolume(values.masterVolume);
+        this.sounds.setBusVolume('ambience', values.ambientVolume);
+        this.sounds.setBusVolume('foley', values.effectsVolume);
+        this.sounds.setBusVolume('voice', values.voiceVolume);
+
+        // Reapplying rebuilds shadow maps and liquid grids, so not while e.g. a volume slider moves
+        const applied = this.appliedQuality;
+        if (applied && applied.graphicsQuality === values.graphicsQuality
+            && applied.adaptiveQuality === values.adaptiveQuality) return;
+        this.appliedQuality = { graphicsQuality: values.graphicsQuality, adaptiveQuality: values.adaptiveQuality };
+
+        if (!values.adaptiveQuality) {
+            this.governor.reset();
+        }
+        this.applyQuality();
+    }
 
-            const idx = this.grabbableObjects.indexOf(mesh);
-            if (idx > -1) this.grabbableObjects.splice(idx, 1);
+    /**
+     * Apply the chosen graphics tier, less whatever the governor has taken off
+     */
+    applyQuality() {
+        const chosen = QualityLevels.indexOf(this.settings.get('graphicsQuality'));
+        const preset = QualityPresets[QualityLevels[Math.max(0, chosen - this.governor.tierDrop)]];
+        this.quality = preset;
+
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.pixelRatio) * this.governor.pixelScale);
+
+        // Shadows - materials compile differently with and without them
+        const shadowMap = this.renderer.shadowMap;
+        const shadowsEnabled = preset.shadowType !== null;
+        if (shadowMap.enabled !== shadowsEnabled || (shadowsEnabled && shadowMap.type !== preset.shadowType)) {
+            shadowMap.enabled = shadowsEnabled;
+            shadowMap.type = preset.shadowType ?? shadowMap.type;
+            this.scene.traverse(object => {
+                if (object.material) object.material.needsUpdate = true;
+            });
+        }
+        const shadow = this.lights.sunlight.shadow;
+        if (shadow.mapSize.x !== preset.shadowMapSize) {
+            shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+            // Drop the old map so the renderer allocates one at the new size
+            shadow.map?.dispose();
+            shadow.map = null;
+        }
 
-            this.fracture.fracture(mesh, body, impactPoint, force * 2, 10);
+        this.particles.setDensity(preset.particleDensity);
+        for (const entity of this.entities.all()) {
+            entity.liquid?.setQuality(preset);
+        }
+    }
 
-            // Spill liquid for this specific cup
-            const liquid = this.liquids.get(mesh);
-            if (liquid) {
-                liquid.spillAll(impactPoint);
-                this.liquids.delete(mesh);
-            }
+    /**
+     * Freeze the simulation and sounds (the scene keeps rendering behind the pause menu)
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
 
-            // Disable steam if this was the active cup
-            if (mesh === this.hands.getCoffeeCup() && this.particles) {
-                this.particles.setSteamEnabled(false);
+        if (paused) {
+            if (this.isGrabbing) {
+                this.releaseGrab(this.renderer.domElement);
             }
+            this.controls.onMouseUp(); // Stop any mouse-look drag
+        }
+        this.controls.setEnabled(!paused);
+        this.sounds.setPaused(paused);
+    }
 
-            // Hide coffee meter if no cups left
-            if (this.liquids.size === 0 && this.coffeeMeter) {
-                this.coffeeMeter.style.display = 'none';
-                this.cupBroken = true;
+    /**
+     * Save the table when the tab is hidden or closed
+     */
+    setupAutosave() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saves.save();
             }
         });
+        window.addEventListener('beforeunload', () => this.saves.save());
+    }
 
-        // Create new liquid simulation for this cup
-        const newLiquid = new LiquidSimulation(this.scene, cup, this.physics.world);
-        this.liquids.set(cup, newLiquid);
-        this.activeLiquid = newLiquid; // This is now the active cup for UI
+    /**
+     * Run the whileAtMouth hook of whatever is at the mouth - the grabbed
+     * item, or the active cup/cigarette during the D/S-key animations
+     */
+    updateMouthActions(deltaTime) {
+        if (this.animation.state === AnimationState.DRINKING) {
+            if (this.activeCup && this.hands.cupAnimationProgress >= 1) {
+                this.drinkFrom(this.activeCup, deltaTime);
+            } else {
+                this.endSip();
+            }
+            return;
+        }
+        if (this.animation.state === AnimationState.SMOKING) {
+            // Same drag as holding it to the lips - unlit cigarettes and butts give no smoke
+            const cigarette = this.activeCigarette;
+            if (cigarette && this.hands.cigaretteAnimationProgress >= 1) {
+                if (!this.animatedDrag) {
+                    this.animatedDrag = true;
+                    this.startDrag(cigarette);
+                }
+                this.drawOn(cigarette, deltaTime);
+            } else if (this.animatedDrag) {
+                this.animatedDrag = false;
+                if (this.sounds) {
+                    this.sounds.stopSmoke();
+                }
+            }
+            return;
+        }
 
-        // Re-enable steam for new cup
-        if (this.particles) {
-            this.particles.setSteamEnabled(true);
+        const entity = this.physics.getGrabbedEntity();
+        if (entity && this.physics.isNearMouth && entity.definition.hooks.whileAtMouth) {
+            entity.definition.hooks.whileAtMouth(this, entity, deltaTime);
+        } else {
+            this.endSip();
         }
+    }
 
-        // Reset broken flag and show coffee meter again
-        this.cupBroken = false;
-        if (this.coffeeMeter) {
-            this.coffeeMeter.style.display = 'flex';
+    /**
+     * Drink from a cup while it is tipped at the mouth
+     * Coffee is taken out of the cup's LiquidSimulation and caffeine is
+     * granted for what was actually swallowed - an empty cup gives nothing
+     */
+    drinkFrom(entity, deltaTime) {
+        const liquid = entity.liquid;
+        if (!liquid || this.hands.cupTilt <= 0.3) {
+            this.endSip();
+            return;
         }
 
-        console.log('New coffee spawned!');
-    }
+        this.sipTime += deltaTime;
+        const consumed = liquid.drink(this.hands.cupTilt, this.sipTime, deltaTime);
+        if (consumed <= 0) return;
+
+        // A whole cup is one unit of caffeine
+        this.intoxication.dose(Substance.CAFFEINE, consumed);
 
-    async spawnNewCigarette() {
-        const { createFallbackCigarette } = await import('./loader.js');
+        // Play sip sound once per sip
+        if (!this.sipSoundPlayed && this.sounds) {
+            this.sounds.playSip();
+            this.sipSoundPlayed = true;
+        }
+    }
 
-        // Create new cigarette using fallback (GLB model has issues)
-        const cigarette = createFallbackCigarette();
-        cigarette.name = 'cigarette';
-        this.scene.add(cigarette);
+    endSip() {
+        this.sipTime = 0;
+        this.sipSoundPlayed = false;
+    }
 
-        // Position slightly above table so it falls
-        const spawnPos = this.hands.cigaretteTablePosition.clone();
-        spawnPos.y += 0.1;
-        cigarette.position.copy(spawnPos);
-        cigarette.rotation.set(0, Math.PI / 2, 0.2);
+    /**
+     * Start a drag - the cigarette just reached the lips
+     */
+    startDrag(entity) {
+        if (!this.cigarettes.isLit(entity)) return;
+        this.smokedCigarette = entity;
+        // Play smoke sound from the burning end
+        if (this.sounds) {
+            this.sounds.playSmoke(entity.mesh.getObjectByName('tip') || entity.mesh);
+            this.sounds.setSmokeDraw(0);
+        }
+    }
 
-        // Update hands reference
-        this.hands.cigarette = cigarette;
-        this.hands.cigaretteBurnLevel = 1.0; // Reset burn level
-        this.hands.cigarettePhysicsControlled = true;
+    /**
+     * Draw on the cigarette for one step while it's at the lips
+     * It burns and gives nicotine in proportion to the smoke inhaled
+     */
+    drawOn(entity, deltaTime) {
+        if (entity.cigaretteState === CigaretteState.UNLIT) {
+            // Drawing with the tip in the lighter's flame is how it catches
+            if (this.cigarettes.drawThroughFlame(entity, this.lighter.getFlameWorldPosition(), deltaTime)) {
+                this.lighter.setOn(false);
+                this.startDrag(entity);
+            }
+            return;
+        }
+        if (!this.cigarettes.isLit(entity)) return;
+
+        const inhaled = this.breathing.inhale(deltaTime);
+        // One unit of nicotine per ordinary drag
+        this.intoxication.dose(Substance.NICOTINE, inhaled);
+        this.cigarettes.burn(entity, inhaled * this.burnPerDrag);
+        if (this.sounds) {
+            this.sounds.setSmokeDraw(this.breathing.draw);
+        }
+    }
 
-        // Create physics body
-        this.physics.createDynamicBox(cigarette, { x: 0.08, y: 0.01, z: 0.01 }, 0.05);
-        this.grabbableObjects.push(cigarette);
+    /**
+     * A lit cigarette went out - it's a butt now
+     */
+    onCigaretteOut(entity, reason) {
+        if (this.smokedCigarette === entity) {
+            this.smokedCigarette = null;
+            if (this.sounds) {
+                this.sounds.stopSmoke();
+            }
+        }
+        // Grinding it into the ashtray knocks the ash off
+        if (reason === 'stubbed') {
+            this.ash.knockOff(entity);
+        }
+    }
 
-        // Show cigarette meter and reset fill
-        if (this.cigaretteMeter) {
-            this.cigaretteMeter.style.display = 'flex';
+    /**
+     * Breathe: glow the tip with the draw, exhale what was inhaled, maybe cough (one fixed step)
+     */
+    updateBreathing(deltaTime) {
+        const { exhaled, exhaleStarted } = this.breathing.update(deltaTime);
+
+        // Tip glows with the draw and dims as it dies away
+        if (this.smokedCigarette) {
+            this.hands.setTipGlow(this.breathing.draw * this.tipGlowPerDraw, this.smokedCigarette.mesh);
+            if (this.breathing.draw === 0 && this.breathing.phase !== BreathPhase.INHALING) {
+                this.smokedCigarette = null;
+            }
         }
-        if (this.cigaretteFill) {
-            this.cigaretteFill.style.width = '100%';
+
+        if (exhaled > 0) {
+            this.particles.triggerExhale(exhaled);
         }
 
-        console.log('New cigarette spawned!');
+        if (exhaleStarted) {
+            // More likely the more nicotine is in the blood (see EffectMappings) and the bigger the drag
+            const coughChance = this.breathing.getCoughChance(this.intoxication.getEffect('coughChance'));
+            if (Math.random() < coughChance) {
+                // Partway through breathing out
+                const coughDelay = 0.3 + Math.random() * 1.2;
+                this.after(coughDelay, () => {
+                    if (this.sounds) {
+                        this.sounds.playCough();
+                        console.log(`Cough! (chance was ${(coughChance * 100).toFixed(0)}%)`);
+                    }
+                });
+            }
+        }
     }
 
     triggerDrinkAction() {
@@ -567,25 +1008,22 @@ class CafeSimulator {
         console.log('Drinking!');
     }
 
-    triggerSmokeAction() {
-        // Trigger exhale smoke after brief inhale
-        console.log('Smoking!');
-        setTimeout(() => {
-            this.particles.triggerExhale();
-        }, 500);
+    /**
+     * Run a callback after some simulated seconds (pauses/fast-forwards with the simulation)
+     */
+    after(seconds, callback) {
+        this.timers.push({ remaining: seconds, callback });
+    }
 
-        // Maybe trigger a cough after smoking
-        // Base 30% chance + 15% per smokeScore point (capped at 90%)
-        const coughChance = Math.min(0.9, 0.3 + this.smokeScore * 0.15);
-        if (Math.random() < coughChance) {
-            // Delay cough to happen after exhale
-            const coughDelay = 800 + Math.random() * 1200; // 0.8-2 seconds after smoking
-            setTimeout(() => {
-                if (this.sounds) {
-                    this.sounds.playCough();
-                    console.log(`Cough! (chance was ${(coughChance * 100).toFixed(0)}%)`);
-                }
-            }, coughDelay);
+    updateTimers(deltaTime) {
+        const due = [];
+        for (const timer of this.timers) {
+            timer.remaining -= deltaTime;
+            if (timer.remaining <= 0) due.push(timer);
+        }
+        this.timers = this.timers.filter(timer => timer.remaining > 0);
+        for (const timer of due) {
+            timer.callback();
         }
     }
 
@@ -593,51 +1031,23 @@ class CafeSimulator {
         // Ensure camera matrices are up to date
         this.camera.updateMatrixWorld();
 
-        // Project 3D positions to screen coordinates
-        const cup = this.hands.getCoffeeCup();
-        const cig = this.hands.getCigarette();
-
         // Get canvas dimensions
         const canvas = this.renderer.domElement;
         const rect = canvas.getBoundingClientRect();
 
-        if (cup && this.coffeeMeter && !this.cupBroken) {
-            const cupPos = new THREE.Vector3();
-            cup.getWorldPosition(cupPos);
-            cupPos.y += 0.15; // Offset above the cup
-
-            // Project to normalized device coordinates
-            const projected = cupPos.clone().project(this.camera);
-
-            // Convert to screen coordinates
-            const x = (projected.x * 0.5 + 0.5) * rect.width;
-            const y = (-projected.y * 0.5 + 0.5) * rect.height;
-
-            // Only show if in front of camera
-            if (projected.z < 1) {
-                this.coffeeMeter.style.left = `${x}px`;
-                this.coffeeMeter.style.top = `${y}px`;
-                this.coffeeMeter.style.display = 'flex';
-            } else {
-                this.coffeeMeter.style.display = 'none';
-            }
-
-            // Show liquid level for active cup
-            if (this.activeLiquid) {
-                const coffeeLevel = this.activeLiquid.liquidLevel / this.activeLiquid.maxLiquidLevel;
-                this.coffeeFill.style.width = `${coffeeLevel * 100}%`;
-            }
-        } else if (this.cupBroken && this.coffeeMeter) {
-            this.coffeeMeter.style.display = 'none';
-        }
+        // One meter per entity, following its item
+        for (const entity of this.entities.all()) {
+            const meter = entity.meter;
+            if (!meter) continue;
+            const meterConfig = entity.behaviors.meter;
 
-        if (cig && this.cigaretteMeter) {
-            const cigPos = new THREE.Vector3();
-            cig.getWorldPosition(cigPos);
-            cigPos.y += 0.08; // Offset above the cigarette
+            // Project 3D position to screen coordinates
+            const pos = new THREE.Vector3();
+            entity.mesh.getWorldPosition(pos);
+            pos.y += meterConfig.offsetY; // Offset above the item
 
             // Project to normalized device coordinates
-            const projected = cigPos.clone().project(this.camera);
+            const projected = pos.project(this.camera);
 
             // Convert to screen coordinates
             const x = (projected.x * 0.5 + 0.5) * rect.width;
@@ -645,15 +1055,16 @@ class CafeSimulator {
 
             // Only show if in front of camera
             if (projected.z < 1) {
-                this.cigaretteMeter.style.left = `${x}px`;
-                this.cigaretteMeter.style.top = `${y}px`;
-                this.cigaretteMeter.style.display = 'flex';
+                meter.style.left = `${x}px`;
+                meter.style.top = `${y}px`;
+                meter.style.display = 'flex';
             } else {
-                this.cigaretteMeter.style.display = 'none';
+                meter.style.display = 'none';
             }
 
-            const burnLevel = this.hands.getCigaretteBurnLevel();
-            this.cigaretteFill.style.width = `${burnLevel * 100}%`;
+            // Liquid level for cups, burn level for cigarettes
+            const fill = meter.querySelector('.meter-fill');
+            fill.style.width = `${meterConfig.level(entity) * 100}%`;
         }
     }
 
@@ -662,20 +1073,34 @@ class CafeSimulator {
 
         if (!this.isInitialized) return;
 
+        // Tests drive time themselves (keep rendering so they can see what happens)
+        // The clock keeps ticking while paused so resuming doesn't jump ahead
         const deltaTime = this.clock.getDelta();
+        if (!this.manualTime && !this.isPaused) {
+            this.update(deltaTime);
+
+            // Ease off the graphics when frames are sustained-slow (and back up when they recover)
+            if (this.settings.get('adaptiveQuality')) {
+                const maxTierDrop = QualityLevels.indexOf(this.settings.get('graphicsQuality'));
+                if (this.governor.update(deltaTime, maxTierDrop)) {
+                    this.applyQuality();
+                }
+            }
+        }
 
-        // Update physics
-        this.physics.update(deltaTime);
+        // Physics overlay follows the bodies even while paused
+        this.physicsDebug.update();
 
-        // Continuously update grab position for shake effect (even when mouse stationary)
-        if (this.physics.isGrabbing()) {
-            this.physics.updateGrab(this.lastMouseX, this.lastMouseY, this.camera, this.drinkScore, this.smokeScore);
-        }
+        // Render
+        this.renderer.render(this.scene, this.camera);
+    }
 
-        // Decay smoke lag effect over time (shake persists permanently)
-        if (this.smokeScore > 0) {
-            this.smokeScore = Math.max(0, this.smokeScore - deltaTime * 0.08); // ~12 sec to lose 1 point
-        }
+    /**
+     * Advance everything by one frame's worth of real time
+     */
+    update(deltaTime) {
+        // Physics, liquids and grab effects in fixed steps
+        this.timestep.advance(deltaTime, (step) => this.fixedUpdate(step));
 
         // Update animation (for D/S key actions)
         this.animation.update(deltaTime);
@@ -683,29 +1108,105 @@ class CafeSimulator {
         // Update hands/items positions
         this.hands.update();
 
-        // Tip glow is now reset instantly when not smoking (no fading needed)
-
-        // Update all liquid simulations
-        for (const liquid of this.liquids.values()) {
-            liquid.update(deltaTime);
+        // Each cup steams with how much coffee it has left; only lit cigarettes smoke
+        for (const entity of this.entities.ofKind(EntityKind.CUP)) {
+            entity.emitter.level = entity.liquid ? entity.liquid.getLiquidPercentage() : 0;
+        }
+        for (const entity of this.entities.ofKind(EntityKind.CIGARETTE)) {
+            entity.emitter.level = this.cigarettes.isLit(entity) ? 1 : 0;
         }
 
+        // Lighter rises to the tip of a cigarette at the lips
+        const held = this.physics.getGrabbedEntity();
+        const atLips = held?.kind === EntityKind.CIGARETTE && this.physics.isNearMouth;
+        this.lighter.update(deltaTime, atLips ? this.hands.getCigaretteTipWorldPosition(held.mesh) : null);
+
         // Update particles
         this.particles.update(deltaTime);
 
+        // Ambience layers come and go
+        this.sounds.update();
+
         // Update fracture fragments
         if (this.fracture) {
-            this.fracture.update();
+            this.fracture.update(deltaTime);
         }
 
         // Update UI meters
         this.updateMeters();
+    }
 
-        // Render
-        this.renderer.render(this.scene, this.camera);
+    /**
+     * One fixed simulation step
+     */
+    fixedUpdate(dt) {
+        // Update physics
+        this.physics.update(dt);
+
+        // Absorb and eliminate caffeine/nicotine
+        this.intoxication.update(dt);
+
+        // Continuously update grab position for shake effect (even when mouse stationary)
+        if (this.isGrabbing && this.physics.isGrabbing()) {
+            this.updateGrabbedItem(dt);
+        }
+
+        // Drink/smoke whatever is held at the mouth
+        this.updateMouthActions(dt);
+
+        // Hold and breathe out the smoke
+        this.updateBreathing(dt);
+
+        // Update every cup's liquid simulation
+        for (const entity of this.entities.ofKind(EntityKind.CUP)) {
+            entity.liquid.update(dt);
+        }
+
+        // Keep spills from broken cups going until droplets land
+        for (const liquid of this.spills) {
+            liquid.update(dt);
+        }
+        this.spills = this.spills.filter(liquid => {
+            if (!liquid.isSettled()) return true;
+            liquid.dispose();
+            return false;
+        });
+
+        // Burn lit cigarettes down, stub them out in the ashtray
+        this.cigarettes.update(dt);
+
+        // Grow, droop and drop ash; settle the flakes into smudges
+        this.ash.update(dt);
+
+        // Moving items push the air around, then it spreads out and settles
+        this.flow.stirFromPhysics(this.physics, dt);
+        this.flow.update(dt);
+
+        // Dry the coffee stains
+        this.stains.update(dt);
+
+        // Exhales, coughs
+        this.updateTimers(dt);
+    }
+
+    /**
+     * Fast-forward the simulation without rendering (for tests and debugging)
+     * @param {number} seconds - Simulated time to advance
+     * @param {number} frameRate - Frame rate to pretend to run at
+     */
+    advance(seconds, frameRate = 60) {
+        const frames = Math.round(seconds * frameRate);
+        for (let i = 0; i < frames; i++) {
+            this.update(1 / frameRate);
+        }
     }
 }
 
 // Start the game
-const game = new CafeSimulator();
+// ?test: fresh table, time only moves through game.advance(), and the game is exposed as window.game
+const isTestRun = new URLSearchParams(window.location.search).has('test');
+const game = new CafeSimulator({ manualTime: isTestRun, restoreSave: !isTestRun });
+if (isTestRun) {
+    window.game = game;
+}
 game.init().catch(console.error);
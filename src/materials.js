@@ -0,0 +1,80 @@
+import * as CANNON from 'cannon-es';
+
+/**
+ * Named physics materials
+ * Bodies share these instances - cannon-es pairs contact materials by
+ * identity, so a fresh CANNON.Material per body never matches the table below
+ */
+export const PhysicsMaterials = {
+    ceramic: new CANNON.Material('ceramic'),  // Cups, saucers and their fragments
+    wood: new CANNON.Material('wood'),        // The table
+    paper: new CANNON.Material('paper'),      // Cigarettes, napkins
+    glass: new CANNON.Material('glass'),      // The ashtray, water glasses
+    liquid: new CANNON.Material('liquid'),    // Coffee droplets
+    ash: new CANNON.Material('ash'),          // Flakes knocked off a cigarette
+    floor: new CANNON.Material('floor')
+};
+
+/**
+ * Friction and restitution per material pair (order doesn't matter)
+ * Pairs not listed fall back to the world's default contact material
+ */
+const ContactTable = [
+    // Hard on hard: low friction, a little bounce so cups clack and skid
+    ['ceramic', 'wood', { friction: 0.25, restitution: 0.2 }],
+    ['ceramic', 'ceramic', { friction: 0.2, restitution: 0.35 }],
+    ['ceramic', 'glass', { friction: 0.15, restitution: 0.35 }],
+    ['ceramic', 'floor', { friction: 0.4, restitution: 0.25 }],
+    ['glass', 'wood', { friction: 0.25, restitution: 0.25 }],
+    ['glass', 'glass', { friction: 0.15, restitution: 0.3 }],
+    ['glass', 'floor', { friction: 0.4, restitution: 0.2 }],
+
+    // Paper grips and doesn't bounce - a dropped cigarette stops where it lands
+    ['paper', 'wood', { friction: 0.7, restitution: 0.02 }],
+    ['paper', 'ceramic', { friction: 0.5, restitution: 0.05 }],
+    ['paper', 'glass', { friction: 0.45, restitution: 0.05 }],
+    ['paper', 'paper', { friction: 0.8, restitution: 0 }],
+    ['paper', 'floor', { friction: 0.8, restitution: 0 }],
+
+    // Droplets splat: no bounce, and they run off smooth surfaces
+    ['liquid', 'wood', { friction: 0.6, restitution: 0 }],
+    ['liquid', 'floor', { friction: 0.6, restitution: 0 }],
+    ['liquid', 'paper', { friction: 0.9, restitution: 0 }],
+    ['liquid', 'ceramic', { friction: 0.1, restitution: 0 }],
+    ['liquid', 'glass', { friction: 0.05, restitution: 0 }],
+    ['liquid', 'liquid', { friction: 0, restitution: 0 }],
+
+    // Ash flakes land dead and stay put
+    ['ash', 'wood', { friction: 0.9, restitution: 0 }],
+    ['ash', 'floor', { friction: 0.9, restitution: 0 }],
+    ['ash', 'glass', { friction: 0.8, restitution: 0 }],
+    ['ash', 'ceramic', { friction: 0.8, restitution: 0 }],
+    ['ash', 'paper', { friction: 0.9, restitution: 0 }],
+    ['ash', 'ash', { friction: 0.9, restitution: 0 }]
+];
+
+/**
+ * Look up a material by name (null or undefined = the default material)
+ * @returns {CANNON.Material|null}
+ */
+export function getPhysicsMaterial(name) {
+    if (name == null) return null;
+    const material = PhysicsMaterials[name];
+    if (!material) {
+        throw new Error(`Unknown physics material: ${name}`);
+    }
+    return material;
+}
+
+/**
+ * Register the contact table with a world
+ */
+export function addContactMaterials(world) {
+    for (const [a, b, properties] of ContactTable) {
+        world.addContactMaterial(new CANNON.ContactMaterial(
+            getPhysicsMaterial(a),
+            getPhysicsMaterial(b),
+            properties
+        ));
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Mixer buses, lowest level first: sounds -> bus (volume, mute) -> duck -> listener (master)
+ * - ambience: the room and the street outside
+ * - foley: things in the world - taps, breaks, the crackle
+ * - voice: the player's own mouth - sips and coughs
+ * - ui: interface sounds
+ */
+export const Buses = ['ambience', 'foley', 'voice', 'ui'];
+
+export class AudioMixer {
+    /**
+     * @param {THREE.AudioListener} listener - Buses feed its input (the master gain)
+     */
+    constructor(listener) {
+        this.context = listener.context;
+        this.buses = {};
+
+        for (const name of Buses) {
+            const input = this.context.createGain();
+            const duck = this.context.createGain();
+            input.connect(duck);
+            duck.connect(listener.getInput());
+            this.buses[name] = { input, duck, volume: 1, muted: false };
+        }
+    }
+
+    getBus(name) {
+        const bus = this.buses[name];
+        if (!bus) {
+            throw new Error(`Unknown mixer bus: ${name}`);
+        }
+        return bus;
+    }
+
+    /**
+     * Send a THREE.Audio / PositionalAudio through a bus instead of straight to the listener
+     */
+    route(sound, busName) {
+        sound.gain.disconnect();
+        sound.gain.connect(this.getBus(busName).input);
+    }
+
+    getInput(busName) {
+        return this.getBus(busName).input;
+    }
+
+    setVolume(busName, volume) {
+        const bus = this.getBus(busName);
+        bus.volume = volume;
+        this.applyGain(bus);
+    }
+
+    setMuted(busName, muted) {
+        const bus = this.getBus(busName);
+        bus.muted = muted;
+        this.applyGain(bus);
+    }
+
+    isMuted(busName) {
+        return this.getBus(busName).muted;
+    }
+
+    applyGain(bus) {
+        bus.input.gain.setTargetAtTime(bus.muted ? 0 : bus.volume, this.context.currentTime, 0.02);
+    }
+
+    /**
+     * Dip a bus under something that should cut through, then bring it back
+     * A deeper duck overrides a shallower one in progress
+     * @param {Object} options - depth (gain while ducked), attack, hold and release in seconds
+     */
+    duck(busName, { depth = 0.35, attack = 0.05, hold = 0.5, release = 1.2 } = {}) {
+        const gain = this.getBus(busName).duck.gain;
+        const now = this.context.currentTime;
+
+        // Already lower than this would take it - let that one finish
+        if (gain.value < depth - 0.01) return;
+
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(depth, now + attack);
+        gain.setValueAtTime(depth, now + attack + hold);
+        gain.linearRampToValueAtTime(1, now + attack + hold + release);
+    }
+}
+
+/**
+ * Ambience from randomly scheduled layers instead of fixed loops
+ * A bed layer always plays, moving to a new random spot in its recording
+ * every so often with a crossfade; other layers fade in for a while, then
+ * go quiet for a while. Times run on the audio clock, so a suspended
+ * context (the pause menu) freezes the schedule too
+ */
+export class AmbiencePlayer {
+    /**
+     * @param {AudioMixer} mixer
+     * @param {Array<Object>} layers - { buffer, volume, bed, length: [min, max], gap: [min, max], fade }
+     */
+    constructor(mixer, layers) {
+        this.mixer = mixer;
+        this.context = mixer.context;
+        this.layers = layers.map(layer => ({ ...layer, voice: null, nextStart: 0 }));
+        this.isPlaying = false;
+    }
+
+    start() {
+        if (this.isPlaying) return;
+        this.isPlaying = true;
+
+        const now = this.context.currentTime;
+        for (const layer of this.layers) {
+            // Intermittent layers start partway into their first gap so they don't all arrive together
+            layer.nextStart = layer.bed ? now : now + randomBetween(layer.gap) * Math.random();
+        }
+        this.update();
+    }
+
+    stop(fade = 1) {
+        this.isPlaying = false;
+        const now = this.context.currentTime;
+        for (const layer of this.layers) {
+            if (layer.voice) {
+                this.fadeOut(layer.voice, now, fade);
+                layer.voice = null;
+            }
+        }
+    }
+
+    /**
+     * Start and retire layer voices that are due (call every frame)
+     */
+    update() {
+        if (!this.isPlaying) return;
+        const now = this.context.currentTime;
+
+        for (const layer of this.layers) {
+            const voice = layer.voice;
+
+            if (voice && now >= voice.fadeOutAt) {
+                this.fadeOut(voice, now, layer.fade);
+                layer.voice = null;
+                // The bed crossfades straight into its next voice; the others rest first
+                layer.nextStart = layer.bed ? now : now + layer.fade + randomBetween(layer.gap);
+            }
+
+            if (!layer.voice && now >= layer.nextStart) {
+                layer.voice = this.startVoice(layer, now);
+            }
+        }
+    }
+
+    startVoice(layer, now) {
+        const source = this.context.createBufferSource();
+        source.buffer = layer.buffer;
+        source.loop = true;
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(layer.volume, now + layer.fade);
+
+        source.connect(gain);
+        gain.connect(this.mixer.getInput('ambience'));
+        source.start(now, Math.random() * layer.buffer.duration);
+
+        return { source, gain, fadeOutAt: now + layer.fade + randomBetween(layer.length) };
+    }
+
+    fadeOut(voice, now, fade) {
+        const gain = voice.gain.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + fade);
+        voice.source.stop(now + fade + 0.05);
+        voice.source.onended = () => voice.gain.disconnect();
+    }
+}
+
+function randomBetween([min, max]) {
+    return min + Math.random() * (max - min);
+}
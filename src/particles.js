@@ -1,197 +1,178 @@
 import * as THREE from 'three';
+import { frameDamp } from './timestep.js';
+
+/**
+ * How each kind of emitter's particles come out
+ * rate: particles per second, trail: extra particles per meter the source moves,
+ * spread: random horizontal offset (and rise) around the source, drift: random sideways
+ * speed, rise: [min, extra] upward speed, size / lifetime: [min, extra]
+ */
+const EmitterStyles = {
+    // Thin wisp off a burning tip - larger, longer-lived, more visible
+    smoke: { rate: 75, trail: 300, spread: 0.01, lift: 0.005, drift: 0.03, rise: [0.08, 0.04], size: [0.015, 0.015], lifetime: [4, 2], opacity: 0.4 },
+    // Gentle steam off the top of a cup
+    steam: { rate: 30, trail: 100, spread: 0.03, lift: 0, drift: 0.025, rise: [0.06, 0.03], size: [0.01, 0.01], lifetime: [3, 2], opacity: 0.25 }
+};
+
+/**
+ * Smoke breathed out per drag, by simulation
+ * The GPU breaks the same cloud into many more, smaller and fainter particles
+ */
+const ExhaleStyles = {
+    cpu: { count: 30, size: [0.02, 0.02], opacity: 0.4 },
+    gpu: { count: 800, size: [0.01, 0.012], opacity: 0.06 }
+};
+
+// Soft round point - shared by both simulations
+export const SMOKE_FRAGMENT_SHADER = `
+    uniform vec3 color;
+    varying float vOpacity;
+
+    void main() {
+        // Circular gradient for soft smoke look
+        vec2 center = gl_PointCoord - vec2(0.5);
+        float dist = length(center);
+        float alpha = smoothstep(0.5, 0.0, dist) * vOpacity;
+
+        if (alpha < 0.01) discard;
+
+        gl_FragColor = vec4(color, alpha);
+    }
+`;
+
+// Furthest an emitter can move in one frame and still leave a trail (m)
+const MAX_TRAIL_STEP = 0.5;
+
+const _position = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _flow = new THREE.Vector3();
 
+/**
+ * Smoke and steam particles: emitters, exhaled smoke and wind
+ * The particles themselves live in a simulation - on the GPU when the
+ * renderer can run one (see gpuParticles.js), otherwise CPUParticleSimulation
+ */
 export class SmokeParticleSystem {
-    constructor(scene, hands) {
+    /**
+     * @param {Object} [simulation] - GPUParticleSimulation, or null for the CPU path
+     */
+    constructor(scene, hands, simulation = null) {
         this.scene = scene;
         this.hands = hands;
+        this.simulation = simulation || new CPUParticleSimulation();
+        console.log(`Particles: ${this.simulation.kind.toUpperCase()} simulation, ${this.simulation.capacity} max`);
 
         // Particle settings
-        this.maxParticles = 500;
-        this.idleSmokeRate = 75; // particles per second
-        this.coffeeSteamRate = 30; // coffee steam particles per second
-        this.exhaleParticleCount = 30;
+        this.maxParticles = this.simulation.capacity;
+        this.exhaleStyle = ExhaleStyles[this.simulation.kind];
+        this.exhaleParticleCount = this.exhaleStyle.count;
+        this.density = 1; // Graphics quality scale for emission rates and the particle budget
 
-        // Track which cup to render steam for (null = no steam)
-        this.activeCup = null;
-        this.steamEnabled = true;
+        // Every cigarette tip and cup emits on its own (see addEmitter)
+        this.emitters = new Set();
 
-        // Particle arrays
-        this.particles = [];
-        this.idleTimer = 0;
-        this.steamTimer = 0;
+        this.exhaleCarry = 0; // Fraction of an exhale particle left over from the last call
         this.windTime = 0; // For oscillating wind
+        this.flowField = null; // Air stirred up by moving objects (see setFlowField)
 
-        // Create particle geometry and material
-        this.geometry = new THREE.BufferGeometry();
-        this.positions = new Float32Array(this.maxParticles * 3);
-        this.sizes = new Float32Array(this.maxParticles);
-        this.opacities = new Float32Array(this.maxParticles);
-
-        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
-        this.geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1));
-        this.geometry.setAttribute('opacity', new THREE.BufferAttribute(this.opacities, 1));
-
-        // Custom shader material for smoke
-        this.material = new THREE.ShaderMaterial({
-            uniforms: {
-                color: { value: new THREE.Color(0xcccccc) }
-            },
-            vertexShader: `
-                attribute float size;
-                attribute float opacity;
-                varying float vOpacity;
-
-                void main() {
-                    vOpacity = opacity;
-                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                    gl_PointSize = size * (300.0 / -mvPosition.z);
-                    gl_Position = projectionMatrix * mvPosition;
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 color;
-                varying float vOpacity;
-
-                void main() {
-                    // Circular gradient for soft smoke look
-                    vec2 center = gl_PointCoord - vec2(0.5);
-                    float dist = length(center);
-                    float alpha = smoothstep(0.5, 0.0, dist) * vOpacity;
-
-                    if (alpha < 0.01) discard;
-
-                    gl_FragColor = vec4(color, alpha);
-                }
-            `,
-            transparent: true,
-            depthWrite: false,
-            blending: THREE.NormalBlending
-        });
-
-        // Create points mesh
-        this.points = new THREE.Points(this.geometry, this.material);
-        this.points.frustumCulled = false;
+        this.points = this.simulation.points;
         scene.add(this.points);
     }
 
-    createParticle(position, velocity, size, lifetime, isExhale = false) {
-        return {
-            position: position.clone(),
-            velocity: velocity.clone(),
-            size: size,
-            maxSize: size * (isExhale ? 3 : 2),
-            opacity: isExhale ? 0.4 : 0.25,
-            lifetime: lifetime,
-            maxLifetime: lifetime,
-            isExhale: isExhale,
-            active: true
-        };
+    /**
+     * Register something that gives off particles continuously
+     * All emitters share the one particle buffer and budget
+     * @param {string} style - 'smoke' (a cigarette tip) or 'steam' (a hot cup)
+     * @param {Function} getPosition - Returns the source's world position
+     * @returns {Object} The emitter - set its level (0 = off, 1 = the style's full rate) as the source changes
+     */
+    addEmitter(style, getPosition) {
+        if (!EmitterStyles[style]) {
+            throw new Error(`Unknown emitter style: ${style}`);
+        }
+        const emitter = { style, getPosition, level: 1, timer: 0, lastPosition: null };
+        this.emitters.add(emitter);
+        return emitter;
     }
 
-    spawnIdleSmoke() {
-        if (this.particles.length >= this.maxParticles) return;
-
-        const tipPos = this.hands.getCigaretteTipWorldPosition();
-        if (!tipPos) return;
-
-        // Random offset from tip
-        const offset = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.01,
-            Math.random() * 0.005,
-            (Math.random() - 0.5) * 0.01
-        );
-
-        const position = tipPos.add(offset);
-
-        // Upward velocity with slight randomness
-        const velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.03,
-            0.08 + Math.random() * 0.04,
-            (Math.random() - 0.5) * 0.03
-        );
-
-        const particle = this.createParticle(
-            position,
-            velocity,
-            0.015 + Math.random() * 0.015, // Larger particles
-            4.0 + Math.random() * 2.0  // Much longer lifetime (4-6 seconds)
-        );
-        particle.opacity = 0.4; // More visible
-
-        this.particles.push(particle);
+    removeEmitter(emitter) {
+        this.emitters.delete(emitter);
     }
 
-    spawnCoffeeSteam() {
-        if (this.particles.length >= this.maxParticles) return;
-        if (!this.steamEnabled) return;
-
-        const cupPos = this.hands.getCoffeeCupWorldPosition();
-        if (!cupPos) return;
-
-        // Random offset from cup top
-        const offset = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.03,
-            0,
-            (Math.random() - 0.5) * 0.03
-        );
-
-        const position = cupPos.clone().add(offset);
+    /**
+     * Carry the particles along with the moving air
+     * @param {FlowField} flowField
+     */
+    setFlowField(flowField) {
+        this.flowField = flowField;
+    }
 
-        // Gentle upward velocity with slight drift
-        const velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.025,
-            0.06 + Math.random() * 0.03,
-            (Math.random() - 0.5) * 0.025
+    spawnFromEmitter(emitter, origin) {
+        const style = EmitterStyles[emitter.style];
+
+        // Random offset around the source
+        _position.set(
+            (Math.random() - 0.5) * style.spread,
+            Math.random() * style.lift,
+            (Math.random() - 0.5) * style.spread
+        ).add(origin);
+
+        // Upward velocity with slight drift
+        _velocity.set(
+            (Math.random() - 0.5) * style.drift,
+            style.rise[0] + Math.random() * style.rise[1],
+            (Math.random() - 0.5) * style.drift
         );
 
-        const particle = this.createParticle(
-            position,
-            velocity,
-            0.01 + Math.random() * 0.01, // Smaller particles
-            3.0 + Math.random() * 2.0  // 3-5 seconds lifetime
+        const size = style.size[0] + Math.random() * style.size[1];
+        return this.simulation.spawn(
+            _position,
+            _velocity,
+            size,
+            size * 2,
+            style.lifetime[0] + Math.random() * style.lifetime[1],
+            style.opacity
         );
-        particle.isSteam = true;
-
-        this.particles.push(particle);
     }
 
-    triggerExhale() {
+    /**
+     * Breathe smoke out of the mouth
+     * @param amount - Drags' worth of smoke (1 = exhaleParticleCount particles);
+     *     called every step during a long exhale, so fractions carry over
+     */
+    triggerExhale(amount = 1) {
         const mouthPos = this.hands.getMouthWorldPosition();
         if (!mouthPos) return;
 
-        // Spawn burst of exhale particles
-        for (let i = 0; i < this.exhaleParticleCount; i++) {
-            if (this.particles.length >= this.maxParticles) break;
+        this.exhaleCarry += amount * this.exhaleParticleCount;
+        const count = Math.floor(this.exhaleCarry);
+        this.exhaleCarry -= count;
 
+        const style = this.exhaleStyle;
+        for (let i = 0; i < count; i++) {
             // Spread pattern
             const spread = 0.3;
             const angle = Math.random() * Math.PI * 2;
             const radius = Math.random() * 0.02;
 
-            const offset = new THREE.Vector3(
+            _position.set(
                 Math.cos(angle) * radius,
                 (Math.random() - 0.3) * 0.02,
                 -0.01 - Math.random() * 0.02
-            );
-
-            const position = mouthPos.clone().add(offset);
+            ).add(mouthPos);
 
             // Forward and slightly upward velocity
-            const velocity = new THREE.Vector3(
+            _velocity.set(
                 (Math.random() - 0.5) * spread * 0.1,
                 0.02 + Math.random() * 0.03,
                 -0.05 - Math.random() * 0.05
             );
 
-            const particle = this.createParticle(
-                position,
-                velocity,
-                0.02 + Math.random() * 0.02,
-                2.0 + Math.random() * 1.0,
-                true
-            );
-
-            this.particles.push(particle);
+            const size = style.size[0] + Math.random() * style.size[1];
+            if (!this.simulation.spawn(_position, _velocity, size, size * 3, 2.0 + Math.random() * 1.0, style.opacity)) {
+                break;
+            }
         }
     }
 
@@ -206,90 +187,182 @@ export class SmokeParticleSystem {
         const windZ = Math.cos(this.windTime * 0.6) * 0.12 +
                       Math.sin(this.windTime * 1.7) * 0.06;
 
-        // Spawn idle smoke from cigarette
-        this.idleTimer += deltaTime;
-        const spawnInterval = 1 / this.idleSmokeRate;
+        // Each emitter at its own rate, plus a trail when its source moves
+        for (const emitter of this.emitters) {
+            const origin = emitter.level > 0 ? emitter.getPosition() : null;
+            if (!origin) {
+                emitter.lastPosition = null;
+                continue;
+            }
+            // No trail across a jump (respawned, restored from a save)
+            let last = emitter.lastPosition || origin;
+            let moved = last.distanceTo(origin);
+            if (moved > MAX_TRAIL_STEP) {
+                last = origin;
+                moved = 0;
+            }
+
+            const style = EmitterStyles[emitter.style];
+            emitter.timer += (deltaTime * style.rate + moved * style.trail) * emitter.level * this.density;
+            const count = Math.floor(emitter.timer);
+            emitter.timer -= count;
 
-        while (this.idleTimer >= spawnInterval) {
-            this.idleTimer -= spawnInterval;
-            this.spawnIdleSmoke();
+            // Spread along the path since the last frame, so a fast swoosh leaves an unbroken trail
+            for (let i = 1; i <= count; i++) {
+                this.spawnFromEmitter(emitter, _origin.lerpVectors(last, origin, i / count));
+            }
+            emitter.lastPosition = (emitter.lastPosition || new THREE.Vector3()).copy(origin);
         }
 
-        // Spawn steam from coffee cup
-        this.steamTimer += deltaTime;
-        const steamInterval = 1 / this.coffeeSteamRate;
+        this.simulation.update(deltaTime, windX, windZ, this.flowField);
+    }
 
-        while (this.steamTimer >= steamInterval) {
-            this.steamTimer -= steamInterval;
-            this.spawnCoffeeSteam();
-        }
+    /**
+     * Scale emission and the particle budget (1 = full detail)
+     */
+    setDensity(density) {
+        this.density = density;
+        this.simulation.setLimit(Math.round(this.maxParticles * density));
+    }
 
-        // Update all particles
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const p = this.particles[i];
+    dispose() {
+        this.scene.remove(this.points);
+        this.simulation.dispose();
+    }
+}
+
+/**
+ * Particle simulation on the CPU - the fallback when the GPU one can't run
+ * Dead particles are swapped out of the packed array, and only the live ones
+ * are written to the buffers and drawn
+ */
+export class CPUParticleSimulation {
+    constructor(capacity = 500) {
+        this.kind = 'cpu';
+        this.capacity = capacity;
+        this.limit = capacity;
+        this.particles = [];
 
-            // Update lifetime
+        this.geometry = new THREE.BufferGeometry();
+        this.positions = new Float32Array(capacity * 3);
+        this.sizes = new Float32Array(capacity);
+        this.opacities = new Float32Array(capacity);
+
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        this.geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1));
+        this.geometry.setAttribute('opacity', new THREE.BufferAttribute(this.opacities, 1));
+        this.geometry.setDrawRange(0, 0);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(0xcccccc) }
+            },
+            vertexShader: `
+                attribute float size;
+                attribute float opacity;
+                varying float vOpacity;
+
+                void main() {
+                    vOpacity = opacity;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_PointSize = size * (300.0 / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: SMOKE_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.NormalBlending
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false;
+    }
+
+    /**
+     * @returns {boolean} false if the budget is used up
+     */
+    spawn(position, velocity, size, maxSize, lifetime, opacity) {
+        if (this.particles.length >= this.limit) return false;
+
+        this.particles.push({
+            position: position.clone(),
+            velocity: velocity.clone(),
+            size,
+            maxSize,
+            opacity,
+            startOpacity: opacity,
+            lifetime,
+            maxLifetime: lifetime
+        });
+        return true;
+    }
+
+    update(deltaTime, windX, windZ, flowField) {
+        const drag = 1 - frameDamp(0.02, deltaTime);
+        const particles = this.particles;
+
+        for (let i = particles.length - 1; i >= 0; i--) {
+            const p = particles[i];
+
+            // Update lifetime - the last particle takes a dead one's place
             p.lifetime -= deltaTime;
             if (p.lifetime <= 0) {
-                this.particles.splice(i, 1);
+                particles[i] = particles[particles.length - 1];
+                particles.pop();
                 continue;
             }
 
             // Apply oscillating wind force (stronger on older particles that have risen)
-            const age = 1 - (p.lifetime / p.maxLifetime);
-            const windStrength = age * 0.8; // Wind affects older/higher particles more
+            const lifeRatio = 1 - (p.lifetime / p.maxLifetime);
+            const windStrength = lifeRatio * 0.8;
             p.velocity.x += windX * windStrength * deltaTime;
             p.velocity.z += windZ * windStrength * deltaTime;
 
-            // Update position
-            p.position.add(p.velocity.clone().multiplyScalar(deltaTime));
+            p.position.addScaledVector(p.velocity, deltaTime);
+            if (flowField) {
+                p.position.addScaledVector(flowField.sample(p.position, _flow), deltaTime);
+            }
 
-            // Slow down horizontal only, keep rising
-            p.velocity.x *= 0.98;
-            p.velocity.z *= 0.98;
+            // Slow down horizontal only, keep rising (2% per 60 Hz frame)
+            p.velocity.x *= drag;
+            p.velocity.z *= drag;
 
             // Add slight turbulence
             p.velocity.x += (Math.random() - 0.5) * 0.015 * deltaTime;
             p.velocity.z += (Math.random() - 0.5) * 0.015 * deltaTime;
 
             // Grow size over time
-            const lifeRatio = 1 - (p.lifetime / p.maxLifetime);
-            p.size = THREE.MathUtils.lerp(p.size, p.maxSize, lifeRatio * 0.5);
+            p.size = THREE.MathUtils.lerp(p.size, p.maxSize, frameDamp(lifeRatio * 0.5, deltaTime));
 
             // Fade out - start fading later for longer visible smoke
             const fadeStart = 0.75;
             if (lifeRatio > fadeStart) {
-                const fadeRatio = (lifeRatio - fadeStart) / (1 - fadeStart);
-                p.opacity = THREE.MathUtils.lerp(
-                    p.isExhale ? 0.4 : 0.3,
-                    0,
-                    fadeRatio
-                );
+                p.opacity = p.startOpacity * (1 - (lifeRatio - fadeStart) / (1 - fadeStart));
             }
         }
 
-        // Update GPU buffers
         this.updateBuffers();
     }
 
+    setLimit(limit) {
+        this.limit = Math.min(this.capacity, limit);
+        if (this.particles.length > this.limit) {
+            this.particles.length = this.limit;
+        }
+    }
+
     updateBuffers() {
-        for (let i = 0; i < this.maxParticles; i++) {
-            if (i < this.particles.length) {
-                const p = this.particles[i];
-                this.positions[i * 3] = p.position.x;
-                this.positions[i * 3 + 1] = p.position.y;
-                this.positions[i * 3 + 2] = p.position.z;
-                this.sizes[i] = p.size;
-                this.opacities[i] = p.opacity;
-            } else {
-                // Hide unused particles
-                this.positions[i * 3] = 0;
-                this.positions[i * 3 + 1] = -1000;
-                this.positions[i * 3 + 2] = 0;
-                this.sizes[i] = 0;
-                this.opacities[i] = 0;
-            }
+        const count = this.particles.length;
+        for (let i = 0; i < count; i++) {
+            const p = this.particles[i];
+            this.positions[i * 3] = p.position.x;
+            this.positions[i * 3 + 1] = p.position.y;
+            this.positions[i * 3 + 2] = p.position.z;
+            this.sizes[i] = p.size;
+            this.opacities[i] = p.opacity;
         }
+        this.geometry.setDrawRange(0, count);
 
         this.geometry.attributes.position.needsUpdate = true;
         this.geometry.attributes.size.needsUpdate = true;
@@ -297,23 +370,7 @@ export class SmokeParticleSystem {
     }
 
     dispose() {
-        this.scene.remove(this.points);
         this.geometry.dispose();
         this.material.dispose();
     }
-
-    /**
-     * Enable or disable coffee steam rendering
-     */
-    setSteamEnabled(enabled) {
-        this.steamEnabled = enabled;
-    }
-
-    /**
-     * Set the active cup for steam rendering
-     * Call this when spawning a new cup
-     */
-    setActiveCup(cup) {
-        this.activeCup = cup;
-    }
 }
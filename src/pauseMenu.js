@@ -0,0 +1,88 @@
+import { QualityPresets } from './quality.js';
+
+/**
+ * Escape-key pause overlay with the settings panel
+ * Every control in #pause-menu with a data-setting attribute edits that
+ * setting directly; changes apply immediately and persist
+ */
+export class PauseMenu {
+    constructor(game, settings) {
+        this.game = game;
+        this.settings = settings;
+        this.isOpen = false;
+
+        this.element = document.getElementById('pause-menu');
+        this.inputs = Array.from(this.element.querySelectorAll('[data-setting]'));
+
+        // Quality options come from the presets so the two can't drift apart
+        const qualitySelect = this.element.querySelector('[data-setting="graphicsQuality"]');
+        for (const [value, preset] of Object.entries(QualityPresets)) {
+            qualitySelect.add(new Option(preset.label, value));
+        }
+
+        for (const input of this.inputs) {
+            input.addEventListener('input', () => {
+                this.settings.set(input.dataset.setting, readInput(input));
+            });
+        }
+        document.getElementById('resume-btn').addEventListener('click', () => this.close());
+        document.getElementById('reset-settings-btn').addEventListener('click', () => {
+            this.settings.reset();
+            this.refresh();
+        });
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    onKeyDown(event) {
+        if (event.key !== 'Escape') return;
+        event.preventDefault();
+        this.toggle();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.refresh();
+        this.element.classList.remove('hidden');
+        this.game.setPaused(true);
+    }
+
+    close() {
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+        this.game.setPaused(false);
+    }
+
+    /**
+     * Show the current values in the controls
+     */
+    refresh() {
+        for (const input of this.inputs) {
+            const value = this.settings.get(input.dataset.setting);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = String(value);
+            }
+        }
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+    }
+}
+
+function readInput(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'range') return Number(input.value);
+    return input.value;
+}
@@ -0,0 +1,204 @@
+import { EntityKind } from './entities.js';
+import { ItemCatalog } from './items.js';
+import { CigaretteState } from './cigarettes.js';
+
+// Bump when the document layout changes (older saves are rejected, not guessed at)
+export const SAVE_VERSION = 3;
+const STORAGE_KEY = 'cafe-simulator-save';
+
+/**
+ * Saves the whole table - item bodies, liquid levels, burn levels and ash, caffeine/nicotine
+ * levels and coffee stains - as a versioned JSON document
+ *
+ * Used for the localStorage autosave and for exporting/importing
+ * "messy table" setups as files
+ */
+export class SaveManager {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Build a save document from the current game state
+     */
+    snapshot() {
+        const game = this.game;
+
+        const entities = game.entities.all().map(entity => {
+            const saved = {
+                kind: entity.kind,
+                body: game.physics.getBodyState(entity.mesh)
+            };
+            if (entity.liquid) {
+                saved.liquid = entity.liquid.serialize();
+            }
+            if (entity.kind === EntityKind.CIGARETTE) {
+                saved.burnLevel = entity.burnLevel;
+                saved.cigaretteState = entity.cigaretteState;
+                const ash = game.ash.serialize(entity);
+                if (ash) {
+                    saved.ash = ash;
+                }
+            }
+            if (entity.definition.bites) {
+                saved.bitesLeft = entity.bitesLeft;
+            }
+            if (entity === game.activeCup || entity === game.activeCigarette) {
+                saved.active = true;
+            }
+            return saved;
+        });
+
+        return {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            intoxication: game.intoxication.serialize(),
+            entities: entities,
+            stains: game.stains.serialize()
+        };
+    }
+
+    /**
+     * Replace the table with the contents of a save document
+     */
+    async restore(doc) {
+        validateSaveDocument(doc);
+        const game = this.game;
+
+        game.clearTable();
+
+        // Spawning makes each new cup/cigarette active, so pick the saved ones afterwards
+        let activeCup = null;
+        let activeCigarette = null;
+
+        for (const saved of doc.entities) {
+            const entity = await game.spawnItem(saved.kind);
+            if (saved.body) {
+                game.physics.setBodyState(entity.mesh, saved.body);
+            }
+            if (saved.liquid && entity.liquid) {
+                entity.liquid.restore(saved.liquid);
+            }
+            if (saved.burnLevel !== undefined) {
+                entity.burnLevel = saved.burnLevel;
+                game.hands.burnCigarette(entity, 0); // Apply the length without burning further
+            }
+            if (saved.cigaretteState !== undefined) {
+                game.cigarettes.setState(entity, saved.cigaretteState);
+            }
+            if (saved.ash) {
+                game.ash.restore(entity, saved.ash);
+            }
+            if (saved.bitesLeft !== undefined) {
+                game.setBitesLeft(entity, saved.bitesLeft);
+            }
+            if (saved.active && entity.kind === EntityKind.CUP) activeCup = entity;
+            if (saved.active && entity.kind === EntityKind.CIGARETTE) activeCigarette = entity;
+        }
+
+        if (activeCup) game.setActiveCup(activeCup);
+        if (activeCigarette) game.setActiveCigarette(activeCigarette);
+
+        game.intoxication.restore(doc.intoxication);
+        game.stains.restore(doc.stains);
+
+        console.log(`Restored table from ${doc.savedAt} (${doc.entities.length} items, ${doc.stains.length} stains)`);
+    }
+
+    /**
+     * Autosave to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.snapshot()));
+        } catch (e) {
+            console.warn('Could not save table:', e);
+        }
+    }
+
+    /**
+     * Restore the autosave, if there is one
+     * @returns {Promise<boolean>} true if a save was restored
+     */
+    async load() {
+        const json = localStorage.getItem(STORAGE_KEY);
+        if (!json) return false;
+
+        // Only a save that can never load is thrown away - not one that hit e.g. a model load error
+        let doc;
+        try {
+            doc = JSON.parse(json);
+            validateSaveDocument(doc);
+        } catch (e) {
+            console.warn('Ignoring unreadable save:', e);
+            localStorage.removeItem(STORAGE_KEY);
+            return false;
+        }
+
+        try {
+            await this.restore(doc);
+            return true;
+        } catch (e) {
+            console.warn('Could not restore save:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Forget the autosave (next load starts with a fresh table)
+     */
+    clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    /**
+     * Download the current table as a JSON file
+     */
+    exportFile() {
+        const json = JSON.stringify(this.snapshot(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cafe-table-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a table from a JSON file picked by the user
+     * @param {File} file
+     */
+    async importFile(file) {
+        const doc = JSON.parse(await file.text());
+        await this.restore(doc);
+        this.save();
+    }
+}
+
+/**
+ * Check a save document before touching the table, so a bad file can't leave it half-restored
+ */
+export function validateSaveDocument(doc) {
+    if (!doc || typeof doc !== 'object') {
+        throw new Error('Save is not a JSON object');
+    }
+    if (doc.version !== SAVE_VERSION) {
+        throw new Error(`Unsupported save version ${doc.version} (expected ${SAVE_VERSION})`);
+    }
+    if (!doc.intoxication || !Array.isArray(doc.entities) || !Array.isArray(doc.stains)) {
+        throw new Error('Save is missing intoxication, entities or stains');
+    }
+    for (const saved of doc.entities) {
+        if (!ItemCatalog[saved.kind]) {
+            throw new Error(`Save contains unknown item kind: ${saved.kind}`);
+        }
+        if (saved.cigaretteState !== undefined && !Object.values(CigaretteState).includes(saved.cigaretteState)) {
+            throw new Error(`Save contains unknown cigarette state: ${saved.cigaretteState}`);
+        }
+        if (saved.ash !== undefined && !(saved.ash?.length > 0 && saved.ash.breakLength > 0)) {
+            throw new Error('Save contains a malformed ash column');
+        }
+    }
+}
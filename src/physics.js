@@ -1,5 +1,18 @@
 import * as CANNON from 'cannon-es';
 import * as THREE from 'three';
+import { frameDamp } from './timestep.js';
+import { createColliderShapes } from './colliders.js';
+import { addContactMaterials, getPhysicsMaterial } from './materials.js';
+
+// Mouth target used when a grabbed item has no behavior of its own (camera-local)
+const DEFAULT_MOUTH_OFFSET = { y: -0.075, z: -0.15 };
+
+// Sober hands - no shake, no lag
+const NO_EFFECTS = { shake: 0, lag: 0 };
+
+// A flick: the held item moves faster than FLICK_SPEED (m/s), then all but stops within FLICK_WINDOW seconds
+const FLICK_SPEED = 1.5;
+const FLICK_WINDOW = 0.15;
 
 export class PhysicsWorld {
     constructor() {
@@ -8,14 +21,19 @@ export class PhysicsWorld {
         this.world.gravity.set(0, -9.82, 0);
         this.world.broadphase = new CANNON.NaiveBroadphase();
         this.world.solver.iterations = 10;
+        addContactMaterials(this.world);
 
         // Track physics bodies and their Three.js counterparts
         this.bodies = new Map(); // Map<THREE.Object3D, CANNON.Body>
         this.dynamicBodies = []; // Bodies that need syncing
 
+        // Entity registry - provides grab behaviors per item
+        this.entities = null;
+
         // Grabbing state
         this.grabbedBody = null;
         this.grabbedMesh = null;
+        this.grabbedEntity = null;
         this.grabConstraint = null;
         this.grabPointBody = null; // Kinematic body for mouse position
 
@@ -29,7 +47,7 @@ export class PhysicsWorld {
         // Constraint-based grabbing (for cigarette tumbling)
         this.jointBody = null;
         this.jointConstraint = null;
-        this.useConstraintGrab = false; // True for cigarette, false for cup
+        this.useConstraintGrab = false; // True for 'constraint' grab mode (cigarette), false for 'kinematic' (cup)
         this.constraintPaused = false; // True when temporarily in kinematic mode for smoking
         this.localGrabPoint = new CANNON.Vec3(); // Where on the body we grabbed
 
@@ -42,16 +60,31 @@ export class PhysicsWorld {
         this.depthProgress = 0; // 0 = at table, 1 = at mouth
         this.laggedPosition = null; // For smoking lag effect
 
+        // Simulated seconds (drives the shake wobble)
+        this.time = 0;
+
         // Track velocity for release momentum
         this.prevGrabPosition = null;
         this.grabVelocity = new THREE.Vector3();
 
+        // Flick detection (on the hand's position before the coffee shake)
+        this.prevFlickPosition = null;
+        this.flickTimer = 0;     // Seconds left for a fast movement to stop and count as a flick
+        this.flicked = false;    // A flick finished on the last updateGrab
+
         // Breakable objects and collision callbacks
         this.breakableObjects = new Map(); // mesh -> { body, threshold, onBreak }
         this.pendingBreaks = []; // Deferred break operations
         this.setupCollisionDetection();
     }
 
+    /**
+     * Use an EntityRegistry to look up grab behaviors (grab mode, mouth target)
+     */
+    setEntityRegistry(entities) {
+        this.entities = entities;
+    }
+
     /**
      * Setup collision detection for breakable objects
      */
@@ -104,6 +137,26 @@ export class PhysicsWorld {
         });
     }
 
+    /**
+     * Fastest approach speed along the normal over a touching pair's contact
+     * points, and where that contact is (world space) - for beginContact
+     * listeners, which run before the solver while velocities are still the approaching ones
+     */
+    getImpact(bodyA, bodyB) {
+        let speed = 0;
+        let point = null;
+        for (const contact of this.world.contacts) {
+            if ((contact.bi === bodyA && contact.bj === bodyB) || (contact.bi === bodyB && contact.bj === bodyA)) {
+                const contactSpeed = Math.abs(contact.getImpactVelocityAlongNormal());
+                if (contactSpeed > speed) {
+                    speed = contactSpeed;
+                    point = new THREE.Vector3().copy(contact.bi.position).add(contact.ri);
+                }
+            }
+        }
+        return { speed, point };
+    }
+
     /**
      * Process any pending break operations (call after physics step)
      */
@@ -169,162 +222,35 @@ export class PhysicsWorld {
     }
 
     /**
-     * Create just a top surface collider from a Three.js object
-     * Uses the bounding box but only the top surface (thin box)
-     * @param shrinkFactor - shrink the X/Z dimensions (default 1.0 = full size, 0.8 = 80%)
-     * @param rotationY - Y-axis rotation in radians (default 0)
+     * Create a static collider shaped like a model (see colliders.js)
+     * Defaults to a compound of boxes - unlike a trimesh, everything collides with those
+     * @param options - { type, resolution } passed to createColliderShapes, and material (a name from materials.js)
      */
-    createStaticSurface(object3D, shrinkFactor = 1.0, rotationY = 0) {
-        // Compute the world bounding box
-        const box = new THREE.Box3().setFromObject(object3D);
-        const size = new THREE.Vector3();
-        const center = new THREE.Vector3();
-        box.getSize(size);
-        box.getCenter(center);
-
-        console.log('Surface collider for', object3D.name, '- top at y:', box.max.y, 'size:', size);
-
-        // Create thin box at the top surface (with optional shrink)
-        const surfaceThickness = 0.02;
-        const shape = new CANNON.Box(new CANNON.Vec3(
-            size.x / 2 * shrinkFactor,
-            surfaceThickness / 2,
-            size.z / 2 * shrinkFactor
-        ));
-
+    createStaticFromModel(object3D, options = {}) {
         const body = new CANNON.Body({
             mass: 0, // Static
-            position: new CANNON.Vec3(center.x, box.max.y - surfaceThickness / 2, center.z),
-        });
-
-        // Apply Y rotation
-        if (rotationY !== 0) {
-            body.quaternion.setFromEuler(0, rotationY, 0);
-        }
-
-        body.addShape(shape);
-
-        this.world.addBody(body);
-        this.bodies.set(object3D, body);
-
-        return body;
-    }
-
-    /**
-     * Create a wireframe debug mesh for box collider
-     */
-    createBoxDebugMesh(sizeX, sizeY, sizeZ, posX, posY, posZ, scene) {
-        const geometry = new THREE.BoxGeometry(sizeX, sizeY, sizeZ);
-        const material = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.5
-        });
-        const debugMesh = new THREE.Mesh(geometry, material);
-        debugMesh.position.set(posX, posY, posZ);
-        debugMesh.name = 'box-debug';
-        scene.add(debugMesh);
-        return debugMesh;
-    }
-
-    /**
-     * Create a trimesh collider from a Three.js mesh (uses actual geometry)
-     */
-    createStaticTrimesh(object3D) {
-        const vertices = [];
-        const indices = [];
-
-        // Traverse and collect geometry
-        object3D.traverse((child) => {
-            if (child.isMesh && child.geometry) {
-                const geo = child.geometry;
-                const pos = geo.attributes.position;
-                const idx = geo.index;
-
-                // Get world matrix
-                child.updateWorldMatrix(true, false);
-                const matrix = child.matrixWorld;
-
-                const vertexOffset = vertices.length / 3;
-
-                // Add vertices (transformed to world space)
-                for (let i = 0; i < pos.count; i++) {
-                    const v = new THREE.Vector3(
-                        pos.getX(i),
-                        pos.getY(i),
-                        pos.getZ(i)
-                    ).applyMatrix4(matrix);
-                    vertices.push(v.x, v.y, v.z);
-                }
-
-                // Add indices
-                if (idx) {
-                    for (let i = 0; i < idx.count; i++) {
-                        indices.push(idx.getX(i) + vertexOffset);
-                    }
-                } else {
-                    // Non-indexed geometry
-                    for (let i = 0; i < pos.count; i++) {
-                        indices.push(i + vertexOffset);
-                    }
-                }
-            }
+            material: getPhysicsMaterial(options.material),
+            position: new CANNON.Vec3().copy(object3D.getWorldPosition(new THREE.Vector3())),
+            quaternion: new CANNON.Quaternion().copy(object3D.getWorldQuaternion(new THREE.Quaternion()))
         });
-
-        if (vertices.length === 0) {
-            console.warn('No geometry found for trimesh:', object3D.name);
-            return null;
+        for (const { shape, offset } of createColliderShapes(object3D, options)) {
+            body.addShape(shape, offset);
         }
 
-        console.log('Trimesh collider for', object3D.name, '- vertices:', vertices.length / 3, 'triangles:', indices.length / 3);
-
-        const shape = new CANNON.Trimesh(vertices, indices);
-        const body = new CANNON.Body({
-            mass: 0, // Static
-            position: new CANNON.Vec3(0, 0, 0),
-        });
-        body.addShape(shape);
-
         this.world.addBody(body);
         this.bodies.set(object3D, body);
 
-        // Create debug visualization
-        this.createTrimeshDebugMesh(vertices, indices, object3D.parent);
-
         return body;
     }
 
-    /**
-     * Create a wireframe debug mesh to visualize trimesh collider
-     */
-    createTrimeshDebugMesh(vertices, indices, scene) {
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setIndex(indices);
-
-        const material = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.5
-        });
-
-        const debugMesh = new THREE.Mesh(geometry, material);
-        debugMesh.name = 'trimesh-debug';
-        scene.add(debugMesh);
-
-        console.log('Debug trimesh mesh added (green wireframe)');
-        return debugMesh;
-    }
-
     /**
      * Create a static box collider (for table, floor)
      */
-    createStaticBox(mesh, size, position) {
+    createStaticBox(mesh, size, position, material = null) {
         const shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
         const body = new CANNON.Body({
             mass: 0, // Static
+            material: getPhysicsMaterial(material),
             position: new CANNON.Vec3(position.x, position.y, position.z),
             shape: shape
         });
@@ -338,13 +264,14 @@ export class PhysicsWorld {
     /**
      * Create a dynamic box collider
      */
-    createDynamicBox(mesh, size, mass = 1) {
+    createDynamicBox(mesh, size, mass = 1, material = null) {
         const shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
         const pos = mesh.position;
         const body = new CANNON.Body({
             mass: mass,
             position: new CANNON.Vec3(pos.x, pos.y, pos.z),
             shape: shape,
+            material: getPhysicsMaterial(material),
             linearDamping: 0.3,
             angularDamping: 0.5
         });
@@ -362,16 +289,44 @@ export class PhysicsWorld {
     /**
      * Create a dynamic cylinder collider (good for cups)
      */
-    createDynamicCylinder(mesh, radius, height, mass = 1) {
+    createDynamicCylinder(mesh, radius, height, mass = 1, material = null) {
         const shape = new CANNON.Cylinder(radius, radius, height, 12);
         const pos = mesh.position;
         const body = new CANNON.Body({
             mass: mass,
             position: new CANNON.Vec3(pos.x, pos.y, pos.z),
             shape: shape,
+            material: getPhysicsMaterial(material),
+            linearDamping: 0.3,
+            angularDamping: 0.5
+        });
+
+        // Copy rotation
+        const quat = mesh.quaternion;
+        body.quaternion.set(quat.x, quat.y, quat.z, quat.w);
+
+        this.world.addBody(body);
+        this.bodies.set(mesh, body);
+        this.dynamicBodies.push({ mesh, body });
+        return body;
+    }
+
+    /**
+     * Create a dynamic collider generated from the mesh's geometry
+     * @param type - 'convexHull' or 'convexDecomposition'
+     */
+    createDynamicFromModel(mesh, type, resolution, mass = 1, material = null) {
+        const pos = mesh.position;
+        const body = new CANNON.Body({
+            mass: mass,
+            position: new CANNON.Vec3(pos.x, pos.y, pos.z),
+            material: getPhysicsMaterial(material),
             linearDamping: 0.3,
             angularDamping: 0.5
         });
+        for (const { shape, offset } of createColliderShapes(mesh, { type, resolution })) {
+            body.addShape(shape, offset);
+        }
 
         // Copy rotation
         const quat = mesh.quaternion;
@@ -383,6 +338,43 @@ export class PhysicsWorld {
         return body;
     }
 
+    /**
+     * Create a dynamic body from a collider description
+     * @param collider - { shape: 'cylinder', radius, height }, { shape: 'box', size: {x, y, z} }
+     *   or { shape: 'convexHull' | 'convexDecomposition', resolution? } built from the mesh
+     * @param material - Physics material name (see materials.js), null for the default
+     */
+    createDynamicBody(mesh, collider, mass = 1, material = null) {
+        switch (collider.shape) {
+            case 'cylinder':
+                return this.createDynamicCylinder(mesh, collider.radius, collider.height, mass, material);
+            case 'box':
+                return this.createDynamicBox(mesh, collider.size, mass, material);
+            case 'convexHull':
+            case 'convexDecomposition':
+                return this.createDynamicFromModel(mesh, collider.shape, collider.resolution, mass, material);
+            default:
+                throw new Error(`Unknown collider shape: ${collider.shape}`);
+        }
+    }
+
+    /**
+     * Remove a mesh's body from the world and stop tracking it
+     */
+    removeBody(mesh) {
+        const body = this.bodies.get(mesh);
+        if (!body) return;
+
+        if (mesh === this.grabbedMesh) {
+            this.release();
+        }
+
+        this.world.removeBody(body);
+        this.bodies.delete(mesh);
+        this.dynamicBodies = this.dynamicBodies.filter(d => d.mesh !== mesh);
+        this.breakableObjects.delete(mesh);
+    }
+
     /**
      * Get the physics body for a mesh
      */
@@ -390,6 +382,38 @@ export class PhysicsWorld {
         return this.bodies.get(mesh);
     }
 
+    /**
+     * Snapshot a body's transform and motion as plain arrays (for saving)
+     */
+    getBodyState(mesh) {
+        const body = this.bodies.get(mesh);
+        if (!body) return null;
+
+        return {
+            position: body.position.toArray(),
+            quaternion: body.quaternion.toArray(),
+            velocity: body.velocity.toArray(),
+            angularVelocity: body.angularVelocity.toArray()
+        };
+    }
+
+    /**
+     * Put a body (and its mesh) back into a saved state
+     */
+    setBodyState(mesh, state) {
+        const body = this.bodies.get(mesh);
+        if (!body) return;
+
+        body.position.set(...state.position);
+        body.quaternion.set(...state.quaternion);
+        body.velocity.set(...(state.velocity || [0, 0, 0]));
+        body.angularVelocity.set(...(state.angularVelocity || [0, 0, 0]));
+        body.wakeUp();
+
+        mesh.position.set(...state.position);
+        mesh.quaternion.set(...state.quaternion);
+    }
+
     /**
      * Check if mouse is hovering over a grabbable object
      */
@@ -434,6 +458,7 @@ export class PhysicsWorld {
             if (body && body.mass > 0) {
                 this.grabbedMesh = target;
                 this.grabbedBody = body;
+                this.grabbedEntity = this.entities ? this.entities.getByMesh(target) : null;
 
                 // Store grab height and offset
                 this.grabHeight = intersects[0].point.y;
@@ -449,9 +474,9 @@ export class PhysicsWorld {
                 // Wake up the body
                 body.wakeUp();
 
-                // Use constraint-based grab for cigarette (natural tumbling)
-                const isCigarette = target.name === 'cigarette';
-                this.useConstraintGrab = isCigarette;
+                // Use constraint-based grab for items that should tumble naturally (cigarette)
+                const grabMode = this.grabbedEntity?.behaviors.grabMode;
+                this.useConstraintGrab = grabMode === 'constraint';
 
                 if (this.useConstraintGrab) {
                     // Calculate local grab point on the body
@@ -501,10 +526,10 @@ export class PhysicsWorld {
      * Update grabbed object position based on mouse
      * Dragging down brings object closer to camera (toward mouth)
      * Uses a slanted plane from table to mouth
-     * @param drinkScore - causes hand shake
-     * @param smokeScore - causes movement lag
+     * @param effects - { shake, lag } from the IntoxicationModel
+     * @param deltaTime - seconds since the last grab update
      */
-    updateGrab(mouseX, mouseY, camera, drinkScore = 0, smokeScore = 0) {
+    updateGrab(mouseX, mouseY, camera, effects = NO_EFFECTS, deltaTime = 1 / 60) {
         if (!this.grabbedBody) return;
 
         this.mouse.x = (mouseX / window.innerWidth) * 2 - 1;
@@ -525,12 +550,7 @@ export class PhysicsWorld {
             // 0 = at table, 1 = at mouth (more sensitive)
             this.depthProgress = Math.max(0, Math.min(1, mouseYDelta * 2.0));
 
-            // Different mouth positions for cup vs cigarette
-            const isCigarette = this.grabbedMesh?.name === 'cigarette';
-            const mouthY = isCigarette ? -0.15 : -0.075; // Cigarette lower
-            const mouthZ = isCigarette ? -0.25 : -0.15; // Cup closer to face
-            const mouthPos = new THREE.Vector3(0, mouthY, mouthZ);
-            camera.localToWorld(mouthPos);
+            const mouthPos = this.getMouthTarget(camera);
 
             // Lerp between table intersection and mouth position
             const targetPos = new THREE.Vector3();
@@ -539,28 +559,29 @@ export class PhysicsWorld {
             // Adjust height to follow slanted path (table height to mouth height)
             targetPos.y = THREE.MathUtils.lerp(this.grabHeight, mouthPos.y, this.depthProgress);
 
-            // Apply smoking lag effect FIRST (more smoke = more lag)
-            // lagFactor is how much it moves toward target per frame (lower = more lag)
-            const lagFactor = Math.max(0.03, 1 - smokeScore * 0.25); // Much more aggressive lag
+            // Apply smoking lag effect FIRST (more nicotine = more lag)
+            // lagFactor is how much it moves toward target per 60 Hz frame (lower = more lag)
+            const lagFactor = 1 - effects.lag;
             if (!this.laggedPosition) {
                 this.laggedPosition = targetPos.clone();
             }
-            this.laggedPosition.lerp(targetPos, lagFactor);
+            this.laggedPosition.lerp(targetPos, frameDamp(lagFactor, deltaTime));
+            this.updateFlick(this.laggedPosition, deltaTime);
 
             // Apply coffee shake effect AFTER lag (so jitter shows on top of sluggish movement)
             // Small amplitude, high frequency for jittery hands
             const finalPos = this.laggedPosition.clone();
-            if (drinkScore > 0) {
-                const shakeIntensity = Math.min(drinkScore * 0.002, 0.008); // Subtle shake
-                const time = performance.now() * 0.025; // High frequency
+            if (effects.shake > 0) {
+                const shakeIntensity = effects.shake;
+                const time = this.time * 25; // High frequency
                 finalPos.x += Math.sin(time * 4.1) * shakeIntensity;
                 finalPos.y += Math.sin(time * 5.3) * shakeIntensity * 0.6;
                 finalPos.z += Math.cos(time * 3.7) * shakeIntensity;
             }
 
             // Track velocity for release momentum
-            if (this.prevGrabPosition) {
-                this.grabVelocity.subVectors(finalPos, this.prevGrabPosition).multiplyScalar(60); // Approximate velocity
+            if (this.prevGrabPosition && deltaTime > 0) {
+                this.grabVelocity.subVectors(finalPos, this.prevGrabPosition).divideScalar(deltaTime);
             }
             if (!this.prevGrabPosition) {
                 this.prevGrabPosition = new THREE.Vector3();
@@ -602,7 +623,7 @@ export class PhysicsWorld {
                     const targetQuat = new THREE.Quaternion().setFromEuler(
                         new THREE.Euler(0, targetRotY, targetRotZ)
                     );
-                    currentQuat.slerp(targetQuat, 0.15);
+                    currentQuat.slerp(targetQuat, frameDamp(0.15, deltaTime));
 
                     // Set mesh directly
                     this.grabbedMesh.quaternion.copy(currentQuat);
@@ -629,6 +650,36 @@ export class PhysicsWorld {
         }
     }
 
+    /**
+     * Spot a flick of the wrist - a quick jerk that stops short
+     */
+    updateFlick(position, deltaTime) {
+        this.flicked = false;
+        if (this.prevFlickPosition && deltaTime > 0) {
+            const speed = position.distanceTo(this.prevFlickPosition) / deltaTime;
+            this.flickTimer = Math.max(0, this.flickTimer - deltaTime);
+            if (speed > FLICK_SPEED) {
+                this.flickTimer = FLICK_WINDOW;
+            } else if (this.flickTimer > 0 && speed < FLICK_SPEED * 0.3) {
+                this.flicked = true;
+                this.flickTimer = 0;
+            }
+        }
+        if (!this.prevFlickPosition) {
+            this.prevFlickPosition = new THREE.Vector3();
+        }
+        this.prevFlickPosition.copy(position);
+    }
+
+    /**
+     * Where a grabbed item ends up when dragged all the way down (world space)
+     * Each item kind has its own mouth position (cigarette lower, cup closer to face)
+     */
+    getMouthTarget(camera) {
+        const mouthOffset = this.grabbedEntity?.behaviors.mouthOffset || DEFAULT_MOUTH_OFFSET;
+        return camera.localToWorld(new THREE.Vector3(0, mouthOffset.y, mouthOffset.z));
+    }
+
     /**
      * Release the grabbed object
      */
@@ -684,9 +735,13 @@ export class PhysicsWorld {
             console.log('Released:', this.grabbedMesh?.name);
             this.grabbedBody = null;
             this.grabbedMesh = null;
+            this.grabbedEntity = null;
             this.useConstraintGrab = false;
             this.laggedPosition = null; // Reset lag effect
             this.prevGrabPosition = null;
+            this.prevFlickPosition = null;
+            this.flickTimer = 0;
+            this.flicked = false;
             this.grabVelocity.set(0, 0, 0);
         }
     }
@@ -706,11 +761,19 @@ export class PhysicsWorld {
     }
 
     /**
-     * Update physics simulation and sync with Three.js
+     * Get the entity of the currently grabbed mesh (null if untracked)
+     */
+    getGrabbedEntity() {
+        return this.grabbedEntity;
+    }
+
+    /**
+     * Advance the world by one fixed step (the caller's FixedTimestep owns the accumulator)
      */
     update(deltaTime) {
         // Step physics
-        this.world.step(1 / 60, deltaTime, 3);
+        this.world.step(deltaTime);
+        this.time += deltaTime;
 
         // Process any deferred break operations after physics step
         this.processPendingBreaks();
@@ -0,0 +1,342 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+// Wireframe colour per body state
+const STATE_COLORS = {
+    static: 0x00ff00,
+    kinematic: 0xff00ff,
+    awake: 0xff8800,
+    sleeping: 0x3388ff,
+    grabbed: 0xffff00
+};
+
+const MAX_CONTACTS = 256;
+const NORMAL_LENGTH = 0.05;
+
+/**
+ * F3 physics overlay
+ * Draws every cannon-es body's shapes as wireframes (coloured by state),
+ * contact points with their normals, the grab joint and the mouth target.
+ * Drawn on top of the scene so colliders inside models stay visible
+ */
+export class PhysicsDebugOverlay {
+    constructor(scene, physics, camera) {
+        this.scene = scene;
+        this.physics = physics;
+        this.camera = camera;
+        this.enabled = false;
+
+        this.group = new THREE.Group();
+        this.group.name = 'physics-debug';
+        this.group.visible = false;
+        scene.add(this.group);
+
+        this.bodyMeshes = new Map();     // CANNON.Body -> THREE.Group of its shapes
+
+        // Each body's wireframes own their geometry (disposed with them) - except these two
+        this.planeGeometry = new THREE.PlaneGeometry(10, 10, 10, 10);
+        this.jointGeometry = new THREE.OctahedronGeometry(0.01);
+
+        this.materials = {};
+        for (const [state, color] of Object.entries(STATE_COLORS)) {
+            this.materials[state] = this.createMaterial(color);
+        }
+
+        this.createContactDisplay();
+        this.createGrabDisplay();
+
+        this.statsEl = document.getElementById('physics-debug');
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    createMaterial(color) {
+        return new THREE.MeshBasicMaterial({
+            color,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.7,
+            depthTest: false
+        });
+    }
+
+    createContactDisplay() {
+        this.contactPositions = new Float32Array(MAX_CONTACTS * 3);
+        const pointGeometry = new THREE.BufferGeometry();
+        pointGeometry.setAttribute('position', new THREE.BufferAttribute(this.contactPositions, 3));
+        this.contactPoints = new THREE.Points(pointGeometry, new THREE.PointsMaterial({
+            color: 0xff0000,
+            size: 6,
+            sizeAttenuation: false,
+            depthTest: false
+        }));
+
+        this.normalPositions = new Float32Array(MAX_CONTACTS * 2 * 3);
+        const normalGeometry = new THREE.BufferGeometry();
+        normalGeometry.setAttribute('position', new THREE.BufferAttribute(this.normalPositions, 3));
+        this.contactNormals = new THREE.LineSegments(normalGeometry, new THREE.LineBasicMaterial({
+            color: 0x00ffff,
+            depthTest: false
+        }));
+
+        for (const object of [this.contactPoints, this.contactNormals]) {
+            object.frustumCulled = false;
+            object.renderOrder = 1000;
+            this.group.add(object);
+        }
+    }
+
+    createGrabDisplay() {
+        // Where the grabbed item is heading when dragged all the way down
+        this.mouthMarker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.015, 8, 6),
+            this.createMaterial(0xffffff)
+        );
+        this.mouthMarker.renderOrder = 1000;
+        this.group.add(this.mouthMarker);
+
+        // Grabbed body -> mouth target
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+        this.grabLine = new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({
+            color: 0xffff00,
+            depthTest: false
+        }));
+        this.grabLine.frustumCulled = false;
+        this.grabLine.renderOrder = 1000;
+        this.group.add(this.grabLine);
+    }
+
+    onKeyDown(event) {
+        if (event.key !== 'F3') return;
+        event.preventDefault();
+        this.setEnabled(!this.enabled);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.group.visible = enabled;
+        if (this.statsEl) {
+            this.statsEl.classList.toggle('hidden', !enabled);
+        }
+        if (enabled) {
+            this.update();
+        }
+    }
+
+    /**
+     * Sync the overlay with the physics world (call after the physics step)
+     */
+    update() {
+        if (!this.enabled) return;
+
+        this.syncBodies();
+        const contacts = this.updateContacts();
+        this.updateGrab();
+        this.updateStats(contacts);
+    }
+
+    syncBodies() {
+        const world = this.physics.world;
+        const alive = new Set(world.bodies);
+
+        // Forget bodies that left the world (broken cups, landed droplets)
+        for (const [body, mesh] of this.bodyMeshes) {
+            if (!alive.has(body)) {
+                this.removeBodyMesh(body, mesh);
+            }
+        }
+
+        for (const body of world.bodies) {
+            let mesh = this.bodyMeshes.get(body);
+            if (!mesh) {
+                mesh = this.createBodyMesh(body);
+                this.bodyMeshes.set(body, mesh);
+                this.group.add(mesh);
+            }
+
+            mesh.position.copy(body.position);
+            mesh.quaternion.copy(body.quaternion);
+
+            const material = this.materials[this.getBodyState(body)];
+            for (const child of mesh.children) {
+                child.material = material;
+            }
+        }
+    }
+
+    getBodyState(body) {
+        if (body === this.physics.grabbedBody || body === this.physics.jointBody) return 'grabbed';
+        if (body.type === CANNON.Body.STATIC) return 'static';
+        if (body.type === CANNON.Body.KINEMATIC) return 'kinematic';
+        if (body.sleepState === CANNON.Body.SLEEPING) return 'sleeping';
+        return 'awake';
+    }
+
+    createBodyMesh(body) {
+        const group = new THREE.Group();
+
+        for (let i = 0; i < body.shapes.length; i++) {
+            const geometry = this.getShapeGeometry(body.shapes[i]);
+            if (!geometry) continue;
+
+            const mesh = new THREE.Mesh(geometry, this.materials.awake);
+            mesh.position.copy(body.shapeOffsets[i]);
+            mesh.quaternion.copy(body.shapeOrientations[i]);
+            mesh.renderOrder = 999;
+            group.add(mesh);
+        }
+
+        // Shapeless bodies (the constraint grab's joint) get a small marker
+        if (body.shapes.length === 0) {
+            const marker = new THREE.Mesh(this.jointGeometry, this.materials.grabbed);
+            marker.renderOrder = 999;
+            group.add(marker);
+        }
+
+        return group;
+    }
+
+    removeBodyMesh(body, mesh) {
+        this.group.remove(mesh);
+        this.bodyMeshes.delete(body);
+        for (const child of mesh.children) {
+            if (child.geometry !== this.planeGeometry && child.geometry !== this.jointGeometry) {
+                child.geometry.dispose();
+            }
+        }
+    }
+
+    getShapeGeometry(shape) {
+        switch (shape.type) {
+            case CANNON.Shape.types.SPHERE:
+                return new THREE.SphereGeometry(shape.radius, 8, 6);
+
+            case CANNON.Shape.types.BOX: {
+                const { x, y, z } = shape.halfExtents;
+                return new THREE.BoxGeometry(x * 2, y * 2, z * 2);
+            }
+
+            case CANNON.Shape.types.PLANE:
+                return this.planeGeometry;
+
+            case CANNON.Shape.types.TRIMESH: {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.BufferAttribute(Float32Array.from(shape.vertices), 3));
+                geometry.setIndex(Array.from(shape.indices));
+                return geometry;
+            }
+
+            // Cylinders are convex polyhedra in cannon-es - drawing their faces shows the real segments
+            case CANNON.Shape.types.CYLINDER:
+            case CANNON.Shape.types.CONVEXPOLYHEDRON: {
+                const positions = [];
+                for (const face of shape.faces) {
+                    // Fan-triangulate each face
+                    for (let i = 1; i < face.length - 1; i++) {
+                        for (const index of [face[0], face[i], face[i + 1]]) {
+                            const v = shape.vertices[index];
+                            positions.push(v.x, v.y, v.z);
+                        }
+                    }
+                }
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+                return geometry;
+            }
+
+            default:
+                return null; // Heightfields, particles - nothing in the game uses them
+        }
+    }
+
+    /**
+     * Contact points (on the first body) and their normals from the last step
+     * @returns {number} Number of contacts
+     */
+    updateContacts() {
+        const contacts = this.physics.world.contacts;
+        const count = Math.min(contacts.length, MAX_CONTACTS);
+
+        for (let i = 0; i < count; i++) {
+            const { bi, ri, ni } = contacts[i];
+            const x = bi.position.x + ri.x;
+            const y = bi.position.y + ri.y;
+            const z = bi.position.z + ri.z;
+
+            this.contactPositions.set([x, y, z], i * 3);
+            this.normalPositions.set([
+                x, y, z,
+                x + ni.x * NORMAL_LENGTH, y + ni.y * NORMAL_LENGTH, z + ni.z * NORMAL_LENGTH
+            ], i * 6);
+        }
+
+        this.contactPoints.geometry.setDrawRange(0, count);
+        this.contactPoints.geometry.attributes.position.needsUpdate = true;
+        this.contactNormals.geometry.setDrawRange(0, count * 2);
+        this.contactNormals.geometry.attributes.position.needsUpdate = true;
+
+        return contacts.length;
+    }
+
+    updateGrab() {
+        const physics = this.physics;
+        const target = physics.getMouthTarget(this.camera);
+        this.mouthMarker.position.copy(target);
+        this.mouthMarker.material.color.set(physics.isNearMouth ? 0x00ff00 : 0xffffff);
+
+        const body = physics.grabbedBody;
+        this.grabLine.visible = !!body;
+        if (body) {
+            const positions = this.grabLine.geometry.attributes.position;
+            positions.setXYZ(0, body.position.x, body.position.y, body.position.z);
+            positions.setXYZ(1, target.x, target.y, target.z);
+            positions.needsUpdate = true;
+        }
+    }
+
+    updateStats(contacts) {
+        if (!this.statsEl) return;
+
+        const counts = { static: 0, kinematic: 0, awake: 0, sleeping: 0, grabbed: 0 };
+        for (const body of this.physics.world.bodies) {
+            counts[this.getBodyState(body)]++;
+        }
+
+        const physics = this.physics;
+        let grab = 'none';
+        if (physics.grabbedBody) {
+            grab = physics.jointBody ? 'constraint' : 'kinematic';
+            grab += ` (depth ${physics.depthProgress.toFixed(2)}${physics.isNearMouth ? ', at mouth' : ''})`;
+        }
+
+        this.statsEl.textContent = [
+            `bodies ${physics.world.bodies.length}: ${counts.awake} awake, ${counts.sleeping} sleeping, ` +
+                `${counts.kinematic} kinematic, ${counts.static} static`,
+            `contacts ${contacts}${contacts > MAX_CONTACTS ? ` (showing ${MAX_CONTACTS})` : ''}`,
+            `grab ${grab}`
+        ].join('\n');
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        this.scene.remove(this.group);
+        for (const [body, mesh] of this.bodyMeshes) {
+            this.removeBodyMesh(body, mesh);
+        }
+        this.planeGeometry.dispose();
+        this.jointGeometry.dispose();
+        for (const material of Object.values(this.materials)) {
+            material.dispose();
+        }
+        this.mouthMarker.geometry.dispose();
+        this.mouthMarker.material.dispose();
+        this.contactPoints.geometry.dispose();
+        this.contactPoints.material.dispose();
+        this.contactNormals.geometry.dispose();
+        this.contactNormals.material.dispose();
+        this.grabLine.geometry.dispose();
+        this.grabLine.material.dispose();
+    }
+}
@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+
+/**
+ * Graphics quality tiers, lowest first
+ * Everything expensive scales together: render resolution, shadows, smoke
+ * particles, the liquid heightfield and the number of spill droplets.
+ * antialias is fixed when the renderer is created, so it follows the tier
+ * chosen at startup
+ */
+export const QualityPresets = {
+    low: {
+        label: 'Low',
+        pixelRatio: 1,           // Cap on the device pixel ratio
+        antialias: false,
+        shadowType: null,        // No shadows
+        shadowMapSize: 512,
+        particleDensity: 0.4,    // Scales smoke/steam emission and the particle budget
+        liquidGridSize: 16,      // Heightfield resolution per cup
+        liquidNormalsInterval: 3, // Recompute liquid normals every N updates
+        maxDroplets: 50          // Physics droplets per cup
+    },
+    medium: {
+        label: 'Medium',
+        pixelRatio: 1.25,
+        antialias: false,
+        shadowType: THREE.PCFShadowMap,
+        shadowMapSize: 1024,
+        particleDensity: 0.7,
+        liquidGridSize: 24,
+        liquidNormalsInterval: 2,
+        maxDroplets: 100
+    },
+    high: {
+        label: 'High',
+        pixelRatio: 2,
+        antialias: true,
+        shadowType: THREE.PCFSoftShadowMap,
+        shadowMapSize: 2048,
+        particleDensity: 1,
+        liquidGridSize: 32,
+        liquidNormalsInterval: 1,
+        maxDroplets: 200
+    },
+    ultra: {
+        label: 'Ultra',
+        pixelRatio: 3,
+        antialias: true,
+        shadowType: THREE.PCFSoftShadowMap,
+        shadowMapSize: 4096,
+        particleDensity: 1,
+        liquidGridSize: 48,
+        liquidNormalsInterval: 1,
+        maxDroplets: 300
+    }
+};
+
+export const QualityLevels = Object.keys(QualityPresets);
+
+/**
+ * Adaptive quality governor
+ * Watches frame time and, under sustained load, first lowers the render
+ * resolution and then drops quality tiers. Once frames are fast again for a
+ * while it steps back up, never above the tier the player picked
+ */
+export class QualityGovernor {
+    constructor(options = {}) {
+        this.budget = options.budget ?? 1 / 45;          // Average frame time that counts as struggling
+        this.headroom = options.headroom ?? 1 / 58;      // Average frame time with room to spare
+        this.sustain = options.sustain ?? 2;             // Seconds over budget before stepping down
+        this.recoverAfter = options.recoverAfter ?? 10;  // Seconds of headroom before stepping up
+        this.cooldown = options.cooldown ?? 3;           // Seconds to let a change settle before judging again
+        this.pixelScaleSteps = [1, 0.85, 0.7];           // Resolution is tried before tiers
+
+        this.reset();
+    }
+
+    reset() {
+        this.averageFrameTime = null;
+        this.overBudgetTime = 0;
+        this.headroomTime = 0;
+        this.cooldownLeft = 0;
+        this.pixelStep = 0;     // Index into pixelScaleSteps
+        this.tierDrop = 0;      // Tiers below the chosen one
+    }
+
+    get pixelScale() {
+        return this.pixelScaleSteps[this.pixelStep];
+    }
+
+    /**
+     * Feed one frame's time
+     * @param {number} frameTime - Seconds the frame took
+     * @param {number} maxTierDrop - How many tiers there are below the chosen one
+     * @returns {boolean} true when pixelScale or tierDrop changed
+     */
+    update(frameTime, maxTierDrop) {
+        // Ignore hitches from tab switches and the like
+        if (frameTime > 0.25) return false;
+
+        this.averageFrameTime = this.averageFrameTime === null
+            ? frameTime
+            : THREE.MathUtils.lerp(this.averageFrameTime, frameTime, 0.05);
+
+        if (this.cooldownLeft > 0) {
+            this.cooldownLeft -= frameTime;
+            return false;
+        }
+
+        if (this.averageFrameTime > this.budget) {
+            this.overBudgetTime += frameTime;
+            this.headroomTime = 0;
+        } else if (this.averageFrameTime < this.headroom) {
+            this.headroomTime += frameTime;
+            this.overBudgetTime = 0;
+        } else {
+            this.overBudgetTime = 0;
+            this.headroomTime = 0;
+        }
+
+        if (this.overBudgetTime >= this.sustain) {
+            return this.stepDown(maxTierDrop);
+        }
+        if (this.headroomTime >= this.recoverAfter) {
+            return this.stepUp();
+        }
+        return false;
+    }
+
+    stepDown(maxTierDrop) {
+        if (this.pixelStep < this.pixelScaleSteps.length - 1) {
+            this.pixelStep++;
+        } else if (this.tierDrop < maxTierDrop) {
+            this.tierDrop++;
+            this.pixelStep = 0; // A cheaper tier gets full resolution back
+        } else {
+            this.overBudgetTime = 0;
+            return false; // Already as low as it goes
+        }
+        console.log(`Quality governor: down to tier -${this.tierDrop}, resolution x${this.pixelScale}`);
+        this.settle();
+        return true;
+    }
+
+    stepUp() {
+        if (this.tierDrop > 0) {
+            this.tierDrop--;
+            this.pixelStep = this.pixelScaleSteps.length - 1; // Climb back through resolution first
+        } else if (this.pixelStep > 0) {
+            this.pixelStep--;
+        } else {
+            this.headroomTime = 0;
+            return false;
+        }
+        console.log(`Quality governor: up to tier -${this.tierDrop}, resolution x${this.pixelScale}`);
+        this.settle();
+        return true;
+    }
+
+    settle() {
+        this.overBudgetTime = 0;
+        this.headroomTime = 0;
+        this.cooldownLeft = this.cooldown;
+        this.averageFrameTime = null;
+    }
+}
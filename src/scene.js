@@ -52,10 +52,10 @@ export function createCamera() {
     return camera;
 }
 
-export function createRenderer(canvas) {
+export function createRenderer(canvas, { antialias = true } = {}) {
     const renderer = new THREE.WebGLRenderer({
         canvas,
-        antialias: true
+        antialias
     });
 
     renderer.setSize(window.innerWidth, window.innerHeight);
@@ -0,0 +1,106 @@
+import { QualityLevels } from './quality.js';
+
+const STORAGE_KEY = 'cafe-simulator-settings';
+
+/**
+ * Every player preference with its default and allowed values
+ * (anything in storage that doesn't fit is replaced by the default)
+ */
+export const SettingDefinitions = {
+    mouseSensitivity: { default: 0.003, min: 0.001, max: 0.008 },
+    invertLook: { default: false },
+    masterVolume: { default: 1, min: 0, max: 1 },
+    ambientVolume: { default: 1, min: 0, max: 1 },
+    effectsVolume: { default: 1, min: 0, max: 1 },
+    voiceVolume: { default: 1, min: 0, max: 1 },
+    graphicsQuality: { default: 'high', options: QualityLevels },
+    adaptiveQuality: { default: false }  // Let the governor lower quality under load
+};
+
+/**
+ * Player preferences, persisted in localStorage
+ * Listeners registered with onChange() are called with the full settings
+ * whenever something changes, so the game applies them the same way on
+ * startup and from the settings panel
+ */
+export class Settings {
+    constructor() {
+        this.values = Settings.defaults();
+        this.listeners = [];
+    }
+
+    static defaults() {
+        return Object.fromEntries(
+            Object.entries(SettingDefinitions).map(([key, definition]) => [key, definition.default])
+        );
+    }
+
+    /**
+     * Load saved preferences (missing or invalid ones keep their defaults)
+     */
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            console.warn('Ignoring unreadable settings:', e);
+        }
+
+        for (const [key, value] of Object.entries(stored)) {
+            if (isValidSetting(key, value)) {
+                this.values[key] = value;
+            }
+        }
+        return this.values;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        if (!isValidSetting(key, value)) {
+            throw new Error(`Invalid value for setting ${key}: ${value}`);
+        }
+        this.values[key] = value;
+        this.save();
+        this.notify();
+    }
+
+    reset() {
+        this.values = Settings.defaults();
+        this.save();
+        this.notify();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        for (const listener of this.listeners) {
+            listener(this.values);
+        }
+    }
+}
+
+function isValidSetting(key, value) {
+    const definition = SettingDefinitions[key];
+    if (!definition) return false;
+
+    if (definition.options) {
+        return definition.options.includes(value);
+    }
+    if (typeof definition.default === 'boolean') {
+        return typeof value === 'boolean';
+    }
+    return typeof value === 'number' && value >= definition.min && value <= definition.max;
+}
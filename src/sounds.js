@@ -1,11 +1,43 @@
 import * as THREE from 'three';
+import { synthesizeSound } from './synth.js';
+import { AudioMixer, AmbiencePlayer } from './mixer.js';
+import { detectPeaks, SpriteCache } from './audioSprites.js';
+
+// Distance rolloff for in-world sounds - full volume within half a metre (anything on the table)
+const ROLLOFF = {
+    refDistance: 0.5,
+    rolloffFactor: 1,
+    maxDistance: 20
+};
+
+// Ambience layers (see AmbiencePlayer) - level scales the sound's own volume
+const AmbienceLayers = {
+    ambient: { level: 0.5, bed: true, length: [20, 45], fade: 4 },       // Cafe chatter, always there
+    ambient2: { level: 0.6, length: [10, 25], gap: [6, 30], fade: 3 }    // Street traffic, comes and goes
+};
+
+// Where the player's own sounds come from (camera-local, same spot items are raised to)
+const MOUTH_OFFSET = new THREE.Vector3(0, -0.075, -0.15);
 
 export class SoundManager {
-    constructor(camera) {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {AssetLoader} assets - Downloaded sound files (see assets.json)
+     * @param {THREE.Scene} scene - Holds emitters for sounds played at a point
+     */
+    constructor(camera, assets = null, scene = null) {
+        this.assets = assets;
+        this.scene = scene;
+
         // Create audio listener and attach to camera
         this.listener = new THREE.AudioListener();
         camera.add(this.listener);
 
+        // Sips and coughs are positional too, just very close
+        this.mouth = new THREE.Object3D();
+        this.mouth.position.copy(MOUTH_OFFSET);
+        camera.add(this.mouth);
+
         // Audio loader
         this.audioLoader = new THREE.AudioLoader();
 
@@ -14,11 +46,14 @@ export class SoundManager {
         this.isLoaded = false;
         this.contextResumed = false;
 
-        // Cup tap sprite definitions - will be auto-detected from audio
-        this.cupTapSprites = [];
+        // Every sound goes through a bus (options.bus, 'foley' by default)
+        this.mixer = new AudioMixer(this.listener);
+        this.ambience = null; // AmbiencePlayer, built once the ambience buffers are in
 
-        // Cough sprite definitions - will be auto-detected from audio
-        this.coughSprites = [];
+        // Sound definitions from sounds.json, and the sprites found in each (name -> [{ start, duration }])
+        this.definitions = {};
+        this.sprites = {};
+        this.spriteCache = new SpriteCache();
 
         // Setup audio context resume on first user interaction
         this.setupContextResume();
@@ -58,131 +93,39 @@ export class SoundManager {
     }
 
     /**
-     * Analyze audio buffer to detect volume peaks (transients) with dynamic durations
-     * Returns array of { start, duration } for each detected sound
+     * Load every sound in the sound manifest
+     * Each entry in sounds.json has:
+     * - url, or source: another entry whose buffer it shares ('shard' is part of 'break')
+     * - volume, bus (see mixer.js), positional, loop
+     * - range: { start, duration } - play only this part of the file
+     * - sprites: a list of { start, duration }, or { detect: detectPeaks options, skip: N }
+     *   to find them in the waveform (skipping the first N)
      */
-    detectPeaks(buffer, options = {}) {
-        const {
-            threshold = 0.15,        // Volume threshold (0-1) to trigger detection
-            endThreshold = 0.05,     // Volume threshold to detect end of sound
-            minGap = 0.2,           // Minimum seconds between peaks
-            minDuration = 0.2,      // Minimum duration of each sprite
-            maxDuration = 2.0,      // Maximum duration of each sprite
-            windowSize = 1024       // Samples per analysis window
-        } = options;
-
-        const channelData = buffer.getChannelData(0); // Use first channel
-        const sampleRate = buffer.sampleRate;
-        const sprites = [];
-
-        let lastPeakTime = -minGap;
-        let inSound = false;
-        let soundStart = 0;
-
-        // Scan through audio in windows
-        for (let i = 0; i < channelData.length; i += windowSize) {
-            // Calculate RMS (root mean square) volume for this window
-            let sum = 0;
-            const windowEnd = Math.min(i + windowSize, channelData.length);
-            for (let j = i; j < windowEnd; j++) {
-                sum += channelData[j] * channelData[j];
+    async init(manifestUrl = 'sounds.json') {
+        try {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) {
+                throw new Error(`Sound manifest ${manifestUrl}: ${response.status} ${response.statusText}`);
             }
-            const rms = Math.sqrt(sum / (windowEnd - i));
-
-            const currentTime = i / sampleRate;
-
-            if (!inSound) {
-                // Check if this is a new peak above threshold with enough gap from last
-                if (rms > threshold && (currentTime - lastPeakTime) >= minGap) {
-                    inSound = true;
-                    soundStart = currentTime;
+            this.definitions = (await response.json()).sounds;
+            await this.spriteCache.open();
+
+            const entries = Object.entries(this.definitions);
+
+            // Files first, then the entries that share their buffers
+            await Promise.all(entries
+                .filter(([, definition]) => definition.url)
+                .map(([name, definition]) => this.loadSound(name, definition.url, definition)));
+            for (const [name, definition] of entries) {
+                const source = this.sounds[definition.source];
+                if (source) {
+                    this.addSound(name, source.buffer, definition, source);
                 }
-            } else {
-                // We're in a sound - check if it ended (volume dropped below end threshold)
-                // or if we've hit max duration
-                const elapsed = currentTime - soundStart;
-                if (rms < endThreshold || elapsed >= maxDuration) {
-                    // Sound ended - calculate dynamic duration
-                    const duration = Math.max(minDuration, elapsed);
-                    sprites.push({
-                        start: soundStart,
-                        duration: duration
-                    });
-                    lastPeakTime = soundStart;
-                    inSound = false;
-                }
-            }
-        }
-
-        // Handle case where sound extends to end of buffer
-        if (inSound) {
-            const finalTime = channelData.length / sampleRate;
-            const duration = Math.max(minDuration, finalTime - soundStart);
-            sprites.push({
-                start: soundStart,
-                duration: Math.min(duration, maxDuration)
-            });
-        }
-
-        console.log(`Detected ${sprites.length} peaks in audio:`, sprites);
-        return sprites;
-    }
-
-    async init() {
-        try {
-            // Load all sounds
-            await Promise.all([
-                this.loadSound('sip', 'sounds/440063__macithappen__coffee-sip.wav', {
-                    volume: 0.7,
-                    offset: 3.0,      // Start at 3 seconds
-                    duration: 3.5    // Play for 3.5 seconds (till 6.5s)
-                }),
-                this.loadSound('smoke', 'sounds/218082__gaby7129__cigarette-cracklings-lighter-smoke.wav', {
-                    volume: 0.6,
-                    offset: 1.0,     // Start at 1 second
-                    loop: true       // Loop while held
-                }),
-                this.loadSound('cupTap', 'sounds/413635__krnfa__foley-cup-on-the-table.wav', { volume: 0.5 }),
-                this.loadSound('ambient', 'sounds/482990__priesjensen__people-talking-at-cafe-ambience.wav', {
-                    volume: 4.0,
-                    loop: true
-                }),
-                this.loadSound('ambient2', 'sounds/661805__klankbeeld__village-street-traffic-1158-220820_0507.wav', {
-                    volume: 1.5,
-                    loop: true
-                }),
-                this.loadSound('break', 'sounds/735851__geoff-bremner-audio__smashing-breaking-porcelain-mug-2.wav', {
-                    volume: 0.8
-                }),
-                this.loadSound('cough', 'sounds/722622__midwestdocumentary__coughs-gentle-processing.wav', {
-                    volume: 0.8
-                }),
-            ]);
-
-            // Auto-detect cup tap sprites from audio peaks (with dynamic durations)
-            const cupTapData = this.sounds['cupTap'];
-            if (cupTapData && cupTapData.buffer) {
-                this.cupTapSprites = this.detectPeaks(cupTapData.buffer, {
-                    threshold: 0.1,      // Volume to trigger detection
-                    endThreshold: 0.03,  // Volume to detect end of tap
-                    minGap: 0.3,         // Min 300ms between taps
-                    minDuration: 0.2,    // Each tap at least 200ms
-                    maxDuration: 0.8     // Each tap at most 800ms
-                });
             }
 
-            // Auto-detect cough sprites from audio peaks (with dynamic durations)
-            const coughData = this.sounds['cough'];
-            if (coughData && coughData.buffer) {
-                this.coughSprites = this.detectPeaks(coughData.buffer, {
-                    threshold: 0.12,     // Higher threshold to catch start of cough
-                    endThreshold: 0.04,  // Higher end threshold to not cut off early
-                    minGap: 1.5,         // Min 1.5s between coughs (they're distinct)
-                    minDuration: 1.0,    // Each cough at least 1 second
-                    maxDuration: 2.5     // Each cough at most 2.5s
-                });
-                console.log(`Detected ${this.coughSprites.length} cough sprites`);
-            }
+            await Promise.all(entries
+                .filter(([name, definition]) => definition.sprites && this.sounds[name])
+                .map(([name]) => this.loadSprites(name)));
 
             this.isLoaded = true;
             console.log('All sounds loaded');
@@ -196,35 +139,127 @@ export class SoundManager {
         }
     }
 
+    /**
+     * Find a sound's sprites - listed in the manifest, cached, or detected now
+     */
+    async loadSprites(name) {
+        const soundData = this.sounds[name];
+        const spec = soundData.options.sprites;
+
+        // Listed ranges belong to the file - a synthesized stand-in is always scanned
+        if (Array.isArray(spec) && !soundData.synthesized) {
+            this.sprites[name] = spec;
+            return;
+        }
+
+        const detect = (!Array.isArray(spec) && spec.detect) || {};
+        const key = soundData.hash && SpriteCache.key(soundData.hash, detect);
+        let sprites = key && await this.spriteCache.get(key);
+        const cached = !!sprites;
+        if (!sprites) {
+            sprites = detectPeaks(soundData.buffer, detect);
+            if (key) {
+                await this.spriteCache.set(key, sprites);
+            }
+        }
+
+        this.sprites[name] = sprites.slice(spec.skip || 0);
+        console.log(`${name}: ${this.sprites[name].length} sprites${cached ? ' (cached)' : ''}`);
+    }
+
     loadSound(name, url, options = {}) {
-        return new Promise((resolve, reject) => {
+        // Missing files were already reported on the loading screen
+        if (this.assets && !this.assets.has(url)) {
+            return Promise.resolve(this.synthesize(name, options));
+        }
+
+        return new Promise((resolve) => {
             this.audioLoader.load(
-                url,
+                this.assets ? this.assets.resolve(url) : url,
                 (buffer) => {
-                    const sound = new THREE.Audio(this.listener);
-                    sound.setBuffer(buffer);
-                    sound.setVolume(options.volume || 1.0);
-                    sound.setLoop(options.loop || false);
-
-                    this.sounds[name] = {
-                        sound: sound,
-                        buffer: buffer,
-                        options: options
-                    };
-
                     console.log(`Sound loaded: ${name}`);
-                    resolve(sound);
+                    const hash = this.assets ? this.assets.getHash(url) : null;
+                    resolve(this.addSound(name, buffer, options, { hash }));
                 },
                 undefined,
                 (err) => {
                     console.warn(`Failed to load sound: ${name}`, err);
-                    resolve(null); // Don't reject, just continue without this sound
+                    resolve(this.synthesize(name, options)); // Don't reject, fall back to a stand-in
                 }
             );
         });
     }
 
-    play(name) {
+    /**
+     * Use a synthesized stand-in for a sound whose file couldn't be loaded (see synth.js)
+     */
+    synthesize(name, options) {
+        const synthesized = synthesizeSound(name, this.listener.context);
+        if (!synthesized) {
+            console.log(`Sound not available: ${name}`);
+            return null;
+        }
+        console.log(`Sound synthesized: ${name}`);
+        return this.addSound(name, synthesized.buffer, { ...options, ...synthesized.options }, { synthesized: true });
+    }
+
+    /**
+     * @param {Object} origin - { hash } of the file (keys the sprite cache) or { synthesized: true }
+     */
+    addSound(name, buffer, options, { hash = null, synthesized = false } = {}) {
+        const sound = this.createAudio(options);
+        sound.setBuffer(buffer);
+        sound.setVolume(options.volume || 1.0);
+        sound.setLoop(options.loop || false);
+        this.mixer.route(sound, options.bus || 'foley');
+
+        this.sounds[name] = {
+            sound: sound,
+            buffer: buffer,
+            options: options,
+            hash: hash,
+            synthesized: synthesized
+        };
+        return sound;
+    }
+
+    /**
+     * THREE.PositionalAudio for in-world sounds (options.positional), plain THREE.Audio for ambient beds
+     */
+    createAudio(options) {
+        if (!options.positional) {
+            return new THREE.Audio(this.listener);
+        }
+        const sound = new THREE.PositionalAudio(this.listener);
+        sound.setRefDistance(ROLLOFF.refDistance);
+        sound.setRolloffFactor(ROLLOFF.rolloffFactor);
+        sound.setMaxDistance(ROLLOFF.maxDistance);
+        return sound;
+    }
+
+    /**
+     * Put a positional sound where it's coming from
+     * @param {THREE.Object3D|THREE.Vector3|null} source - Object to follow, fixed world point,
+     *   or null for the player's mouth
+     */
+    placeEmitter(sound, source) {
+        if (source && source.isObject3D) {
+            source.add(sound);
+            sound.position.set(0, 0, 0);
+        } else if (source && this.scene) {
+            this.scene.add(sound);
+            sound.position.copy(source);
+        } else {
+            this.mouth.add(sound);
+            sound.position.set(0, 0, 0);
+        }
+    }
+
+    /**
+     * Play a named sound (restarting it unless it loops)
+     * @param source - Where it comes from, for positional sounds (see placeEmitter)
+     */
+    play(name, source = null) {
         const soundData = this.sounds[name];
         if (!soundData) return;
 
@@ -236,12 +271,15 @@ export class SoundManager {
         }
 
         if (!sound.isPlaying) {
-            // Apply offset and duration if specified
-            if (options.offset !== undefined) {
-                sound.offset = options.offset;
+            if (options.positional) {
+                this.placeEmitter(sound, source);
             }
-            if (options.duration !== undefined) {
-                sound.duration = options.duration;
+            // Play only part of the file if the manifest says so
+            if (options.range) {
+                sound.offset = options.range.start;
+                if (options.range.duration !== undefined) {
+                    sound.duration = options.range.duration;
+                }
             }
             sound.play();
         }
@@ -254,35 +292,49 @@ export class SoundManager {
         }
     }
 
-    // Play a random segment from the cup tap audio file
-    playCupTap() {
-        const soundData = this.sounds['cupTap'];
-        if (!soundData) return;
-
-        // Fallback if no sprites detected
-        if (this.cupTapSprites.length === 0) {
-            console.warn('No cup tap sprites detected, playing from start');
-            const sound = new THREE.Audio(this.listener);
-            sound.setBuffer(soundData.buffer);
-            sound.setVolume(soundData.options.volume || 0.5);
-            sound.duration = 0.5;
-            sound.play();
-            return;
-        }
+    /**
+     * Play a random sprite of an impact sample (overlapping plays allowed)
+     * @param {string} name - Sound with sprites ('cupTap', 'shard')
+     * @param {number} volume - Multiplier on the sample's own volume
+     * @param {number} rate - Playback rate (pitch)
+     * @param {THREE.Vector3} position - Where it hit (world space)
+     * @returns {boolean} false if the sample isn't available
+     */
+    playImpact(name, volume = 1, rate = 1, position = null) {
+        const soundData = this.sounds[name];
+        const sprites = this.sprites[name];
+        if (!soundData || !sprites || sprites.length === 0) return false;
 
-        // Pick a random sprite
-        const sprite = this.cupTapSprites[Math.floor(Math.random() * this.cupTapSprites.length)];
+        const sprite = sprites[Math.floor(Math.random() * sprites.length)];
+        this.playOneShot(soundData, sprite, position, { volume, rate });
+        return true;
+    }
 
-        // Create a new Audio instance for overlapping plays
-        const sound = new THREE.Audio(this.listener);
+    /**
+     * Play part of a sound on a throwaway emitter so plays can overlap
+     * @param {Object} sprite - { start, duration } within the buffer
+     * @param source - Where it comes from (see placeEmitter)
+     */
+    playOneShot(soundData, sprite, source = null, { volume = 1, rate = 1 } = {}) {
+        const sound = this.createAudio(soundData.options);
         sound.setBuffer(soundData.buffer);
-        sound.setVolume(soundData.options.volume || 0.5);
-
-        // Set the playback range
+        sound.setVolume((soundData.options.volume || 1.0) * volume);
+        sound.setPlaybackRate(rate);
+        this.mixer.route(sound, soundData.options.bus || 'foley');
         sound.offset = sprite.start;
         sound.duration = sprite.duration;
-
+        if (soundData.options.positional) {
+            this.placeEmitter(sound, source);
+        }
         sound.play();
+
+        // Unhook each one from the listener and the scene once it's done
+        const onEnded = sound.source.onended;
+        sound.source.onended = () => {
+            onEnded();
+            sound.gain.disconnect();
+            sound.removeFromParent();
+        };
     }
 
     // Play a random cough from the cough audio file
@@ -291,66 +343,90 @@ export class SoundManager {
         if (!soundData) return;
 
         // Fallback if no sprites detected
-        if (this.coughSprites.length === 0) {
+        const sprites = this.sprites['cough'] || [];
+        if (sprites.length === 0) {
             console.warn('No cough sprites detected, playing from start');
-            const sound = new THREE.Audio(this.listener);
-            sound.setBuffer(soundData.buffer);
-            sound.setVolume(soundData.options.volume || 0.8);
-            sound.duration = 0.8;
-            sound.play();
+            this.playOneShot(soundData, { start: 0, duration: 0.8 });
+            this.mixer.duck('ambience', { depth: 0.35, hold: 0.8 });
             return;
         }
 
-        // Pick a random sprite
-        const sprite = this.coughSprites[Math.floor(Math.random() * this.coughSprites.length)];
-
-        // Create a new Audio instance for overlapping plays
-        const sound = new THREE.Audio(this.listener);
-        sound.setBuffer(soundData.buffer);
-        sound.setVolume(soundData.options.volume || 0.8);
-
-        // Set the playback range
-        sound.offset = sprite.start;
-        sound.duration = sprite.duration;
-
-        sound.play();
+        // Pick a random sprite (from the mouth, overlapping plays allowed)
+        const sprite = sprites[Math.floor(Math.random() * sprites.length)];
+        this.playOneShot(soundData, sprite);
+        this.mixer.duck('ambience', { depth: 0.35, hold: sprite.duration });
     }
 
     playSip() {
+        if (!this.sounds['sip']) return;
         this.play('sip');
+        // Just enough to hear the slurp over the chatter
+        this.mixer.duck('ambience', { depth: 0.6, attack: 0.2, hold: 1.5, release: 1.5 });
     }
 
-    playSmoke() {
-        this.play('smoke');
+    /**
+     * Start the crackle
+     * @param {THREE.Object3D} tip - The burning end it follows
+     */
+    playSmoke(tip = null) {
+        this.play('smoke', tip);
+    }
+
+    /**
+     * Crackle louder the harder the draw
+     * @param {number} draw - 0-1
+     */
+    setSmokeDraw(draw) {
+        const soundData = this.sounds['smoke'];
+        if (soundData) {
+            soundData.sound.setVolume((soundData.options.volume || 1.0) * (0.3 + 0.7 * draw));
+        }
     }
 
     stopSmoke() {
         this.stop('smoke');
     }
 
-    playBreak() {
-        this.play('break');
+    /**
+     * @param {THREE.Vector3} point - Where the item hit
+     */
+    playBreak(point = null) {
+        if (!this.sounds['break']) return;
+        this.play('break', point);
+        this.mixer.duck('ambience', { depth: 0.3, attack: 0.02, hold: 0.6 });
     }
 
     startAmbient() {
-        this.play('ambient');
-        this.play('ambient2');
+        if (!this.ambience) {
+            const layers = Object.entries(AmbienceLayers)
+                .filter(([name]) => this.sounds[name])
+                .map(([name, layer]) => ({
+                    ...layer,
+                    buffer: this.sounds[name].buffer,
+                    volume: (this.sounds[name].options.volume || 1.0) * layer.level
+                }));
+            this.ambience = new AmbiencePlayer(this.mixer, layers);
+        }
+        this.ambience.start();
     }
 
     stopAmbient() {
-        const soundData = this.sounds['ambient'];
-        if (soundData && soundData.sound.isPlaying) {
-            soundData.sound.stop();
-        }
-        const soundData2 = this.sounds['ambient2'];
-        if (soundData2 && soundData2.sound.isPlaying) {
-            soundData2.sound.stop();
+        if (this.ambience) {
+            this.ambience.stop();
         }
     }
 
     isAmbientPlaying() {
-        const soundData = this.sounds['ambient'];
-        return soundData && soundData.sound.isPlaying;
+        return !!this.ambience && this.ambience.isPlaying;
+    }
+
+    /**
+     * Keep the ambience schedule going (call every frame)
+     */
+    update() {
+        if (this.ambience) {
+            this.ambience.update();
+        }
     }
 
     setVolume(name, volume) {
@@ -363,4 +439,24 @@ export class SoundManager {
     setMasterVolume(volume) {
         this.listener.setMasterVolume(volume);
     }
+
+    setBusVolume(bus, volume) {
+        this.mixer.setVolume(bus, volume);
+    }
+
+    setBusMuted(bus, muted) {
+        this.mixer.setMuted(bus, muted);
+    }
+
+    /**
+     * Freeze everything that's playing (pause menu)
+     */
+    setPaused(paused) {
+        const context = this.listener.context;
+        if (paused && context.state === 'running') {
+            context.suspend();
+        } else if (!paused && context.state === 'suspended' && this.contextResumed) {
+            context.resume();
+        }
+    }
 }
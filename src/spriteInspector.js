@@ -0,0 +1,181 @@
+import { detectPeaks, DetectDefaults } from './audioSprites.js';
+
+// detectPeaks settings shown as inputs, with their step sizes
+const DETECT_FIELDS = {
+    threshold: 0.005,
+    endThreshold: 0.005,
+    minGap: 0.05,
+    minDuration: 0.05,
+    maxDuration: 0.05
+};
+
+/**
+ * F4 audio sprite inspector
+ * Draws a sound's waveform with its sprites shaded, re-runs detection as the
+ * settings are edited, and plays a sprite when it's clicked. Apply uses the
+ * new sprites for this session; Copy puts the sounds.json "sprites" entry on
+ * the clipboard to make it permanent
+ */
+export class SpriteInspector {
+    constructor(sounds) {
+        this.sounds = sounds;
+        this.enabled = false;
+        this.name = null;
+        this.sprites = [];
+
+        this.element = document.getElementById('sprite-inspector');
+        this.select = this.element.querySelector('.inspector-sound');
+        this.canvas = this.element.querySelector('canvas');
+        this.info = this.element.querySelector('.inspector-info');
+        this.fields = this.element.querySelector('.inspector-fields');
+
+        this.inputs = {};
+        for (const [field, step] of Object.entries(DETECT_FIELDS)) {
+            const label = document.createElement('label');
+            label.textContent = field;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = String(step);
+            input.min = '0';
+            input.addEventListener('input', () => this.detect());
+            label.appendChild(input);
+            this.fields.appendChild(label);
+            this.inputs[field] = input;
+        }
+        this.skipInput = this.element.querySelector('.inspector-skip');
+        this.skipInput.addEventListener('input', () => this.detect());
+
+        this.select.addEventListener('change', () => this.show(this.select.value));
+        this.canvas.addEventListener('click', (event) => this.onCanvasClick(event));
+        this.element.querySelector('.inspector-apply').addEventListener('click', () => this.apply());
+        this.element.querySelector('.inspector-copy').addEventListener('click', () => this.copy());
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    onKeyDown(event) {
+        if (event.key !== 'F4') return;
+        event.preventDefault();
+        this.setEnabled(!this.enabled);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.element.classList.toggle('hidden', !enabled);
+        if (enabled) {
+            this.populate();
+        }
+    }
+
+    // Sounds that have sprites (the list can change until loading finishes)
+    populate() {
+        const names = Object.keys(this.sounds.sprites);
+        this.select.replaceChildren(...names.map(name => new Option(name, name)));
+        if (names.length === 0) {
+            this.info.textContent = 'No sounds with sprites loaded';
+            return;
+        }
+        this.show(names.includes(this.name) ? this.name : names[0]);
+    }
+
+    show(name) {
+        this.name = name;
+        this.select.value = name;
+
+        const spec = this.sounds.sounds[name].options.sprites;
+        const detect = { ...DetectDefaults, ...(Array.isArray(spec) ? {} : spec.detect) };
+        for (const [field, input] of Object.entries(this.inputs)) {
+            input.value = String(detect[field]);
+        }
+        this.skipInput.value = String((!Array.isArray(spec) && spec.skip) || 0);
+
+        this.sprites = this.sounds.sprites[name];
+        this.draw();
+    }
+
+    getDetectSettings() {
+        const detect = {};
+        for (const [field, input] of Object.entries(this.inputs)) {
+            detect[field] = Number(input.value);
+        }
+        return detect;
+    }
+
+    detect() {
+        const soundData = this.sounds.sounds[this.name];
+        if (!soundData) return;
+        this.sprites = detectPeaks(soundData.buffer, this.getDetectSettings()).slice(Number(this.skipInput.value) || 0);
+        this.draw();
+    }
+
+    /**
+     * Waveform (peak per pixel column) with the sprites shaded over it
+     */
+    draw() {
+        const soundData = this.sounds.sounds[this.name];
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const data = soundData.buffer.getChannelData(0);
+        const duration = soundData.buffer.duration;
+        const samplesPerPixel = Math.max(1, Math.floor(data.length / width));
+
+        ctx.fillStyle = 'rgba(255, 170, 60, 0.25)';
+        ctx.strokeStyle = 'rgba(255, 170, 60, 0.9)';
+        this.sprites.forEach((sprite, i) => {
+            const x = sprite.start / duration * width;
+            const w = Math.max(1, sprite.duration / duration * width);
+            ctx.fillRect(x, 0, w, height);
+            ctx.strokeRect(x, 0, w, height);
+            ctx.fillStyle = 'rgba(255, 170, 60, 0.9)';
+            ctx.fillText(String(i + 1), x + 2, 10);
+            ctx.fillStyle = 'rgba(255, 170, 60, 0.25)';
+        });
+
+        ctx.fillStyle = '#9cf';
+        for (let x = 0; x < width; x++) {
+            let peak = 0;
+            const start = x * samplesPerPixel;
+            for (let i = start; i < Math.min(start + samplesPerPixel, data.length); i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+            const h = peak * height;
+            ctx.fillRect(x, (height - h) / 2, 1, Math.max(1, h));
+        }
+
+        const origin = soundData.synthesized ? 'synthesized' : (soundData.hash ? `sha256 ${soundData.hash.slice(0, 12)}` : 'not hashed');
+        this.info.textContent = `${this.sprites.length} sprites · ${duration.toFixed(2)}s · ${origin} · click a sprite to play it`;
+    }
+
+    onCanvasClick(event) {
+        const soundData = this.sounds.sounds[this.name];
+        const rect = this.canvas.getBoundingClientRect();
+        const time = (event.clientX - rect.left) / rect.width * soundData.buffer.duration;
+        const sprite = this.sprites.find(s => time >= s.start && time <= s.start + s.duration);
+        if (sprite) {
+            this.sounds.playOneShot(soundData, sprite);
+        }
+    }
+
+    apply() {
+        this.sounds.sprites[this.name] = this.sprites;
+        console.log(`${this.name}: using ${this.sprites.length} inspected sprites for this session`);
+    }
+
+    copy() {
+        const entry = { detect: this.getDetectSettings() };
+        const skip = Number(this.skipInput.value) || 0;
+        if (skip > 0) {
+            entry.skip = skip;
+        }
+        const json = JSON.stringify({ sprites: entry });
+        console.log(`sounds.json "${this.name}":`, json);
+        navigator.clipboard?.writeText(json).catch(e => console.warn('Clipboard unavailable:', e));
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+    }
+}
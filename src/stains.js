@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+
+/**
+ * Coffee stains and ash smudges left on the table and floor
+ * One layer is shared by every cup, so stains outlive the cup (and liquid) that spilled them
+ */
+export class StainLayer {
+    constructor(scene) {
+        this.scene = scene;
+
+        this.stains = [];
+        this.maxStains = 300;        // Allow many stains for big spills
+        this.dryTime = 5.0;          // Seconds to fully dry and form coffee ring
+
+        // Create coffee ring shader material (drying effect over time)
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uColor: { value: new THREE.Color(0x8b6914) }, // Lighter coffee brown
+                uOpacity: { value: 0.4 },
+                uDryness: { value: 0.0 } // 0 = fresh, 1 = fully dried with ring
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 uColor;
+                uniform float uOpacity;
+                uniform float uDryness;
+                varying vec2 vUv;
+
+                void main() {
+                    vec2 centered = vUv - 0.5;
+                    float dist = length(centered) * 2.0;
+
+                    // Edge fades
+                    float innerFade = smoothstep(0.0, 0.4, dist);
+                    float outerFade = 1.0 - smoothstep(0.85, 1.0, dist);
+                    float ringDark = smoothstep(0.5, 0.85, dist);
+
+                    // Coffee ring develops as stain dries
+                    // Fresh: uniform color, Dry: dark edges, light center
+                    float ringEffect = ringDark * uDryness;
+                    vec3 finalColor = uColor * (1.0 - ringEffect * 0.4);
+
+                    // Center becomes more transparent as it dries
+                    float centerFade = mix(1.0, 0.3 + ringDark * 0.7, uDryness);
+                    float alpha = uOpacity * innerFade * outerFade * centerFade;
+
+                    gl_FragColor = vec4(finalColor, alpha);
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
+        this.material.polygonOffset = true;
+        this.material.polygonOffsetFactor = -1;
+    }
+
+    /**
+     * Create organic ellipse geometry with noise-distorted edges
+     * @param phases - three lobe phase offsets (random when omitted)
+     */
+    createOrganicEllipseGeometry(radiusX, radiusY, phases, segments = 32) {
+        const shape = new THREE.Shape();
+        const [phase1, phase2, phase3] = phases;
+
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+
+            // Low frequency, high amplitude for smooth organic blobs
+            const noise1 = Math.sin(angle * 1 + phase1) * 0.35;  // 1 lobe
+            const noise2 = Math.sin(angle * 2 + phase2) * 0.25;  // 2 lobes
+            const noise3 = Math.sin(angle * 3 + phase3) * 0.15;  // 3 lobes
+            const noiseScale = 1 + noise1 + noise2 + noise3;
+
+            const px = Math.cos(angle) * radiusX * noiseScale;
+            const py = Math.sin(angle) * radiusY * noiseScale;
+
+            if (i === 0) {
+                shape.moveTo(px, py);
+            } else {
+                shape.lineTo(px, py);
+            }
+        }
+
+        const geometry = new THREE.ShapeGeometry(shape);
+
+        // Generate UVs based on position (for shader)
+        const pos = geometry.attributes.position;
+        const uvs = new Float32Array(pos.count * 2);
+        for (let i = 0; i < pos.count; i++) {
+            // Map position to 0-1 UV range
+            uvs[i * 2] = (pos.getX(i) / radiusX + 1) * 0.5;
+            uvs[i * 2 + 1] = (pos.getY(i) / radiusY + 1) * 0.5;
+        }
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+
+        return geometry;
+    }
+
+    /**
+     * Leave a randomly shaped stain where a droplet landed
+     */
+    createStain(x, y, z) {
+        // Skip stains on top of the ashtray
+        const ashtrayX = 0.26, ashtrayZ = -0.25, ashtrayRadius = 0.08;
+        const distToAshtray = Math.sqrt((x - ashtrayX) ** 2 + (z - ashtrayZ) ** 2);
+        if (y > 0.5 && distToAshtray < ashtrayRadius) {
+            return; // Don't stain on ashtray
+        }
+
+        // Snap stain Y to nearest surface (table at ~0.77, ground at 0)
+        const tableHeight = 0.77;
+        const groundHeight = 0.001;
+        const stainY = y > 0.5 ? tableHeight : groundHeight;
+
+        // Random ellipse dimensions with large variation
+        // Weighted random: mostly small, occasionally big splashes
+        const sizeRoll = Math.random();
+        let baseSize;
+        if (sizeRoll < 0.6) {
+            baseSize = 0.005 + Math.random() * 0.005; // Small (60%)
+        } else if (sizeRoll < 0.85) {
+            baseSize = 0.01 + Math.random() * 0.008; // Medium (25%)
+        } else {
+            baseSize = 0.015 + Math.random() * 0.015; // Large - up to 3x (15%)
+        }
+        const aspectRatio = 0.5 + Math.random() * 1.0; // 0.5 to 1.5 for more elongation
+
+        // Color variation (coffee browns)
+        const baseColor = new THREE.Color(0x8b6914);
+        const colorVariation = (Math.random() - 0.5) * 0.1;
+
+        this.addStain({
+            position: [x, stainY, z],
+            radiusX: baseSize,
+            radiusY: baseSize * aspectRatio,
+            phases: [Math.random() * Math.PI * 2, Math.random() * Math.PI * 2, Math.random() * Math.PI * 2],
+            rotation: Math.random() * Math.PI * 2,
+            scale: 0.8 + Math.random() * 0.5,
+            color: [
+                Math.max(0.2, baseColor.r + colorVariation),
+                Math.max(0.1, baseColor.g + colorVariation * 0.8),
+                Math.max(0, baseColor.b + colorVariation * 0.5)
+            ],
+            opacity: 0.35 + Math.random() * 0.15,
+            age: 0
+        });
+    }
+
+    /**
+     * Leave a grey smudge where a flake of ash settled
+     * Unlike coffee it never dries into a ring
+     * @param size - Rough radius of the flake (meters)
+     */
+    createAshStain(x, y, z, size) {
+        const shade = 0.45 + Math.random() * 0.2;
+        this.addStain({
+            kind: 'ash',
+            position: [x, y, z],
+            radiusX: size * (1 + Math.random()),
+            radiusY: size * (0.7 + Math.random() * 0.6),
+            phases: [Math.random() * Math.PI * 2, Math.random() * Math.PI * 2, Math.random() * Math.PI * 2],
+            rotation: Math.random() * Math.PI * 2,
+            scale: 1,
+            color: [shade, shade * 0.98, shade * 0.95],
+            opacity: 0.5 + Math.random() * 0.2,
+            age: 0
+        });
+    }
+
+    /**
+     * Add a stain from its full description (also used when restoring a save)
+     */
+    addStain(params) {
+        // Remove oldest stain if at max
+        if (this.stains.length >= this.maxStains) {
+            this.removeStain(this.stains.shift());
+        }
+
+        const geometry = this.createOrganicEllipseGeometry(params.radiusX, params.radiusY, params.phases);
+
+        const stainMat = this.material.clone();
+        stainMat.uniforms = {
+            uColor: { value: new THREE.Color(...params.color) },
+            uOpacity: { value: params.opacity },
+            uDryness: { value: params.kind === 'ash' ? 0 : Math.min(1.0, params.age / this.dryTime) }
+        };
+
+        const mesh = new THREE.Mesh(geometry, stainMat);
+        mesh.position.set(...params.position);
+        mesh.rotation.x = -Math.PI / 2; // Flat on surface
+        mesh.rotation.z = params.rotation;
+        mesh.scale.setScalar(params.scale);
+        this.scene.add(mesh);
+        this.stains.push({ mesh, params, age: params.age }); // Track age for drying effect
+    }
+
+    removeStain(stain) {
+        this.scene.remove(stain.mesh);
+        stain.mesh.geometry.dispose();
+        stain.mesh.material.dispose();
+    }
+
+    update(deltaTime) {
+        for (const stain of this.stains) {
+            if (stain.params.kind !== 'ash' && stain.age < this.dryTime) {
+                stain.age += deltaTime;
+                stain.mesh.material.uniforms.uDryness.value = Math.min(1.0, stain.age / this.dryTime);
+            }
+        }
+    }
+
+    /**
+     * Plain-data description of every stain (for saving)
+     */
+    serialize() {
+        return this.stains.map(s => ({ ...s.params, age: s.age }));
+    }
+
+    /**
+     * Replace all stains with saved ones
+     */
+    restore(stains) {
+        this.clear();
+        for (const params of stains) {
+            this.addStain(params);
+        }
+    }
+
+    clear() {
+        for (const s of this.stains) {
+            this.removeStain(s);
+        }
+        this.stains = [];
+    }
+
+    dispose() {
+        this.clear();
+        this.material.dispose();
+    }
+}
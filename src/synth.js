@@ -0,0 +1,395 @@
+/**
+ * Procedural stand-ins for the sound files
+ * Each generator renders an AudioBuffer shaped like the recording it
+ * replaces - several taps with gaps so sprite detection still finds them,
+ * loops that loop cleanly - so SoundManager uses it exactly like the file.
+ * Seeded, so a missing file always sounds the same
+ */
+
+/**
+ * Generators by sound name
+ * options override the sound's sounds.json entry (ranges and volumes are
+ * tuned to the files, not to these)
+ */
+const Generators = {
+    cupTap: { render: renderCupTaps, options: { volume: 0.5 } },
+    break: { render: renderBreak, options: { volume: 0.8 } },
+    sip: { render: renderSip, options: { volume: 0.6, range: null } },
+    smoke: { render: renderCrackle, options: { volume: 0.5, range: null } },
+    cough: { render: renderCoughs, options: { volume: 0.8 } },
+    ambient: { render: renderCafe, options: { volume: 0.35 } },
+    ambient2: { render: renderTraffic, options: { volume: 0.25 } }
+};
+
+/**
+ * Synthesize a named sound
+ * @param {string} name - SoundManager sound name
+ * @param {BaseAudioContext} context - Used for the sample rate and to create the buffer
+ * @returns {{ buffer: AudioBuffer, options: Object }|null} null if there's no generator
+ */
+export function synthesizeSound(name, context) {
+    const generator = Generators[name];
+    if (!generator) return null;
+
+    const random = seededRandom(hashName(name));
+    const buffer = generator.render(context, random);
+    return { buffer, options: generator.options };
+}
+
+// --- Sounds -----------------------------------------------------------------
+
+// Six taps of a mug on wood, half a second apart
+function renderCupTaps(context, random) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(1, Math.round(sampleRate * 3.2), sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < 6; i++) {
+        addCeramicHit(data, sampleRate, 0.1 + i * 0.5, random, {
+            amplitude: 0.6 + random() * 0.4,
+            pitch: 0.9 + random() * 0.2,
+            ring: 1
+        });
+    }
+    normalize(data, 0.8);
+    return buffer;
+}
+
+// One smash, then shards landing - the tinkles become the 'shard' impact sprites
+function renderBreak(context, random) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(1, Math.round(sampleRate * 2.8), sampleRate);
+    const data = buffer.getChannelData(0);
+
+    // Crunch: a burst of bright noise plus a cluster of detuned modes
+    const crunch = new Float32Array(Math.round(sampleRate * 0.3));
+    for (let i = 0; i < crunch.length; i++) {
+        crunch[i] = (random() * 2 - 1) * Math.exp(-i / (sampleRate * 0.06));
+    }
+    biquad(crunch, 'bandpass', 3500, 0.8, sampleRate);
+    mix(data, crunch, 0, 1.5);
+    for (let i = 0; i < 12; i++) {
+        addCeramicHit(data, sampleRate, random() * 0.12, random, {
+            amplitude: 0.3 + random() * 0.3,
+            pitch: 1.2 + random() * 1.5,
+            ring: 0.6
+        });
+    }
+
+    // Shards settling, each quieter than the last
+    let time = 0.55;
+    for (let i = 0; i < 10; i++) {
+        addCeramicHit(data, sampleRate, time, random, {
+            amplitude: 0.35 * (1 - i / 14),
+            pitch: 2 + random() * 2,
+            ring: 0.35
+        });
+        time += 0.12 + random() * 0.1;
+    }
+    normalize(data, 0.9);
+    return buffer;
+}
+
+// Two slurps (noise swept through a band-pass, bubbling) and a swallow
+function renderSip(context, random) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(1, Math.round(sampleRate * 1.6), sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (const [start, length] of [[0.05, 0.45], [0.6, 0.35]]) {
+        const slurp = new Float32Array(Math.round(sampleRate * length));
+        let bubble = 0;
+        for (let i = 0; i < slurp.length; i++) {
+            const t = i / slurp.length;
+            // Bubbling: amplitude jumps around at ~30 Hz
+            if (i % Math.round(sampleRate / 30) === 0) bubble = 0.4 + random() * 0.6;
+            slurp[i] = (random() * 2 - 1) * Math.sin(Math.PI * t) * bubble;
+        }
+        sweptBandpass(slurp, 700, 1800, 4, sampleRate);
+        mix(data, slurp, Math.round(start * sampleRate), 1);
+    }
+
+    // Swallow: a soft low thump
+    const swallowStart = Math.round(1.15 * sampleRate);
+    for (let i = 0; i < sampleRate * 0.2 && swallowStart + i < data.length; i++) {
+        const t = i / sampleRate;
+        data[swallowStart + i] += Math.sin(2 * Math.PI * 110 * t) * Math.exp(-t * 25) * 0.15;
+    }
+    normalize(data, 0.7);
+    return buffer;
+}
+
+// Burning paper: a low hiss with random crackles, loopable
+function renderCrackle(context, random) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(1, Math.round(sampleRate * 4), sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < data.length; i++) {
+        data[i] = (random() * 2 - 1) * 0.05;
+    }
+    biquad(data, 'lowpass', 2500, 0.7, sampleRate);
+
+    // Crackles arrive at random, ~25 a second, each a few milliseconds of bright noise
+    const crackleLength = Math.round(sampleRate * 0.004);
+    let time = 0;
+    while (true) {
+        time += -Math.log(1 - random()) / 25;
+        const start = Math.round(time * sampleRate);
+        if (start + crackleLength >= data.length) break;
+
+        const crackle = new Float32Array(crackleLength);
+        const amplitude = 0.2 + random() * 0.8;
+        for (let i = 0; i < crackleLength; i++) {
+            crackle[i] = (random() * 2 - 1) * amplitude * Math.exp(-i / (crackleLength * 0.25));
+        }
+        biquad(crackle, 'highpass', 2000, 0.7, sampleRate);
+        mix(data, crackle, start, 1);
+    }
+    normalize(data, 0.6);
+    return makeLoopable(context, buffer, 0.1);
+}
+
+// Three coughs, two seconds apart: a voiced bark through throat-ish formants
+function renderCoughs(context, random) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(1, Math.round(sampleRate * 6), sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let n = 0; n < 3; n++) {
+        const length = Math.round(sampleRate * (0.35 + random() * 0.15));
+        const pitch = 120 + random() * 40;
+        const noise = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            noise[i] = random() * 2 - 1;
+        }
+        const low = Float32Array.from(noise);
+        const high = Float32Array.from(noise);
+        biquad(low, 'bandpass', 500 + random() * 100, 2, sampleRate);
+        biquad(high, 'bandpass', 1400 + random() * 300, 3, sampleRate);
+
+        const cough = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            const envelope = Math.min(1, t / 0.01) * Math.exp(-t * 9);
+            const voice = Math.sin(2 * Math.PI * pitch * t) * 0.3;
+            cough[i] = (low[i] + high[i] * 0.6 + voice) * envelope;
+        }
+        mix(data, cough, Math.round((0.2 + n * 2) * sampleRate), 1);
+    }
+    normalize(data, 0.8);
+    return buffer;
+}
+
+// Cafe room tone: murmuring voices (low noise with syllable-rate swells) and the odd clink
+function renderCafe(context, random) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(2, Math.round(sampleRate * 8.5), sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = random() * 2 - 1;
+        }
+        biquad(data, 'bandpass', 450, 0.6, sampleRate);
+
+        // A few overlapping "voices", each swelling 3-5 times a second
+        const voices = Array.from({ length: 4 }, () => ({
+            rate: 3 + random() * 2,
+            phase: random() * Math.PI * 2
+        }));
+        for (let i = 0; i < data.length; i++) {
+            const t = i / sampleRate;
+            let level = 0;
+            for (const voice of voices) {
+                level += Math.max(0, Math.sin(2 * Math.PI * voice.rate * t + voice.phase));
+            }
+            data[i] *= 0.3 + level * 0.25;
+        }
+
+        for (let i = 0; i < 3; i++) {
+            addCeramicHit(data, sampleRate, random() * 8, random, {
+                amplitude: 0.15,
+                pitch: 1 + random(),
+                ring: 0.5
+            });
+        }
+        normalize(data, 0.5);
+    }
+    return makeLoopable(context, buffer, 0.5);
+}
+
+// Street traffic: a low rumble with cars swelling past
+function renderTraffic(context, random) {
+    const sampleRate = context.sampleRate;
+    const buffer = context.createBuffer(2, Math.round(sampleRate * 10.5), sampleRate);
+    const passes = Array.from({ length: 3 }, () => ({ time: 1 + random() * 8, width: 0.8 + random() * 0.8 }));
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = random() * 2 - 1;
+        }
+        biquad(data, 'lowpass', 280, 0.7, sampleRate);
+
+        for (let i = 0; i < data.length; i++) {
+            const t = i / sampleRate;
+            let level = 0.35;
+            for (const pass of passes) {
+                level += Math.exp(-((t - pass.time) ** 2) / (2 * pass.width ** 2));
+            }
+            data[i] *= level;
+        }
+        normalize(data, 0.5);
+    }
+    return makeLoopable(context, buffer, 0.5);
+}
+
+// --- Building blocks --------------------------------------------------------
+
+/**
+ * Modal ceramic hit: a few inharmonic decaying partials plus a click
+ * @param {Object} hit - { amplitude, pitch (multiplier), ring (decay multiplier) }
+ */
+function addCeramicHit(data, sampleRate, time, random, { amplitude, pitch, ring }) {
+    const start = Math.round(time * sampleRate);
+    const modes = [
+        { freq: 1850, decay: 0.09, gain: 1 },
+        { freq: 3150, decay: 0.06, gain: 0.6 },
+        { freq: 4700, decay: 0.04, gain: 0.4 },
+        { freq: 6900, decay: 0.025, gain: 0.25 }
+    ];
+
+    for (const mode of modes) {
+        const freq = mode.freq * pitch * (0.97 + random() * 0.06);
+        const decay = mode.decay * ring;
+        const length = Math.min(Math.round(decay * 6 * sampleRate), data.length - start);
+        const phase = random() * Math.PI * 2;
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            data[start + i] += Math.sin(2 * Math.PI * freq * t + phase) * Math.exp(-t / decay) * mode.gain * amplitude;
+        }
+    }
+
+    // Contact click
+    const clickLength = Math.min(Math.round(sampleRate * 0.003), data.length - start);
+    for (let i = 0; i < clickLength; i++) {
+        data[start + i] += (random() * 2 - 1) * amplitude * 0.5 * (1 - i / clickLength);
+    }
+}
+
+/**
+ * RBJ biquad filter, in place
+ * @param {string} type - 'lowpass', 'highpass' or 'bandpass'
+ */
+function biquad(data, type, freq, q, sampleRate) {
+    const w = 2 * Math.PI * freq / sampleRate;
+    const alpha = Math.sin(w) / (2 * q);
+    const cos = Math.cos(w);
+
+    let b0, b1, b2;
+    if (type === 'lowpass') {
+        b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = (1 - cos) / 2;
+    } else if (type === 'highpass') {
+        b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2;
+    } else {
+        b0 = alpha; b1 = 0; b2 = -alpha;
+    }
+    const a0 = 1 + alpha;
+    const a1 = -2 * cos;
+    const a2 = 1 - alpha;
+
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < data.length; i++) {
+        const x = data[i];
+        const y = (b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2) / a0;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        data[i] = y;
+    }
+}
+
+// Band-pass whose centre glides from one frequency to another (recomputed per block)
+function sweptBandpass(data, fromFreq, toFreq, q, sampleRate) {
+    const block = 256;
+    const out = new Float32Array(data.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+    for (let start = 0; start < data.length; start += block) {
+        const freq = fromFreq + (toFreq - fromFreq) * (start / data.length);
+        const w = 2 * Math.PI * freq / sampleRate;
+        const alpha = Math.sin(w) / (2 * q);
+        const a0 = 1 + alpha;
+        const a1 = -2 * Math.cos(w);
+        const a2 = 1 - alpha;
+
+        for (let i = start; i < Math.min(start + block, data.length); i++) {
+            const x = data[i];
+            const y = (alpha * x - alpha * x2 - a1 * y1 - a2 * y2) / a0;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+            out[i] = y;
+        }
+    }
+    data.set(out);
+}
+
+function mix(data, source, offset, gain) {
+    const length = Math.min(source.length, data.length - offset);
+    for (let i = 0; i < length; i++) {
+        data[offset + i] += source[i] * gain;
+    }
+}
+
+function normalize(data, peak) {
+    let max = 0;
+    for (let i = 0; i < data.length; i++) {
+        max = Math.max(max, Math.abs(data[i]));
+    }
+    if (max === 0) return;
+    const scale = peak / max;
+    for (let i = 0; i < data.length; i++) {
+        data[i] *= scale;
+    }
+}
+
+/**
+ * Crossfade the tail into the head so the buffer loops without a click
+ * @returns {AudioBuffer} A buffer shorter by the fade
+ */
+function makeLoopable(context, buffer, fadeSeconds) {
+    const fade = Math.round(fadeSeconds * buffer.sampleRate);
+    const length = buffer.length - fade;
+    const looped = context.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const source = buffer.getChannelData(channel);
+        const target = looped.getChannelData(channel);
+        target.set(source.subarray(0, length));
+        for (let i = 0; i < fade; i++) {
+            const t = i / fade;
+            target[i] = source[i] * t + source[length + i] * (1 - t);
+        }
+    }
+    return looped;
+}
+
+// mulberry32
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashName(name) {
+    let hash = 2166136261;
+    for (let i = 0; i < name.length; i++) {
+        hash = Math.imul(hash ^ name.charCodeAt(i), 16777619);
+    }
+    return hash;
+}
@@ -0,0 +1,48 @@
+// Simulation rate - physics, liquid and grab effects all advance in steps of this size
+export const FIXED_TIMESTEP = 1 / 60;
+
+/**
+ * Fixed-step accumulator
+ * Turns variable frame deltas into a whole number of fixed steps, so the
+ * simulation behaves the same at 30 fps and at 144 Hz
+ */
+export class FixedTimestep {
+    constructor(step = FIXED_TIMESTEP, maxSubSteps = 5) {
+        this.step = step;
+        this.maxSubSteps = maxSubSteps; // Per frame - avoids a spiral of death after a long hitch
+        this.accumulator = 0;
+        this.time = 0;                  // Simulated seconds so far
+    }
+
+    /**
+     * Run as many fixed steps as the elapsed time allows
+     * @param {number} deltaTime - Real seconds since last frame
+     * @param {Function} stepFn - Called with the fixed step size
+     * @returns {number} Number of steps taken
+     */
+    advance(deltaTime, stepFn) {
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.step && steps < this.maxSubSteps) {
+            stepFn(this.step);
+            this.accumulator -= this.step;
+            this.time += this.step;
+            steps++;
+        }
+
+        // Too far behind - drop the backlog instead of trying to catch up
+        if (steps === this.maxSubSteps) {
+            this.accumulator = Math.min(this.accumulator, this.step);
+        }
+        return steps;
+    }
+}
+
+/**
+ * Convert a per-frame lerp factor tuned at 60 fps into the factor for any delta
+ * e.g. lerp(target, frameDamp(0.15, dt)) closes the same gap per second at any frame rate
+ */
+export function frameDamp(factor, deltaTime) {
+    return 1 - Math.pow(1 - factor, deltaTime / FIXED_TIMESTEP);
+}
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readManifest, findProblems } from '../scripts/assets.js';
+
+test('assets.json sizes and hashes match the files', () => {
+    assert.deepEqual(findProblems(readManifest()), [], 'run npm run assets');
+});
+
+test('every required asset is hashed', () => {
+    for (const entry of readManifest().assets.filter(e => e.required)) {
+        assert.match(entry.sha256 ?? '', /^[0-9a-f]{64}$/, entry.url);
+    }
+});
@@ -0,0 +1,249 @@
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { launch, openGame, advance, firstEntityId, grab, dragToMouth } from './helpers/game.js';
+
+describe('cafe table', { timeout: 120000 }, () => {
+    let env;
+    let page;
+
+    before(async () => {
+        env = await launch();
+    });
+
+    after(async () => {
+        await env?.close();
+    });
+
+    beforeEach(async () => {
+        page = await openGame(env);
+    });
+
+    afterEach(async () => {
+        assert.deepEqual(page.errors.map(e => e.message), [], 'page threw errors');
+        await page.close();
+    });
+
+    /**
+     * Drop the cup from a height onto the floor, away from the table
+     */
+    async function dropCupOnFloor(cupId, height) {
+        await page.evaluate((id, h) => {
+            const { game } = window;
+            const entity = game.entities.get(id);
+            game.physics.setBodyState(entity.mesh, {
+                position: [-1.5, h, 0.5],
+                quaternion: [0, 0, 0, 1]
+            });
+        }, cupId, height);
+        await advance(page, 2);
+        return page.evaluate(id => window.game.entities.get(id) === undefined, cupId);
+    }
+
+    test('cups break at impact speeds above 2.0', async () => {
+        const threshold = await page.evaluate(() => window.game.entities.ofKind('cup')[0].definition.breakThreshold);
+        assert.equal(threshold, 2.0);
+
+        // ~1.4 m/s on impact - survives
+        const cupId = await firstEntityId(page, 'cup');
+        assert.equal(await dropCupOnFloor(cupId, 0.14), false, 'low drop should not break the cup');
+
+        // ~4 m/s on impact - shatters
+        assert.equal(await dropCupOnFloor(cupId, 0.85), true, 'high drop should break the cup');
+    });
+
+    test('a cup released on the table does not break', async () => {
+        const cupId = await firstEntityId(page, 'cup');
+        const from = await grab(page, cupId);
+
+        // Lift it a little and let go
+        await page.mouse.move(from.x + 10, from.y - 10);
+        await advance(page, 0.2);
+        await page.mouse.up();
+        await advance(page, 2);
+
+        const state = await page.evaluate(id => {
+            const entity = window.game.entities.get(id);
+            return entity && { y: entity.mesh.position.y, grabbed: window.game.physics.isGrabbing() };
+        }, cupId);
+        assert.ok(state, 'cup broke');
+        assert.equal(state.grabbed, false);
+        assert.ok(state.y > 0.7, `cup fell off the table (y = ${state.y})`);
+    });
+
+    test('a drag burns the cigarette as it is inhaled', async () => {
+        const cigaretteId = await firstEntityId(page, 'cigarette');
+        const litAt = await page.evaluate(id => {
+            const { game } = window;
+            game.cigarettes.light(game.entities.get(id));
+            return game.physics.time;
+        }, cigaretteId);
+        const from = await grab(page, cigaretteId);
+        assert.equal(await dragToMouth(page, from), true, 'cigarette never reached the mouth');
+
+        const smoking = () => page.evaluate(id => ({
+            burnLevel: window.game.entities.get(id).burnLevel,
+            lungs: window.game.breathing.lungs,
+            time: window.game.physics.time,
+            passiveBurn: window.game.cigarettes.profile.passiveBurn
+        }), cigaretteId);
+
+        // 0.08 of the cigarette per drag of smoke inhaled, on top of burning by itself
+        await advance(page, 0.5);
+        const short = await smoking();
+        assert.ok(short.lungs > 0, 'nothing was inhaled');
+        const passive = (1 - short.burnLevel) - short.lungs * 0.08;
+        assert.ok(passive > 0 && passive <= short.passiveBurn * (short.time - litAt) + 1e-9, `burn level is ${short.burnLevel}`);
+
+        // Keeps burning while held at the lips
+        await advance(page, 1);
+        const long = await smoking();
+        assert.ok(long.lungs > short.lungs, 'inhale stopped building');
+        assert.ok(long.burnLevel < short.burnLevel, 'cigarette stopped burning');
+
+        // Moving it away breathes the smoke out
+        await page.mouse.move(from.x, from.y);
+        await advance(page, 3);
+        assert.equal(await page.evaluate(() => window.game.breathing.lungs), 0, 'smoke was never exhaled');
+
+        await page.mouse.up();
+    });
+
+    test('the lighter lights a cigarette drawn on at the lips', async () => {
+        const cigaretteId = await firstEntityId(page, 'cigarette');
+        const cigarette = () => page.evaluate(id => {
+            const entity = window.game.entities.get(id);
+            return { state: entity.cigaretteState, burnLevel: entity.burnLevel, lighter: window.game.lighter.isOn };
+        }, cigaretteId);
+
+        const from = await grab(page, cigaretteId);
+        assert.equal(await dragToMouth(page, from), true, 'cigarette never reached the mouth');
+
+        // Without a flame nothing happens
+        await advance(page, 1);
+        assert.deepEqual(await cigarette(), { state: 'unlit', burnLevel: 1, lighter: false });
+
+        await page.keyboard.down('l');
+        await advance(page, 1.5);
+        const lit = await cigarette();
+        assert.equal(lit.state, 'lit');
+        assert.equal(lit.lighter, false, 'lighter was not put away');
+        await page.keyboard.up('l');
+
+        await page.mouse.up();
+    });
+
+    test('a lit cigarette burns down to a butt that stays on the table', async () => {
+        const cigaretteId = await firstEntityId(page, 'cigarette');
+        await page.evaluate(id => {
+            const { game } = window;
+            const entity = game.entities.get(id);
+            game.cigarettes.light(entity);
+            entity.burnLevel = 0.21;
+        }, cigaretteId);
+        await advance(page, 4);
+
+        const butt = await page.evaluate(id => {
+            const entity = window.game.entities.get(id);
+            return entity && { state: entity.cigaretteState, burnLevel: entity.burnLevel };
+        }, cigaretteId);
+        assert.ok(butt, 'butt was removed');
+        assert.equal(butt.state, 'extinguished');
+        assert.ok(Math.abs(butt.burnLevel - 0.2) < 1e-9, `burn level is ${butt.burnLevel}`);
+    });
+
+    test('a moving item drags the air around it along', async () => {
+        const cupId = await firstEntityId(page, 'cup');
+        await page.evaluate(id => {
+            window.game.entities.get(id).body.velocity.set(1, 0, 0);
+        }, cupId);
+        await advance(page, 0.05);
+
+        const air = await page.evaluate(id => {
+            const { game } = window;
+            const mesh = game.entities.get(id).mesh;
+            return game.flow.sample(mesh.position, mesh.position.clone()).x;
+        }, cupId);
+        assert.ok(air > 0.1, `air around the cup moves at ${air}`);
+    });
+
+    test('drinking at the mouth takes coffee out of the cup', async () => {
+        const cupId = await firstEntityId(page, 'cup');
+        const from = await grab(page, cupId);
+        assert.equal(await dragToMouth(page, from), true, 'cup never reached the mouth');
+        await advance(page, 3);
+
+        const { left, caffeine } = await page.evaluate(id => ({
+            left: window.game.entities.get(id).liquid.getLiquidPercentage(),
+            caffeine: window.game.intoxication.getLevel('caffeine')
+        }), cupId);
+        assert.ok(left < 1, 'no coffee was drunk');
+        assert.ok(caffeine > 0, 'drinking gave no caffeine');
+
+        await page.mouse.up();
+    });
+
+    test('a saved table comes back as it was', async () => {
+        // The parts of the table a save should bring back
+        const table = () => page.evaluate(() => {
+            const { game } = window;
+            const cup = game.entities.ofKind('cup')[0];
+            const cigarette = game.entities.ofKind('cigarette')[0];
+            return {
+                cupPosition: game.physics.getBodyState(cup.mesh).position.map(v => +v.toFixed(6)),
+                level: +cup.liquid.getLiquidPercentage().toFixed(6),
+                burnLevel: cigarette.burnLevel,
+                cigaretteState: cigarette.cigaretteState,
+                stains: game.stains.serialize().length,
+                caffeine: game.intoxication.getLevel('caffeine')
+            };
+        });
+
+        const doc = await page.evaluate(() => {
+            const { game } = window;
+            const cup = game.entities.ofKind('cup')[0];
+            const cigarette = game.entities.ofKind('cigarette')[0];
+            game.physics.setBodyState(cup.mesh, { position: [0.1, 0.8, 0.05], quaternion: [0, 0, 0, 1] });
+            cup.liquid.restore({ level: 0.6 });
+            cigarette.burnLevel = 0.7;
+            game.hands.burnCigarette(cigarette, 0);
+            game.stains.createStain(-0.1, 0.76, 0.1);
+            game.intoxication.restore({ caffeine: { level: 0.4 } });
+            return game.saves.snapshot();
+        });
+        const saved = await table();
+
+        // Mess the table up
+        await page.evaluate(() => {
+            const { game } = window;
+            const cup = game.entities.ofKind('cup')[0];
+            const cigarette = game.entities.ofKind('cigarette')[0];
+            game.physics.setBodyState(cup.mesh, { position: [-0.2, 0.8, -0.1], quaternion: [0, 0, 0, 1] });
+            cup.liquid.restore({ level: 0.1 });
+            game.cigarettes.light(cigarette);
+            cigarette.burnLevel = 0.4;
+            game.stains.createStain(0.1, 0.76, -0.1);
+            game.intoxication.dose('caffeine', 1);
+            game.intoxication.update(30);
+        });
+        assert.notDeepEqual(await table(), saved);
+
+        await page.evaluate(doc => window.game.saves.restore(doc), doc);
+        assert.deepEqual(await table(), saved);
+    });
+
+    test('spawning a coffee restores the meter', async () => {
+        const meterWidth = () => page.evaluate(() =>
+            window.game.activeCup.meter.querySelector('.meter-fill').style.width
+        );
+
+        // Empty the current cup
+        await page.evaluate(() => window.game.activeCup.liquid.restore({ level: 0 }));
+        await advance(page, 0.1);
+        assert.equal(await meterWidth(), '0%');
+
+        await page.click('#new-coffee-btn');
+        await page.waitForFunction(() => window.game.entities.ofKind('cup').length === 2);
+        await advance(page, 0.1);
+        assert.equal(await meterWidth(), '100%');
+    });
+});
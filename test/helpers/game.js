@@ -0,0 +1,118 @@
+import puppeteer from 'puppeteer';
+import { fileURLToPath } from 'node:url';
+import { startServer } from './server.js';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+
+/**
+ * Serve the repo and start headless Chromium with software WebGL (SwiftShader),
+ * so the tests run on machines without a GPU
+ */
+export async function launch() {
+    const server = await startServer(ROOT);
+
+    let browser;
+    try {
+        browser = await puppeteer.launch({
+            headless: true,
+            args: [
+                '--no-sandbox',
+                '--use-angle=swiftshader',
+                '--enable-unsafe-swiftshader',
+                '--autoplay-policy=no-user-gesture-required'
+            ]
+        });
+    } catch (e) {
+        await server.close(); // Don't leave the process hanging on the open port
+        throw e;
+    }
+
+    return {
+        server,
+        browser,
+        close: async () => {
+            await browser.close();
+            await server.close();
+        }
+    };
+}
+
+/**
+ * Open the game in test mode (?test): fresh table, exposed as window.game,
+ * and time only moves when a test calls advance()
+ * Modules come from vendor/ (?offline) so the tests don't need network
+ */
+export async function openGame(env) {
+    const page = await env.browser.newPage();
+    await page.setViewport({ width: 1024, height: 768 });
+
+    // Surface page errors in the test output
+    page.errors = [];
+    page.on('pageerror', error => page.errors.push(error));
+
+    await page.goto(`${env.server.url}/index.html?test&offline`);
+    await page.waitForFunction(() => window.game && window.game.isInitialized, { timeout: 60000 });
+    await page.waitForSelector('#loading-screen', { hidden: true });
+    return page;
+}
+
+/**
+ * Advance the simulation by some seconds (at a pretend frame rate)
+ */
+export function advance(page, seconds, frameRate = 60) {
+    return page.evaluate((s, fps) => window.game.advance(s, fps), seconds, frameRate);
+}
+
+/**
+ * Id of the first entity of a kind ('cup', 'cigarette', ...)
+ */
+export function firstEntityId(page, kind) {
+    return page.evaluate(k => window.game.entities.ofKind(k)[0]?.id, kind);
+}
+
+/**
+ * Where an entity is on screen, in CSS pixels
+ */
+export function screenPosition(page, entityId) {
+    return page.evaluate(id => {
+        const { game } = window;
+        const mesh = game.entities.get(id).mesh;
+        const projected = mesh.getWorldPosition(mesh.position.clone()).project(game.camera);
+        return {
+            x: (projected.x * 0.5 + 0.5) * window.innerWidth,
+            y: (-projected.y * 0.5 + 0.5) * window.innerHeight
+        };
+    }, entityId);
+}
+
+/**
+ * Grab an entity with the mouse (left button stays down)
+ */
+export async function grab(page, entityId) {
+    const { x, y } = await screenPosition(page, entityId);
+    await page.mouse.move(x, y);
+    await page.mouse.down();
+    await advance(page, 0.1);
+
+    const grabbedId = await page.evaluate(() => window.game.physics.getGrabbedEntity()?.id);
+    if (grabbedId !== entityId) {
+        throw new Error(`Expected to grab entity ${entityId}, grabbed ${grabbedId}`);
+    }
+    return { x, y };
+}
+
+/**
+ * Drag the grabbed item down toward the mouth until it gets there
+ * @returns {Promise<boolean>} true once the item is at the mouth
+ */
+export async function dragToMouth(page, from) {
+    const viewport = page.viewport();
+    for (let y = from.y; y < viewport.height; y += 20) {
+        await page.mouse.move(from.x, y);
+        await advance(page, 1 / 15);
+        if (await page.evaluate(() => window.game.physics.isNearMouth)) {
+            return true;
+        }
+    }
+    return false;
+}
@@ -0,0 +1,49 @@
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.glb': 'model/gltf-binary',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav'
+};
+
+/**
+ * Serve a directory over http on a free local port (ES modules need http, not file://)
+ * @param {string} root - Directory to serve
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+export async function startServer(root) {
+    const server = http.createServer(async (req, res) => {
+        const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const filePath = path.join(root, urlPath === '/' ? 'index.html' : urlPath);
+
+        // Never serve anything outside the root
+        if (!filePath.startsWith(root)) {
+            res.writeHead(403).end();
+            return;
+        }
+
+        try {
+            const data = await fs.readFile(filePath);
+            const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+            res.writeHead(200, { 'Content-Type': type }).end(data);
+        } catch (e) {
+            res.writeHead(404).end();
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IntoxicationModel, Substance, SubstanceProfiles, EffectMappings } from '../src/intoxication.js';
+
+const { CAFFEINE, NICOTINE } = Substance;
+
+function close(actual, expected, message, epsilon = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= epsilon, `${message}: ${actual} != ${expected}`);
+}
+
+test('the blood level halves over the elimination half-life', () => {
+    const model = new IntoxicationModel();
+    model.restore({ [CAFFEINE]: { level: 1 } });
+    model.update(SubstanceProfiles[CAFFEINE].eliminationHalfLife);
+    close(model.getLevel(CAFFEINE), 0.5, 'caffeine');
+});
+
+test('half of a dose is absorbed over the absorption half-life', () => {
+    const model = new IntoxicationModel();
+    model.dose(NICOTINE, 1);
+    model.update(SubstanceProfiles[NICOTINE].absorptionHalfLife);
+    close(model.state[NICOTINE].pending, 0.5, 'pending');
+    assert.ok(model.getLevel(NICOTINE) > 0 && model.getLevel(NICOTINE) < 0.5, 'absorbed nicotine was not eliminated along the way');
+});
+
+test('levels do not depend on the step size', () => {
+    const once = new IntoxicationModel();
+    const stepped = new IntoxicationModel();
+    for (const model of [once, stepped]) {
+        model.dose(CAFFEINE, 1);
+        model.dose(NICOTINE, 1);
+    }
+
+    once.update(1);
+    for (let i = 0; i < 60; i++) {
+        stepped.update(1 / 60);
+    }
+
+    for (const substance of [CAFFEINE, NICOTINE]) {
+        close(once.state[substance].pending, stepped.state[substance].pending, `${substance} pending`);
+        close(once.getLevel(substance), stepped.getLevel(substance), `${substance} level`);
+        const tolerance = once.getTolerance(substance);
+        close(tolerance, stepped.getTolerance(substance), `${substance} tolerance`, tolerance * 1e-3);
+    }
+});
+
+test('tolerance is capped and dulls the effective level', () => {
+    const model = new IntoxicationModel();
+    model.restore({ [NICOTINE]: { level: 50 } });
+    for (let i = 0; i < 60; i++) {
+        model.update(1);
+    }
+
+    const tolerance = model.getTolerance(NICOTINE);
+    assert.equal(tolerance, SubstanceProfiles[NICOTINE].maxTolerance);
+
+    model.restore({ [NICOTINE]: { level: 1 } });
+    close(model.getEffectiveLevel(NICOTINE), 1 / (1 + tolerance), 'effective level');
+});
+
+test('effects are clamped to their range', () => {
+    const model = new IntoxicationModel();
+    assert.deepEqual(model.getEffects(), { shake: 0, lag: 0, coughChance: EffectMappings.coughChance.offset });
+
+    model.restore({ [CAFFEINE]: { level: 100 }, [NICOTINE]: { level: 100 } });
+    assert.equal(model.getEffect('coughChance'), EffectMappings.coughChance.max);
+
+    model.restore({ [CAFFEINE]: { level: 100 }, [NICOTINE]: { level: 0 } });
+    assert.equal(model.getEffect('shake'), EffectMappings.shake.max);
+    assert.equal(model.getEffect('lag'), 0, 'caffeine alone pushed lag below 0');
+
+    model.restore({ [CAFFEINE]: { level: 0 }, [NICOTINE]: { level: 100 } });
+    assert.equal(model.getEffect('lag'), EffectMappings.lag.max);
+    assert.equal(model.getEffect('shake'), 0, 'nicotine alone pushed shake below 0');
+});
+
+test('one substance counteracts another', () => {
+    const model = new IntoxicationModel();
+    model.restore({ [CAFFEINE]: { level: 1 } });
+    const jittery = model.getEffect('shake');
+
+    model.restore({ [NICOTINE]: { level: 1 } });
+    assert.ok(model.getEffect('shake') < jittery, 'a drag did not calm the shake');
+});
+
+test('unknown substances and effects throw', () => {
+    const model = new IntoxicationModel();
+    assert.throws(() => model.dose('alcohol', 1), /Unknown substance/);
+    assert.throws(() => model.getEffect('hiccups'), /Unknown effect/);
+});
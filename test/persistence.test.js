@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAVE_VERSION, SaveManager, validateSaveDocument } from '../src/persistence.js';
+
+function saveWith(entities) {
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date(0).toISOString(),
+        intoxication: {},
+        entities: entities,
+        stains: []
+    };
+}
+
+test('a well-formed save passes', () => {
+    assert.doesNotThrow(() => validateSaveDocument(saveWith([
+        { kind: 'cup', liquid: { level: 0.5 } },
+        { kind: 'cigarette', burnLevel: 0.6, cigaretteState: 'lit', ash: { length: 0.01, breakLength: 0.02 } }
+    ])));
+});
+
+test('saves from another version are rejected', () => {
+    assert.throws(() => validateSaveDocument({ ...saveWith([]), version: SAVE_VERSION - 1 }), /Unsupported save version/);
+    assert.throws(() => validateSaveDocument({ ...saveWith([]), version: undefined }), /Unsupported save version/);
+});
+
+test('saves that are not documents are rejected', () => {
+    assert.throws(() => validateSaveDocument(null), /not a JSON object/);
+    assert.throws(() => validateSaveDocument({ ...saveWith([]), stains: undefined }), /missing/);
+});
+
+test('unknown item kinds are rejected', () => {
+    assert.throws(() => validateSaveDocument(saveWith([{ kind: 'teapot' }])), /unknown item kind: teapot/);
+});
+
+test('unknown cigarette states are rejected', () => {
+    assert.throws(() => validateSaveDocument(saveWith([{ kind: 'cigarette', cigaretteState: 'smouldering' }])), /unknown cigarette state/);
+});
+
+test('malformed ash columns are rejected', () => {
+    for (const ash of [null, {}, { length: 0.01 }, { length: 0, breakLength: 0.02 }, { length: 0.01, breakLength: -1 }]) {
+        assert.throws(() => validateSaveDocument(saveWith([{ kind: 'cigarette', ash }])), /malformed ash/, JSON.stringify(ash));
+    }
+});
+
+/**
+ * Just enough of the game for SaveManager to restore onto, with a failing spawn
+ */
+function brokenGame() {
+    return {
+        cleared: 0,
+        clearTable() {
+            this.cleared++;
+        },
+        async spawnItem(kind) {
+            throw new Error(`Could not load ${kind} model`);
+        }
+    };
+}
+
+/**
+ * In-memory localStorage for the autosave
+ */
+function useStorage(items) {
+    const storage = new Map(Object.entries(items));
+    globalThis.localStorage = {
+        getItem: key => storage.get(key) ?? null,
+        setItem: (key, value) => storage.set(key, value),
+        removeItem: key => storage.delete(key)
+    };
+    return storage;
+}
+
+test('a bad save is rejected before the table is cleared', async () => {
+    const game = brokenGame();
+    await assert.rejects(new SaveManager(game).restore(saveWith([{ kind: 'teapot' }])), /unknown item kind/);
+    assert.equal(game.cleared, 0);
+});
+
+test('an unreadable autosave is dropped', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    for (const json of ['{ not json', JSON.stringify({ ...saveWith([]), version: 1 })]) {
+        const storage = useStorage({ 'cafe-simulator-save': json });
+        assert.equal(await new SaveManager(brokenGame()).load(), false);
+        assert.equal(storage.size, 0, json);
+    }
+});
+
+test('an autosave that fails to restore for other reasons is kept', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = useStorage({ 'cafe-simulator-save': JSON.stringify(saveWith([{ kind: 'cup' }])) });
+    assert.equal(await new SaveManager(brokenGame()).load(), false);
+    assert.equal(storage.size, 1);
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { QualityGovernor } from '../src/quality.js';
+
+const SLOW = 1 / 30;
+const FAST = 1 / 120;
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+/**
+ * Feed the governor frames of one length
+ * @returns {Array<[number, number]>} [tierDrop, pixelScale] after every change
+ */
+function run(governor, frameTime, seconds, maxTierDrop = 3) {
+    const changes = [];
+    for (let t = 0; t < seconds; t += frameTime) {
+        if (governor.update(frameTime, maxTierDrop)) {
+            changes.push([governor.tierDrop, governor.pixelScale]);
+        }
+    }
+    return changes;
+}
+
+test('resolution drops before the tier does', () => {
+    const governor = new QualityGovernor();
+    assert.deepEqual(run(governor, SLOW, 20), [
+        [0, 0.85],
+        [0, 0.7],
+        [1, 1],
+        [1, 0.85]
+    ]);
+});
+
+test('the tier never drops further than allowed', () => {
+    const governor = new QualityGovernor();
+    run(governor, SLOW, 120, 1);
+    assert.equal(governor.tierDrop, 1);
+    assert.equal(governor.pixelScale, 0.7);
+
+    // At the bottom already, nothing more to give
+    assert.deepEqual(run(governor, SLOW, 20, 1), []);
+});
+
+test('recovery climbs back up through resolution', () => {
+    const governor = new QualityGovernor();
+    run(governor, SLOW, 120, 1);
+    assert.deepEqual(run(governor, FAST, 120, 1), [
+        [0, 0.7],
+        [0, 0.85],
+        [0, 1]
+    ]);
+    assert.deepEqual(run(governor, FAST, 30, 1), [], 'stepped above the chosen tier');
+});
+
+test('headroom has to last before quality comes back', () => {
+    const governor = new QualityGovernor();
+    while (!governor.update(SLOW, 3));
+    assert.equal(governor.pixelScale, 0.85);
+
+    // Right after the drop: cooldown plus less than recoverAfter of fast frames
+    assert.deepEqual(run(governor, FAST, governor.cooldown + governor.recoverAfter - 1), []);
+});
+
+test('hitches over a quarter second are ignored', () => {
+    const governor = new QualityGovernor();
+    assert.deepEqual(run(governor, 0.3, 60), []);
+    assert.equal(governor.averageFrameTime, null);
+
+    // A single hitch doesn't count toward a slow spell
+    run(governor, FAST, 1);
+    assert.equal(governor.update(1, 3), false);
+    assert.ok(governor.averageFrameTime < governor.budget);
+});
+
+test('reset goes back to full quality', () => {
+    const governor = new QualityGovernor();
+    run(governor, SLOW, 20);
+    governor.reset();
+    assert.equal(governor.tierDrop, 0);
+    assert.equal(governor.pixelScale, 1);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FixedTimestep, FIXED_TIMESTEP, frameDamp } from '../src/timestep.js';
+
+/**
+ * Run a fixed timestep for some seconds of frames at a frame rate
+ * @returns {number} Steps taken
+ */
+function run(seconds, fps) {
+    const timestep = new FixedTimestep();
+    let steps = 0;
+    for (let frame = 0; frame < seconds * fps; frame++) {
+        timestep.advance(1 / fps, () => steps++);
+    }
+    return steps;
+}
+
+test('the same time takes the same number of steps at any frame rate', () => {
+    const steps = run(2, 60);
+    assert.equal(steps, 120);
+    for (const fps of [30, 240]) {
+        assert.equal(run(2, fps), steps, `${fps} fps`);
+    }
+
+    // 1/144 doesn't add up exactly - the last step can be left a rounding error short in the accumulator
+    const odd = run(2, 144);
+    assert.ok(odd === steps || odd === steps - 1, `144 fps took ${odd} steps`);
+});
+
+test('steps are passed the fixed step size', () => {
+    const timestep = new FixedTimestep();
+    const sizes = [];
+    timestep.advance(0.05, dt => sizes.push(dt));
+    assert.deepEqual(sizes, [FIXED_TIMESTEP, FIXED_TIMESTEP, FIXED_TIMESTEP]);
+    assert.equal(timestep.time, 3 * FIXED_TIMESTEP);
+});
+
+test('a long hitch runs at most maxSubSteps and drops the backlog', () => {
+    const timestep = new FixedTimestep(FIXED_TIMESTEP, 5);
+    assert.equal(timestep.advance(1, () => {}), 5);
+    assert.ok(timestep.accumulator <= FIXED_TIMESTEP, `accumulator kept ${timestep.accumulator} s`);
+
+    // The next normal frame doesn't pay the hitch off
+    assert.ok(timestep.advance(FIXED_TIMESTEP, () => {}) <= 2);
+});
+
+test('frameDamp leaves the factor alone at 60 fps', () => {
+    for (const factor of [0.05, 0.15, 0.5, 0.9]) {
+        assert.ok(Math.abs(frameDamp(factor, 1 / 60) - factor) < 1e-12, `${factor}`);
+    }
+});
+
+test('frameDamp compounds across smaller steps', () => {
+    const factor = 0.15;
+    const half = frameDamp(factor, 1 / 120);
+
+    // Two half steps close the same gap as one full step
+    let value = 0;
+    value += (1 - value) * half;
+    value += (1 - value) * half;
+    assert.ok(Math.abs(value - frameDamp(factor, 1 / 60)) < 1e-12, `${value}`);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readImportMap, parseCdnUrl, collectFiles, findStaleFiles } from '../scripts/vendor.js';
+
+test('importmap URLs pin exact versions', () => {
+    const { imports } = readImportMap();
+    for (const url of Object.values(imports)) {
+        assert.match(parseCdnUrl(url).version, /^\d+\.\d+\.\d+$/, url);
+    }
+});
+
+test('vendor/ matches the versions pinned in the importmap', () => {
+    const files = collectFiles(readImportMap());
+    assert.ok(files.length > 0);
+    assert.deepEqual(findStaleFiles(files).map(f => f.to), [], 'run npm run vendor');
+});